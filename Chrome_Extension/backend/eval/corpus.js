@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const { buildEmailContent, cleanText } = require('../../utils/emailContent.js');
+
+/** Legacy stage slugs still used by older labels, mapped to the 8-stage model */
+const STAGE_ALIASES = {
+  application_confirmation: 'applications_sent',
+  rejection: 'rejected'
+};
+
+/**
+ * Build emailContent the way the extension does (EmailParserService), so the corpus exercises
+ * the same prompt input as real traffic.
+ * @param {{subject: string, from: string, listUnsubscribe?: string, body: string}} email
+ * @returns {string}
+ */
+function toEmailContent({ subject, from, listUnsubscribe, body }) {
+  return buildEmailContent({ subject, from, listUnsubscribe, body: cleanText(body) });
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = Buffer.from(
+    text.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+    'latin1'
+  );
+  return bytes.toString('utf8');
+}
+
+function decodeBody(body, encoding) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return body;
+  }
+}
+
+function stripHtml(html) {
+  return html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/p>|<\/div>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>');
+}
+
+/**
+ * Split a MIME entity into lowercase-keyed headers (folded lines joined) and raw body.
+ * @param {string} text
+ * @returns {{headers: Object<string, string>, body: string}}
+ */
+function splitEntity(text) {
+  const normalized = text.replace(/\r\n/g, '\n');
+  const end = normalized.indexOf('\n\n');
+  const head = end === -1 ? normalized : normalized.slice(0, end);
+  const body = end === -1 ? '' : normalized.slice(end + 2);
+  const headers = {};
+  for (const line of head.replace(/\n[ \t]+/g, ' ').split('\n')) {
+    const i = line.indexOf(':');
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  }
+  return { headers, body };
+}
+
+/**
+ * Text of a MIME entity: text/plain preferred, then text/html (stripped), searching multiparts recursively.
+ * @returns {{text: string, isHtml: boolean}|null}
+ */
+function extractText({ headers, body }) {
+  const contentType = headers['content-type'] || 'text/plain';
+  const boundary = contentType.match(/boundary="?([^";]+)"?/i);
+  if (/^multipart\//i.test(contentType) && boundary) {
+    const parts = body.split(`--${boundary[1]}`).slice(1).filter((part) => !part.startsWith('--'));
+    const texts = parts.map((part) => extractText(splitEntity(part.replace(/^\n/, '')))).filter(Boolean);
+    return texts.find((t) => !t.isHtml) || texts[0] || null;
+  }
+  if (!/^text\//i.test(contentType)) return null;
+  const decoded = decodeBody(body, headers['content-transfer-encoding']);
+  return /^text\/html/i.test(contentType) ? { text: stripHtml(decoded), isHtml: true } : { text: decoded, isHtml: false };
+}
+
+/**
+ * Parse a labelled .eml file. Labels are headers:
+ *   X-Decluttr-Expected-Stage: interview        (one of the 8 stage slugs, or "none" for non-job email)
+ *   X-Decluttr-Expected-Category: Job           (optional, categorizeEmail's label)
+ * @param {string} text - Raw message
+ * @param {string} id - Case ID (file name)
+ * @returns {Object} Corpus case
+ */
+function parseEml(text, id) {
+  const entity = splitEntity(text);
+  const { headers } = entity;
+  const extracted = extractText(entity);
+  return {
+    id,
+    emailContent: toEmailContent({
+      subject: headers.subject,
+      from: headers.from,
+      listUnsubscribe: headers['list-unsubscribe'],
+      body: extracted ? extracted.text : ''
+    }),
+    expected: {
+      stage: headers['x-decluttr-expected-stage'],
+      category: headers['x-decluttr-expected-category']
+    }
+  };
+}
+
+/**
+ * Normalize a JSON case: { id?, emailContent } or { id?, subject, from, listUnsubscribe?, body }, plus
+ * expected: { stage: "<slug>" | null, category?: string }.
+ */
+function fromJson(entry, fallbackId) {
+  return {
+    id: entry.id || fallbackId,
+    emailContent: entry.emailContent || toEmailContent(entry),
+    expected: entry.expected || {}
+  };
+}
+
+/**
+ * Validate and normalize the expected stage of a case.
+ * @param {Object} testCase
+ * @param {Array<string>} stages - Valid stage slugs
+ * @returns {Object} testCase with expected.stage as a slug or null
+ * @throws {Error} For an unknown stage label
+ */
+function normalizeExpected(testCase, stages) {
+  const raw = testCase.expected.stage;
+  let stage = raw === undefined || raw === null || raw === '' || raw === 'none' ? null : String(raw).trim();
+  if (stage) stage = STAGE_ALIASES[stage] || stage;
+  if (stage !== null && !stages.includes(stage)) {
+    throw new Error(`${testCase.id}: unknown expected stage "${raw}" (use one of ${stages.join(', ')} or none)`);
+  }
+  return { ...testCase, expected: { ...testCase.expected, stage } };
+}
+
+/**
+ * Load every .eml and .json case under a directory (recursively). A .json file holds one case or an array.
+ * @param {string} dir
+ * @param {Array<string>} stages - Valid stage slugs
+ * @returns {Array<{id: string, emailContent: string, expected: {stage: string|null, category?: string}}>}
+ */
+function loadCorpus(dir, stages) {
+  const cases = [];
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const fullPath = path.join(current, entry.name);
+      const id = path.relative(dir, fullPath);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.name.endsWith('.eml')) {
+        cases.push(parseEml(fs.readFileSync(fullPath, 'utf8'), id));
+      } else if (entry.name.endsWith('.json')) {
+        const parsed = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        const entries = Array.isArray(parsed) ? parsed : [parsed];
+        entries.forEach((item, i) => cases.push(fromJson(item, entries.length > 1 ? `${id}#${i}` : id)));
+      }
+    }
+  };
+  walk(dir);
+  return cases.map((testCase) => normalizeExpected(testCase, stages));
+}
+
+module.exports = {
+  loadCorpus,
+  parseEml,
+  toEmailContent
+};
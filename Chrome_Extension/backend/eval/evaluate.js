@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+/**
+ * Offline evaluation of the job-email classifier.
+ *
+ * Runs a labelled corpus (.eml / .json files, see eval/corpus.js) through summarizeEmail and
+ * categorizeEmail and reports per-stage precision/recall, a confusion matrix over the job stages,
+ * and category accuracy. With --candidate it runs the corpus twice and diffs two prompt versions.
+ *
+ *   node eval/evaluate.js [options]
+ *     --corpus <dir>        Corpus directory (default: eval/corpus)
+ *     --fixtures <file>     Replay recorded responses with the fixture provider (default: eval/fixtures.json)
+ *     --record <file>       Use the provider from the environment and record its responses to <file>
+ *     --live                Use the provider from the environment without recording
+ *     --baseline <pins>     Prompt versions for the (first) run, e.g. "summarize=v1,categorize=v1"
+ *     --candidate <pins>    Prompt versions to compare against the baseline, e.g. "summarize=v2"
+ *     --json                Print the report as JSON
+ *
+ * By default the responses recorded for the sample corpus in eval/fixtures.json are replayed, so a
+ * run needs no network or API key. With --record or --live the provider comes from the environment
+ * (LLM_PROVIDER etc.).
+ */
+require('dotenv').config();
+const path = require('path');
+const llm = require('../utils/llm');
+const { createFixtureProvider } = require('../utils/llm/fixtureProvider');
+const { createRecordingProvider } = require('../utils/llm/recordingProvider');
+const prompts = require('../utils/prompts');
+const { STAGE_TO_SLUG, summarizeEmail, categorizeEmail } = require('../utils/openai');
+const { loadCorpus } = require('./corpus');
+const { classificationReport } = require('./metrics');
+
+const STAGES = Object.values(STAGE_TO_SLUG);
+/** Label for emails that are not job-related (expected stage null / category other than Job) */
+const NOT_JOB = 'not_job';
+/** Prediction label for emails where the model call failed */
+const ERROR = 'error';
+const CATEGORIES = ['Personal', 'Promotional', 'Spam', 'Newsletter', 'Job', 'Other'];
+/** Recorded responses for eval/corpus at the active prompt versions (regenerate with --record) */
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures.json');
+
+const USAGE = `Usage: node eval/evaluate.js [--corpus <dir>] [--fixtures <file> | --record <file> | --live]
+                              [--baseline <pins>] [--candidate <pins>] [--json]
+  <pins> is a comma-separated list of prompt=version, e.g. "summarize=v2,categorize=v1"`;
+
+function parseArgs(argv) {
+  const options = { corpus: path.join(__dirname, 'corpus'), json: false };
+  const valueFlags = ['corpus', 'fixtures', 'record', 'baseline', 'candidate'];
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag === 'json' || flag === 'live') {
+      options[flag] = true;
+    } else if (flag === 'help' || flag === 'h') {
+      options.help = true;
+    } else if (valueFlags.includes(flag) && argv[i + 1] !== undefined) {
+      options[flag] = argv[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option "${argv[i]}"`);
+    }
+  }
+  if ([options.fixtures, options.record, options.live].filter(Boolean).length > 1) {
+    throw new Error('Use only one of --fixtures, --record and --live');
+  }
+  if (!options.record && !options.live) options.fixtures = options.fixtures || DEFAULT_FIXTURES;
+  return options;
+}
+
+/**
+ * "summarize=v2,categorize=v1" -> { summarize: 'v2', categorize: 'v1' }
+ * @param {string} [text]
+ * @returns {Object<string, string>}
+ */
+function parsePins(text) {
+  const pins = {};
+  for (const pair of (text || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [name, version] = pair.split('=').map((s) => s.trim());
+    if (!name || !version) throw new Error(`Invalid prompt pin "${pair}" (expected name=version)`);
+    pins[name] = version;
+  }
+  return pins;
+}
+
+/** Stage label of a summarizeEmail result: the stage slug, or not_job */
+function stageOf(summary) {
+  if (summary.category !== 'Job') return NOT_JOB;
+  // Job emails without a stage are counted as applications, as the extension does
+  return summary.jobType || 'applications_sent';
+}
+
+/**
+ * Classify every case with the current provider and prompt versions.
+ * Cases run one at a time so recordings and rate limits behave like a single user's inbox.
+ * @returns {Promise<Array<Object>>} One prediction per case
+ */
+async function runCorpus(cases) {
+  const predictions = [];
+  for (const testCase of cases) {
+    const prediction = { id: testCase.id, expected: testCase.expected };
+    try {
+      const summary = await summarizeEmail(testCase.emailContent);
+      prediction.stage = stageOf(summary);
+      prediction.promptVersion = summary.promptVersion;
+      prediction.fallback = Boolean(summary.fallback);
+    } catch (error) {
+      prediction.stage = ERROR;
+      prediction.error = error.message;
+    }
+    try {
+      const categorized = await categorizeEmail(testCase.emailContent);
+      prediction.category = categorized.category;
+    } catch (error) {
+      prediction.category = ERROR;
+      prediction.error = prediction.error || error.message;
+    }
+    predictions.push(prediction);
+  }
+  return predictions;
+}
+
+function summarizeRun(predictions, pins) {
+  const stagePairs = predictions.map((p) => ({ expected: p.expected.stage || NOT_JOB, predicted: p.stage }));
+  const categoryPairs = predictions
+    .filter((p) => p.expected.category)
+    .map((p) => ({ expected: p.expected.category, predicted: p.category }));
+  return {
+    pins,
+    promptVersions: {
+      summarize: prompts.fingerprint('summarize'),
+      categorize: prompts.fingerprint('categorize')
+    },
+    stages: classificationReport(stagePairs, [...STAGES, NOT_JOB]),
+    categories: categoryPairs.length > 0 ? classificationReport(categoryPairs, CATEGORIES) : null,
+    errors: predictions.filter((p) => p.error).map((p) => ({ id: p.id, error: p.error })),
+    fallbacks: predictions.filter((p) => p.fallback).length,
+    predictions
+  };
+}
+
+/** Emails whose stage or category prediction differs between two runs */
+function diffPredictions(baseline, candidate) {
+  const candidateById = new Map(candidate.map((p) => [p.id, p]));
+  const changes = [];
+  for (const before of baseline) {
+    const after = candidateById.get(before.id);
+    if (!after || (before.stage === after.stage && before.category === after.category)) continue;
+    const expectedStage = before.expected.stage || NOT_JOB;
+    let effect = 'changed';
+    if (before.stage !== expectedStage && after.stage === expectedStage) effect = 'fixed';
+    if (before.stage === expectedStage && after.stage !== expectedStage) effect = 'regressed';
+    changes.push({
+      id: before.id,
+      expectedStage,
+      stage: [before.stage, after.stage],
+      category: [before.category, after.category],
+      effect
+    });
+  }
+  return changes;
+}
+
+// ---- Text output ----
+
+const fmt = (value) => (value === null || value === undefined ? '   -' : value.toFixed(2).padStart(4));
+const signed = (value) => (value === null ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}`);
+
+function table(rows) {
+  const widths = rows[0].map((_, col) => Math.max(...rows.map((row) => String(row[col]).length)));
+  return rows.map((row) => row.map((cell, col) => (col === 0 ? String(cell).padEnd(widths[col]) : String(cell).padStart(widths[col]))).join('  ')).join('\n');
+}
+
+function formatReport(report, title) {
+  const lines = [`${title}`, `Prompts: ${report.promptVersions.summarize}, ${report.promptVersions.categorize}`, ''];
+  const { stages } = report;
+
+  lines.push('Job stage (summarizeEmail)');
+  lines.push(table([
+    ['stage', 'precision', 'recall', 'f1', 'support'],
+    ...stages.labels.map((label) => {
+      const m = stages.perLabel[label];
+      return [label, fmt(m.precision), fmt(m.recall), fmt(m.f1), m.support];
+    })
+  ]));
+  lines.push(`accuracy ${fmt(stages.accuracy).trim()}   macro-F1 ${fmt(stages.macroF1).trim()}   (${stages.total} emails)`, '');
+
+  lines.push('Confusion matrix (rows: expected, columns: predicted)');
+  lines.push(table([
+    ['', ...stages.labels],
+    ...stages.labels.map((expected) => [expected, ...stages.labels.map((predicted) => stages.matrix[expected][predicted] || '.')])
+  ]));
+  lines.push('');
+
+  if (report.categories) {
+    const { categories } = report;
+    lines.push('Category (categorizeEmail)');
+    lines.push(table([
+      ['category', 'precision', 'recall', 'f1', 'support'],
+      ...categories.labels
+        .filter((label) => categories.perLabel[label].support > 0 || categories.perLabel[label].predicted > 0)
+        .map((label) => {
+          const m = categories.perLabel[label];
+          return [label, fmt(m.precision), fmt(m.recall), fmt(m.f1), m.support];
+        })
+    ]));
+    lines.push(`accuracy ${fmt(categories.accuracy).trim()}   (${categories.total} labelled emails)`, '');
+  }
+
+  if (report.fallbacks > 0) lines.push(`${report.fallbacks} summaries used the fallback result (unusable model output)`);
+  for (const { id, error } of report.errors) lines.push(`error  ${id}: ${error}`);
+  return lines.join('\n');
+}
+
+function formatComparison(comparison) {
+  const { baseline, candidate, changes } = comparison;
+  const lines = [
+    formatReport(baseline, 'Baseline'),
+    '',
+    formatReport(candidate, 'Candidate'),
+    '',
+    'Baseline -> candidate'
+  ];
+  const delta = (a, b) => (a === null || b === null ? null : b - a);
+  lines.push(table([
+    ['stage', 'Δprecision', 'Δrecall', 'Δf1'],
+    ...baseline.stages.labels
+      .filter((label) => candidate.stages.perLabel[label])
+      .map((label) => {
+        const before = baseline.stages.perLabel[label];
+        const after = candidate.stages.perLabel[label];
+        return [label, signed(delta(before.precision, after.precision)), signed(delta(before.recall, after.recall)), signed(delta(before.f1, after.f1))];
+      })
+  ]));
+  lines.push(`accuracy ${signed(delta(baseline.stages.accuracy, candidate.stages.accuracy))}   macro-F1 ${signed(delta(baseline.stages.macroF1, candidate.stages.macroF1))}`);
+  if (baseline.categories && candidate.categories) {
+    lines.push(`category accuracy ${signed(delta(baseline.categories.accuracy, candidate.categories.accuracy))}`);
+  }
+  lines.push('');
+  if (changes.length === 0) {
+    lines.push('No predictions changed.');
+  } else {
+    lines.push(`${changes.length} predictions changed:`);
+    for (const change of changes) {
+      lines.push(`  ${change.effect.padEnd(9)} ${change.id}: stage ${change.stage[0]} -> ${change.stage[1]} (expected ${change.expectedStage}), category ${change.category[0]} -> ${change.category[1]}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let recorder = null;
+  let replay = null;
+  if (options.fixtures) {
+    replay = createFixtureProvider({ fixturesPath: path.resolve(options.fixtures) });
+    llm.setProvider(replay);
+  } else if (options.record) {
+    recorder = createRecordingProvider(llm.createProviderFromEnv(process.env), path.resolve(options.record));
+    llm.setProvider(recorder);
+  }
+  if (!llm.isConfigured()) {
+    throw new Error(llm.configurationError());
+  }
+
+  const cases = loadCorpus(path.resolve(options.corpus), STAGES);
+  if (cases.length === 0) throw new Error(`No .eml or .json cases found in ${options.corpus}`);
+
+  const baselinePins = parsePins(options.baseline);
+  const candidatePins = options.candidate ? parsePins(options.candidate) : null;
+  // Check the candidate pins before spending a whole baseline run on them
+  if (candidatePins) prompts.setVersionOverrides(candidatePins);
+  prompts.setVersionOverrides(baselinePins);
+  const baseline = summarizeRun(await runCorpus(cases), baselinePins);
+
+  let output;
+  if (candidatePins) {
+    prompts.setVersionOverrides(candidatePins);
+    const candidate = summarizeRun(await runCorpus(cases), candidatePins);
+    const comparison = { baseline, candidate, changes: diffPredictions(baseline.predictions, candidate.predictions) };
+    output = options.json ? JSON.stringify(comparison, null, 2) : formatComparison(comparison);
+  } else {
+    output = options.json ? JSON.stringify(baseline, null, 2) : formatReport(baseline, `Evaluation of ${cases.length} emails (${llm.getProvider().name})`);
+  }
+  prompts.setVersionOverrides({});
+
+  if (recorder) recorder.save();
+  console.log(output);
+  if (replay && replay.unmatchedCount() > 0) {
+    // Unmatched requests got the fixture provider's canned answers, so the metrics above mean little
+    console.error(`\n${replay.unmatchedCount()} requests had no recorded response in ${options.fixtures} (prompts or corpus changed since it was recorded). Re-record it with --record.`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  console.error(USAGE);
+  process.exitCode = 1;
+});
@@ -0,0 +1,52 @@
+/**
+ * Classification metrics for evaluation runs.
+ */
+
+/**
+ * Confusion matrix and per-label precision/recall/F1.
+ * @param {Array<{expected: string, predicted: string}>} pairs
+ * @param {Array<string>} labels - Labels in display order; predictions outside it are counted under their own name
+ * @returns {{labels: Array<string>, matrix: Object, perLabel: Object, accuracy: number|null, macroF1: number|null, total: number}}
+ *   matrix[expected][predicted] = count
+ */
+function classificationReport(pairs, labels) {
+  const allLabels = [...labels];
+  for (const { expected, predicted } of pairs) {
+    for (const label of [expected, predicted]) {
+      if (!allLabels.includes(label)) allLabels.push(label);
+    }
+  }
+
+  const matrix = {};
+  for (const expected of allLabels) {
+    matrix[expected] = Object.fromEntries(allLabels.map((predicted) => [predicted, 0]));
+  }
+  for (const { expected, predicted } of pairs) matrix[expected][predicted]++;
+
+  const perLabel = {};
+  for (const label of allLabels) {
+    const truePositives = matrix[label][label];
+    const predictedCount = allLabels.reduce((sum, expected) => sum + matrix[expected][label], 0);
+    const support = allLabels.reduce((sum, predicted) => sum + matrix[label][predicted], 0);
+    const precision = predictedCount > 0 ? truePositives / predictedCount : null;
+    const recall = support > 0 ? truePositives / support : null;
+    const f1 = precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : (precision === 0 || recall === 0 ? 0 : null);
+    perLabel[label] = { precision, recall, f1, support, predicted: predictedCount };
+  }
+
+  const correct = pairs.filter(({ expected, predicted }) => expected === predicted).length;
+  // Macro F1 over the requested labels that actually occur in the corpus
+  const scored = labels.filter((label) => perLabel[label].support > 0).map((label) => perLabel[label].f1 || 0);
+  return {
+    labels: allLabels,
+    matrix,
+    perLabel,
+    accuracy: pairs.length > 0 ? correct / pairs.length : null,
+    macroF1: scored.length > 0 ? scored.reduce((a, b) => a + b, 0) / scored.length : null,
+    total: pairs.length
+  };
+}
+
+module.exports = { classificationReport };
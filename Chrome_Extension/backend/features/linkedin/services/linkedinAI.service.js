@@ -1,9 +1,7 @@
-const OpenAI = require("openai");
 const axios = require("axios");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const llm = require("../../../utils/llm");
+const prompts = require("../../../utils/prompts");
+const { ApiError } = require("../../../utils/errors");
 
 /**
  * Search LinkedIn profiles using SerpAPI (Google Search)
@@ -15,7 +13,7 @@ async function searchLinkedInProfiles(query, limit = 10) {
   const SERPAPI_KEY = process.env.SERPAPI_KEY;
 
   if (!SERPAPI_KEY) {
-    throw new Error('SERPAPI_KEY not configured. Please set SERPAPI_KEY in .env file. Get one at https://serpapi.com/');
+    throw new ApiError(500, 'search_not_configured', 'SERPAPI_KEY not configured. Please set SERPAPI_KEY in .env file. Get one at https://serpapi.com/');
   }
 
   try {
@@ -44,7 +42,7 @@ async function searchLinkedInProfiles(query, limit = 10) {
     return profiles;
   } catch (error) {
     console.error('LinkedIn search error:', error.response?.data || error.message);
-    throw new Error(`Failed to search LinkedIn profiles: ${error.message}`);
+    throw new ApiError(502, 'search_failed', `Failed to search LinkedIn profiles: ${error.message}`, { upstreamStatus: error.response?.status ?? null });
   }
 }
 
@@ -119,34 +117,20 @@ async function generateLinkedInMessage(profile, userDescription = null) {
   const defaultUserDescription = "Computer Science student at Carleton University seeking internships or co-op opportunities";
   const userDesc = userDescription && userDescription.trim() ? userDescription.trim() : defaultUserDescription;
 
-  const prompt = `
-Write a personalized LinkedIn connection message.
-
-Person to connect with:
-Name: ${name}
-Title: ${title}
-Company: ${company || "their company"}
-Location: ${location || "their area"}
-
-About me (the sender):
-${userDesc}
-
-Constraints:
-- Friendly and professional
-- Max 90 words
-- No emojis
-- Do not mention AI
-- Ask politely to connect
-- Make it feel genuine and personalized based on the recipient's role and my background
-`;
-
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages: [{ role: "user", content: prompt }],
+  const { messages } = prompts.render("linkedinMessage", {
+    name,
+    title,
+    company: company || "their company",
+    location: location || "their area",
+    userDescription: userDesc
+  });
+
+  const completion = await llm.complete("linkedinMessage", {
+    messages,
     temperature: 0.7
   });
 
-  return completion.choices[0].message.content;
+  return completion.text;
 }
 
 /**
@@ -0,0 +1,715 @@
+/**
+ * OpenAPI 3 description of the backend API: the contract the extension codes against.
+ *
+ * Request body schemas are enforced by utils/validation.js before the handlers run, so a field's
+ * type, required-ness and limits are declared here and nowhere else. Served as JSON at GET /api/docs.
+ */
+const { version } = require('./package.json');
+const redaction = require('./utils/redaction');
+const auth = require('./utils/auth');
+const { STAGE_TO_SLUG, REPLY_INTENTS, REPLY_TONES } = require('./utils/openai');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const jsonBody = (schema) => ({ required: true, content: { 'application/json': { schema } } });
+const jsonResponse = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const errors = (...names) => Object.fromEntries(names.map((name) => [ERROR_RESPONSE_STATUS[name], { $ref: `#/components/responses/${name}` }]));
+
+const ERROR_RESPONSE_STATUS = {
+  ValidationFailed: '400',
+  Unauthorized: '401',
+  Forbidden: '403',
+  NotFound: '404',
+  RateLimited: '429',
+  InternalError: '500',
+  UpstreamError: '502'
+};
+
+/** Errors every AI route can return besides its own */
+const AI_ROUTE_ERRORS = errors('ValidationFailed', 'Unauthorized', 'Forbidden', 'RateLimited', 'InternalError', 'UpstreamError');
+const ADMIN_ROUTE_ERRORS = errors('Unauthorized', 'Forbidden');
+
+/** Email request: one email plus the redaction level */
+const emailRequest = (extraProperties = {}, extraRequired = []) => ({
+  type: 'object',
+  properties: {
+    emailContent: ref('EmailContent'),
+    ...extraProperties,
+    redaction: ref('RedactionLevel')
+  },
+  required: ['emailContent', ...extraRequired]
+});
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Decluttr backend API',
+    version,
+    description: 'AI analysis of Gmail messages and LinkedIn outreach for the Decluttr Chrome extension. '
+      + 'Every error response uses the Error envelope: { "error": { "code", "message", "details" } }.'
+  },
+  servers: [{ url: 'http://localhost:3000' }],
+  security: [{ clientToken: [] }],
+  tags: [
+    { name: 'email', description: 'Email analysis (token scope "email")' },
+    { name: 'linkedin', description: 'LinkedIn search and messages (token scope "linkedin")' },
+    { name: 'auth', description: 'Pairing and tokens' },
+    { name: 'admin', description: 'Operator endpoints (AUTH_ADMIN_TOKEN)' },
+    { name: 'meta', description: 'Health and documentation' }
+  ],
+  paths: {
+    '/api/email/summarize': {
+      post: {
+        tags: ['email'],
+        summary: 'Summarize and classify one email',
+        description: 'Without an LLM provider the result comes from the rule-based classifier and has source: "heuristic".',
+        requestBody: jsonBody(emailRequest()),
+        responses: { 200: jsonResponse('Analysis', ref('SummaryResult')), ...AI_ROUTE_ERRORS }
+      }
+    },
+    '/api/email/summarize/stream': {
+      post: {
+        tags: ['email'],
+        summary: 'Summarize one email as server-sent events',
+        description: 'Events: `token` ({ text }), then `result` (same as /summarize) or `error` (Error envelope). '
+          + 'Validation errors are returned as JSON before the stream starts.',
+        requestBody: jsonBody(emailRequest()),
+        responses: {
+          200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+          ...AI_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/email/summarize-batch': {
+      post: {
+        tags: ['email'],
+        summary: 'Summarize and classify up to 50 emails',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            emails: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 50,
+              items: {
+                type: 'object',
+                properties: {
+                  id: ref('NonEmptyString'),
+                  // An empty emailContent fails that email only (per-email error), not the request
+                  emailContent: { type: 'string' }
+                },
+                required: ['id']
+              }
+            },
+            redaction: ref('RedactionLevel')
+          },
+          required: ['emails']
+        }),
+        responses: {
+          200: jsonResponse('Results in request order; failed emails carry error instead of result', {
+            type: 'object',
+            properties: {
+              results: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    result: ref('SummaryResult'),
+                    error: { type: 'string' }
+                  },
+                  required: ['id']
+                }
+              }
+            }
+          }),
+          ...AI_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/email/feedback': {
+      post: {
+        tags: ['email'],
+        summary: 'Record a job stage correction made by the user',
+        description: 'A redacted excerpt of the email (at least the standard level) is stored for this client. '
+          + 'The corrections most similar to a later email are added to its summarize prompt as few-shot examples.',
+        requestBody: jsonBody(emailRequest({
+          stage: ref('StageSlug'),
+          previousStage: ref('JobType'),
+          emailId: { type: 'string' }
+        }, ['stage'])),
+        responses: {
+          201: jsonResponse('Stored correction', {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              emailId: { type: 'string', nullable: true },
+              excerpt: { type: 'string', description: 'Redacted excerpt used in prompts' },
+              stage: { type: 'string' },
+              previousStage: { type: 'string', nullable: true },
+              createdAt: { type: 'string', format: 'date-time' }
+            }
+          }),
+          ...errors('ValidationFailed', 'Unauthorized', 'Forbidden', 'RateLimited')
+        }
+      },
+      delete: {
+        tags: ['email'],
+        summary: "Delete this client's stored stage corrections",
+        responses: {
+          200: jsonResponse('Deleted', { type: 'object', properties: { deleted: { type: 'integer' } } }),
+          ...errors('Unauthorized', 'Forbidden', 'RateLimited')
+        }
+      }
+    },
+    '/api/email/summarize-thread': {
+      post: {
+        tags: ['email'],
+        summary: 'Summarize a whole conversation',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            messages: {
+              type: 'array',
+              description: 'Oldest first',
+              minItems: 1,
+              maxItems: 30,
+              items: {
+                type: 'object',
+                properties: {
+                  emailContent: ref('EmailContent'),
+                  date: { type: 'string' },
+                  fromMe: { type: 'boolean', description: 'Sent by the user' }
+                },
+                required: ['emailContent']
+              }
+            },
+            redaction: ref('RedactionLevel')
+          },
+          required: ['messages']
+        }),
+        responses: {
+          200: jsonResponse('Thread summary', {
+            type: 'object',
+            properties: {
+              summary: { type: 'string' },
+              category: { type: 'string', enum: ['Job', 'Other'] },
+              stage: ref('Stage'),
+              jobType: ref('JobType'),
+              nextReply: { type: 'string', enum: ['you', 'them', 'none'] },
+              messageCount: { type: 'integer' },
+              promptVersion: { type: 'string' },
+              fallback: { type: 'boolean' },
+              source: { type: 'string', enum: ['heuristic'] }
+            }
+          }),
+          ...AI_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/email/categorize': {
+      post: {
+        tags: ['email'],
+        summary: 'Categorize one email',
+        requestBody: jsonBody(emailRequest()),
+        responses: {
+          200: jsonResponse('Category', {
+            type: 'object',
+            properties: {
+              category: { type: 'string', enum: ['Personal', 'Promotional', 'Spam', 'Newsletter', 'Job', 'Other'] },
+              confidence: { type: 'number' },
+              promptVersion: { type: 'string' },
+              fallback: { type: 'boolean' },
+              source: { type: 'string', enum: ['heuristic'] }
+            }
+          }),
+          ...AI_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/email/detect-unsubscribe': {
+      post: {
+        tags: ['email'],
+        summary: 'Find an unsubscribe link (pattern matching, no model call)',
+        requestBody: jsonBody({ type: 'object', properties: { emailContent: ref('EmailContent') }, required: ['emailContent'] }),
+        responses: {
+          200: jsonResponse('Unsubscribe link', {
+            type: 'object',
+            properties: {
+              hasUnsubscribe: { type: 'boolean' },
+              unsubscribeLink: { type: 'string', nullable: true }
+            }
+          }),
+          ...errors('ValidationFailed', 'Unauthorized', 'Forbidden', 'RateLimited', 'InternalError')
+        }
+      }
+    },
+    '/api/email/match-custom-label': {
+      post: {
+        tags: ['email'],
+        summary: 'Check whether an email matches a user-defined label',
+        requestBody: jsonBody(emailRequest({
+          labelName: ref('NonEmptyString'),
+          labelDescription: ref('NonEmptyString')
+        }, ['labelName', 'labelDescription'])),
+        responses: {
+          200: jsonResponse('Match', ref('LabelMatch')),
+          ...AI_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/email/match-custom-labels': {
+      post: {
+        tags: ['email'],
+        summary: 'Check an email against up to 20 user-defined labels in one model call',
+        requestBody: jsonBody(emailRequest({
+          labels: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 20,
+            items: {
+              type: 'object',
+              properties: {
+                id: ref('NonEmptyString'),
+                name: ref('NonEmptyString'),
+                description: ref('NonEmptyString')
+              },
+              required: ['id', 'name', 'description']
+            }
+          }
+        }, ['labels'])),
+        responses: {
+          200: jsonResponse('One match per label, in request order', {
+            type: 'object',
+            properties: {
+              results: {
+                type: 'array',
+                items: {
+                  allOf: [{ type: 'object', properties: { id: { type: 'string' } }, required: ['id'] }, ref('LabelMatch')]
+                }
+              }
+            }
+          }),
+          ...AI_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/email/extract-actions': {
+      post: {
+        tags: ['email'],
+        summary: 'Extract action items and deadlines',
+        requestBody: jsonBody(emailRequest({ referenceDate: ref('ReferenceDate') })),
+        responses: {
+          200: jsonResponse('Action items', {
+            type: 'object',
+            properties: {
+              actionItems: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    text: { type: 'string' },
+                    deadline: { type: 'string', nullable: true },
+                    urgent: { type: 'boolean' }
+                  }
+                }
+              },
+              promptVersion: { type: 'string' },
+              fallback: { type: 'boolean' }
+            }
+          }),
+          ...AI_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/email/extract-interview': {
+      post: {
+        tags: ['email'],
+        summary: 'Extract interview date, time, timezone, meeting link and interviewers',
+        description: 'For a calendar event. Times are local wall-clock times in `timezone`; start is null when the email gives no exact time.',
+        requestBody: jsonBody(emailRequest({ referenceDate: ref('ReferenceDate') })),
+        responses: {
+          200: jsonResponse('Interview details', ref('InterviewDetails')),
+          ...AI_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/email/analyze-sentiment': {
+      post: {
+        tags: ['email'],
+        summary: 'Classify the tone of an email',
+        requestBody: jsonBody(emailRequest()),
+        responses: {
+          200: jsonResponse('Sentiment', {
+            type: 'object',
+            properties: {
+              sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative', 'urgent'] },
+              confidence: { type: 'number' },
+              promptVersion: { type: 'string' },
+              fallback: { type: 'boolean' }
+            }
+          }),
+          ...AI_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/email/draft-reply': {
+      post: {
+        tags: ['email'],
+        summary: 'Draft a reply for an intent and tone',
+        requestBody: jsonBody(emailRequest({
+          intent: { type: 'string', enum: Object.keys(REPLY_INTENTS) },
+          tone: { type: 'string', enum: Object.keys(REPLY_TONES), default: 'formal' },
+          notes: { type: 'string', description: 'Facts the reply should use; sent to the model as written' },
+          senderName: { type: 'string' }
+        }, ['intent'])),
+        responses: {
+          200: jsonResponse('Draft', {
+            type: 'object',
+            properties: {
+              draft: { type: 'string' },
+              intent: { type: 'string' },
+              tone: { type: 'string' },
+              promptVersion: { type: 'string' }
+            }
+          }),
+          ...AI_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/linkedin/search': {
+      post: {
+        tags: ['linkedin'],
+        summary: 'Search LinkedIn profiles (SerpAPI)',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: { query: ref('NonEmptyString'), limit: ref('SearchLimit') },
+          required: ['query']
+        }),
+        responses: {
+          200: jsonResponse('Profiles', {
+            type: 'object',
+            properties: { profiles: { type: 'array', items: ref('LinkedInProfile') }, count: { type: 'integer' } }
+          }),
+          ...AI_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/linkedin/generate-message': {
+      post: {
+        tags: ['linkedin'],
+        summary: 'Write a connection message for one profile',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            name: ref('NonEmptyString'),
+            title: ref('NonEmptyString'),
+            company: { type: 'string', nullable: true },
+            location: { type: 'string', nullable: true },
+            userDescription: { type: 'string', nullable: true }
+          },
+          required: ['name', 'title']
+        }),
+        responses: {
+          200: jsonResponse('Message', { type: 'object', properties: { message: { type: 'string' } } }),
+          ...AI_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/linkedin/search-and-generate': {
+      post: {
+        tags: ['linkedin'],
+        summary: 'Search profiles and write a message for each',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            query: ref('NonEmptyString'),
+            limit: ref('SearchLimit'),
+            userDescription: { type: 'string', nullable: true }
+          },
+          required: ['query']
+        }),
+        responses: {
+          200: jsonResponse('Profiles with messages (generatedMessage is null and error set when one failed)', {
+            type: 'object',
+            properties: {
+              profiles: { type: 'array', items: ref('LinkedInProfile') },
+              count: { type: 'integer' },
+              message: { type: 'string' }
+            }
+          }),
+          ...AI_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/auth/pair': {
+      post: {
+        tags: ['auth'],
+        summary: 'Exchange a pairing code for a client token',
+        security: [],
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            code: { type: 'string', minLength: 1 },
+            installId: ref('NonEmptyString'),
+            label: { type: 'string' },
+            scopes: { type: 'array', items: ref('Scope'), uniqueItems: true }
+          },
+          required: ['code', 'installId']
+        }),
+        responses: {
+          200: jsonResponse('Token (shown once)', {
+            type: 'object',
+            properties: { token: { type: 'string' }, id: { type: 'string' }, scopes: { type: 'array', items: ref('Scope') } }
+          }),
+          401: jsonResponse('invalid_pairing_code: unknown, used or expired code', ref('Error')),
+          ...errors('ValidationFailed', 'RateLimited')
+        }
+      }
+    },
+    '/api/auth/token': {
+      delete: {
+        tags: ['auth'],
+        summary: "Revoke the calling client's token",
+        responses: {
+          200: jsonResponse('Revoked', ref('Revoked')),
+          ...errors('ValidationFailed', 'Unauthorized')
+        }
+      }
+    },
+    '/api/auth/pairing-codes': {
+      post: {
+        tags: ['auth', 'admin'],
+        summary: 'Create a pairing code (valid 10 minutes)',
+        security: [{ adminToken: [] }],
+        requestBody: {
+          required: false,
+          content: {
+            'application/json': {
+              schema: { type: 'object', properties: { scopes: { type: 'array', items: ref('Scope'), minItems: 1 } } }
+            }
+          }
+        },
+        responses: {
+          200: jsonResponse('Pairing code', {
+            type: 'object',
+            properties: { code: { type: 'string' }, scopes: { type: 'array', items: ref('Scope') }, expiresAt: { type: 'string', format: 'date-time' } }
+          }),
+          ...errors('ValidationFailed'),
+          ...ADMIN_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/auth/tokens': {
+      get: {
+        tags: ['auth', 'admin'],
+        summary: 'List issued tokens (never the token values)',
+        security: [{ adminToken: [] }],
+        responses: {
+          200: jsonResponse('Tokens', { type: 'object', properties: { tokens: { type: 'array', items: { type: 'object' } } } }),
+          ...ADMIN_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/auth/tokens/{id}': {
+      delete: {
+        tags: ['auth', 'admin'],
+        summary: 'Revoke a token',
+        security: [{ adminToken: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: jsonResponse('Revoked', ref('Revoked')),
+          ...errors('NotFound'),
+          ...ADMIN_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/cache/stats': {
+      get: {
+        tags: ['admin'],
+        summary: 'Result cache hit/miss counts per prefix',
+        security: [{ adminToken: [] }],
+        responses: { 200: jsonResponse('Cache stats', { type: 'object' }), ...ADMIN_ROUTE_ERRORS }
+      }
+    },
+    '/api/usage': {
+      get: {
+        tags: ['admin'],
+        summary: "Today's model usage, cost and budgets",
+        security: [{ adminToken: [] }],
+        responses: { 200: jsonResponse('Usage', { type: 'object' }), ...ADMIN_ROUTE_ERRORS }
+      }
+    },
+    '/api/prompts': {
+      get: {
+        tags: ['admin'],
+        summary: 'Prompt templates and their active versions',
+        security: [{ adminToken: [] }],
+        responses: { 200: jsonResponse('Prompts', { type: 'object' }), ...ADMIN_ROUTE_ERRORS }
+      }
+    },
+    '/metrics': {
+      get: {
+        tags: ['admin'],
+        summary: 'Prometheus metrics',
+        security: [{ adminToken: [] }],
+        responses: {
+          200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+          ...ADMIN_ROUTE_ERRORS
+        }
+      }
+    },
+    '/api/docs': {
+      get: {
+        tags: ['meta'],
+        summary: 'This document',
+        security: [],
+        responses: { 200: jsonResponse('OpenAPI document', { type: 'object' }) }
+      }
+    },
+    '/health': {
+      get: {
+        tags: ['meta'],
+        summary: 'Health check',
+        security: [],
+        responses: {
+          200: jsonResponse('OK', { type: 'object', properties: { status: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' } } })
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      clientToken: { type: 'http', scheme: 'bearer', description: 'Per-install token from POST /api/auth/pair' },
+      adminToken: { type: 'http', scheme: 'bearer', description: 'The operator\'s AUTH_ADMIN_TOKEN' }
+    },
+    schemas: {
+      NonEmptyString: { type: 'string', pattern: '\\S', 'x-pattern-message': 'must not be empty' },
+      EmailContent: {
+        $ref: '#/components/schemas/NonEmptyString',
+        description: 'Subject, sender and body: "Subject: ...\\n\\nFrom: ...\\n\\n[List-Unsubscribe: ...\\n\\n]body"'
+      },
+      RedactionLevel: {
+        type: 'string',
+        enum: redaction.LEVELS,
+        description: 'PII redaction before provider calls (default: the server\'s PII_REDACTION_LEVEL)'
+      },
+      ReferenceDate: {
+        type: 'string',
+        pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+        'x-pattern-message': 'must be a date (YYYY-MM-DD)',
+        description: 'Date the email was sent, for relative dates ("next Tuesday", "reply by Friday"). Default: today (UTC)'
+      },
+      Scope: { type: 'string', enum: auth.SCOPES },
+      Stage: { type: 'string', nullable: true, enum: [...Object.keys(STAGE_TO_SLUG), null] },
+      StageSlug: { type: 'string', enum: [...new Set(Object.values(STAGE_TO_SLUG))] },
+      JobType: { type: 'string', nullable: true, enum: [...new Set(Object.values(STAGE_TO_SLUG)), null] },
+      SearchLimit: { type: 'integer', minimum: 1, maximum: 10, default: 10 },
+      SummaryResult: {
+        type: 'object',
+        properties: {
+          summary: { type: 'string' },
+          category: { type: 'string' },
+          hasUnsubscribe: { type: 'boolean' },
+          unsubscribeLink: { type: 'string', nullable: true },
+          transitionFrom: ref('Stage'),
+          transitionTo: ref('Stage'),
+          jobType: ref('JobType'),
+          application: ref('Application'),
+          promptVersion: { type: 'string' },
+          fallback: { type: 'boolean', description: 'Neutral default; the model output was unusable' },
+          source: { type: 'string', enum: ['heuristic'], description: 'Rule-based result; no LLM provider configured' }
+        },
+        required: ['summary', 'category', 'hasUnsubscribe']
+      },
+      Application: {
+        type: 'object',
+        nullable: true,
+        description: 'Details of the job application a Job email is about; null for Other emails. Each field is null when the email does not state it.',
+        properties: {
+          company: { type: 'string', nullable: true, description: 'Hiring company (not the ATS or job board)' },
+          role: { type: 'string', nullable: true },
+          requisitionId: { type: 'string', nullable: true },
+          atsVendor: { type: 'string', nullable: true, description: 'Applicant tracking system, from the sender domain when known' },
+          location: { type: 'string', nullable: true }
+        }
+      },
+      InterviewDetails: {
+        type: 'object',
+        properties: {
+          isInterview: { type: 'boolean', description: 'The email invites the recipient to (or confirms) an interview' },
+          title: { type: 'string', nullable: true },
+          start: { type: 'string', nullable: true, description: 'Local date-time, YYYY-MM-DDTHH:mm' },
+          end: { type: 'string', nullable: true, description: 'Local date-time, YYYY-MM-DDTHH:mm; null when not stated' },
+          timezone: { type: 'string', nullable: true, description: 'IANA timezone of start/end; null = floating time' },
+          meetingLink: { type: 'string', nullable: true },
+          location: { type: 'string', nullable: true },
+          interviewers: { type: 'array', items: { type: 'string' } },
+          promptVersion: { type: 'string' },
+          fallback: { type: 'boolean', description: 'No interview by default; the model output was unusable' }
+        },
+        required: ['isInterview', 'start', 'interviewers']
+      },
+      LabelMatch: {
+        type: 'object',
+        properties: {
+          match: { type: 'boolean' },
+          confidence: { type: 'number', minimum: 0, maximum: 1, description: 'How sure the decision (match or not) is' },
+          promptVersion: { type: 'string' },
+          fallback: { type: 'boolean', description: 'No match by default; the model output was unusable' },
+          source: { type: 'string', enum: ['heuristic'], description: 'Rule-based result; no LLM provider configured' }
+        },
+        required: ['match']
+      },
+      LinkedInProfile: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          title: { type: 'string' },
+          company: { type: 'string' },
+          location: { type: 'string' },
+          linkedinUrl: { type: 'string' },
+          snippet: { type: 'string' },
+          generatedMessage: { type: 'string', nullable: true },
+          error: { type: 'string' }
+        }
+      },
+      Revoked: { type: 'object', properties: { revoked: { type: 'boolean' } } },
+      Error: {
+        type: 'object',
+        properties: {
+          error: {
+            type: 'object',
+            properties: {
+              code: {
+                type: 'string',
+                description: 'validation_failed, invalid_json, payload_too_large, unauthorized, invalid_pairing_code, '
+                  + 'forbidden, admin_disabled, auth_disabled, not_found, rate_limited, budget_exhausted, '
+                  + 'provider_not_configured, search_not_configured, provider_error, invalid_model_output, '
+                  + 'search_failed, internal_error'
+              },
+              message: { type: 'string' },
+              details: {
+                description: 'validation_failed: Array<{ path, message }>; rate_limited and budget_exhausted: { retryAfter } '
+                  + '(seconds, also in the Retry-After header); provider_error: { provider, upstreamStatus }; '
+                  + 'invalid_model_output: { reason, task }'
+              }
+            },
+            required: ['code', 'message']
+          }
+        },
+        required: ['error']
+      }
+    },
+    responses: {
+      ValidationFailed: jsonResponse('validation_failed, invalid_json', ref('Error')),
+      Unauthorized: jsonResponse('unauthorized: missing, invalid or revoked token', ref('Error')),
+      Forbidden: jsonResponse('forbidden: token lacks the scope; admin_disabled', ref('Error')),
+      NotFound: jsonResponse('not_found', ref('Error')),
+      RateLimited: jsonResponse('rate_limited, budget_exhausted (see Retry-After)', ref('Error')),
+      InternalError: jsonResponse('provider_not_configured, search_not_configured, internal_error', ref('Error')),
+      UpstreamError: jsonResponse('provider_error, invalid_model_output, search_failed', ref('Error'))
+    }
+  }
+};
+
+module.exports = spec;
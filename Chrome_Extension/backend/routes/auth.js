@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../utils/auth');
+const { rateLimit } = require('../utils/rateLimit');
+const { sendError } = require('../utils/errors');
+
+// Request bodies are validated against openapi.js before these handlers run (see utils/validation.js)
+
+/**
+ * POST /api/auth/pair
+ * Exchange a one-time pairing code for a per-install bearer token
+ * Body: { code: string, installId: string, label?: string, scopes?: Array<'email' | 'linkedin'> }
+ * Returns: { token: string, id: string, scopes: Array<string> }
+ */
+router.post('/pair', rateLimit(), (req, res) => {
+  const { code, installId, label, scopes } = req.body;
+
+  const paired = auth.pair(code, {
+    installId: installId.trim(),
+    label: typeof label === 'string' ? label.trim().slice(0, 100) : null,
+    scopes
+  });
+  if (!paired) {
+    return sendError(res, 401, 'invalid_pairing_code', 'Pairing code is invalid or has expired');
+  }
+
+  res.json({ token: paired.token, id: paired.record.id, scopes: paired.record.scopes });
+});
+
+/**
+ * DELETE /api/auth/token
+ * Revoke the token used to make this request (extension "Unpair")
+ * Returns: { revoked: true }
+ */
+router.delete('/token', auth.requireScope(), (req, res) => {
+  if (!req.client) {
+    return sendError(res, 400, 'auth_disabled', 'Authentication is disabled on this server');
+  }
+  auth.revoke(req.client.id);
+  res.json({ revoked: true });
+});
+
+/**
+ * POST /api/auth/pairing-codes (admin)
+ * Create a pairing code valid for 10 minutes
+ * Body: { scopes?: Array<'email' | 'linkedin'> }
+ * Returns: { code: string, scopes: Array<string>, expiresAt: string }
+ */
+router.post('/pairing-codes', auth.requireAdmin, (req, res) => {
+  res.json(auth.createPairingCode(req.body.scopes));
+});
+
+/**
+ * GET /api/auth/tokens (admin)
+ * List issued tokens (never the token values)
+ * Returns: { tokens: Array<{ id, installId, label, scopes, createdAt, revokedAt }> }
+ */
+router.get('/tokens', auth.requireAdmin, (req, res) => {
+  res.json({ tokens: auth.listTokens() });
+});
+
+/**
+ * DELETE /api/auth/tokens/:id (admin)
+ * Revoke a token
+ * Returns: { revoked: true }
+ */
+router.delete('/tokens/:id', auth.requireAdmin, (req, res) => {
+  if (!auth.revoke(req.params.id)) {
+    return sendError(res, 404, 'not_found', 'Token not found or already revoked');
+  }
+  res.json({ revoked: true });
+});
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const openaiCache = require('../utils/openaiCache');
+
+/**
+ * GET /api/cache/stats
+ * Hit/miss counts per cache prefix (summarize, categorize, match, actions, sentiment)
+ * Returns: { entries, maxEntries, persistent, prefixes: { [prefix]: { hits, misses, hitRatio, entries, ttlMs } } }
+ */
+router.get('/stats', (req, res) => {
+  res.json(openaiCache.getStats());
+});
+
+module.exports = router;
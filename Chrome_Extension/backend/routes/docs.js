@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const spec = require('../openapi');
+
+/**
+ * GET /api/docs
+ * The OpenAPI 3 document for this API (request schemas are enforced by utils/validation.js)
+ * Returns: OpenAPI document (JSON)
+ */
+router.get('/', (req, res) => {
+  res.json(spec);
+});
+
+module.exports = router;
@@ -1,48 +1,263 @@
 const express = require('express');
 const router = express.Router();
-const { summarizeEmail, categorizeEmail, detectUnsubscribe, matchCustomLabel } = require('../utils/openai');
+const { summarizeEmail, summarizeEmailStream, summarizeEmailsBatch, summarizeThread, categorizeEmail, detectUnsubscribe, matchCustomLabel, matchCustomLabels, extractActionItems, extractInterviewDetails, analyzeSentiment, draftReply } = require('../utils/openai');
 const openaiCache = require('../utils/openaiCache');
+const heuristic = require('../utils/heuristicClassifier');
+const redaction = require('../utils/redaction');
+const feedbackStore = require('../utils/feedbackStore');
+const { sendError, errorBody, toApiError } = require('../utils/errors');
 
-// Get OpenAI API key from environment (server-side)
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const llm = require('../utils/llm');
 
-if (!OPENAI_API_KEY) {
-  console.error('WARNING: OPENAI_API_KEY not set in environment variables');
+// Request bodies are validated against openapi.js before these handlers run (see utils/validation.js)
+
+if (!llm.isConfigured()) {
+  console.error(`WARNING: ${llm.configurationError()}`);
+  console.error('Summarize, categorize and custom label requests will use the rule-based classifier until a provider is configured.');
+}
+
+/**
+ * /summarize result from the rule-based classifier, for when no LLM provider is configured.
+ * Not cached, so the email is analyzed properly once a provider is set up.
+ * @param {string} emailContent
+ * @returns {Promise<Object>} Same shape as /summarize, with source: "heuristic"
+ */
+async function heuristicSummary(emailContent) {
+  const result = heuristic.summarizeEmail(emailContent);
+  const unsubscribeResult = await detectUnsubscribe(emailContent);
+  result.hasUnsubscribe = result.hasUnsubscribe || unsubscribeResult.hasUnsubscribe;
+  result.unsubscribeLink = unsubscribeResult.unsubscribeLink || null;
+  return result;
 }
 
 /**
  * POST /api/email/summarize
  * Generate AI summary, category, and unsubscribe detection for an email
- * Body: { emailContent: string }
+ * Body: { emailContent: string, redaction?: 'off' | 'standard' | 'strict' }
  * Returns: { summary: string, category: string, hasUnsubscribe: boolean }
+ * The client's past stage corrections most similar to the email are added to the prompt (see /feedback).
+ * Without an LLM provider the result comes from the rule-based classifier and has source: "heuristic".
  */
 router.post('/summarize', async (req, res, next) => {
   try {
     const { emailContent } = req.body;
+    const redactionLevel = redaction.resolveLevel(req.body.redaction);
+
+    if (!llm.isConfigured()) {
+      return res.json(await heuristicSummary(emailContent));
+    }
+
+    const examples = feedbackStore.relevantExamples(feedbackStore.clientKeyOf(req), emailContent);
+    const key = openaiCache.keys.summarize(emailContent, redactionLevel, examples.map((e) => e.id));
+    const result = await openaiCache.getOrCompute(key, async () => {
+      const rawResult = await summarizeEmail(emailContent, { redactionLevel, examples });
+      const unsubscribeResult = await detectUnsubscribe(emailContent);
+      rawResult.hasUnsubscribe = unsubscribeResult.hasUnsubscribe;
+      rawResult.unsubscribeLink = unsubscribeResult.unsubscribeLink || null;
+      return rawResult;
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/email/summarize/stream
+ * Same analysis as /summarize, streamed as server-sent events so the summary can be shown while it is written.
+ * Body: { emailContent: string, redaction?: 'off' | 'standard' | 'strict' }
+ * Events:
+ *   token  - { text: string } next piece of the summary
+ *   result - same object as /summarize returns (final; its summary is authoritative)
+ *   error  - error envelope { error: { code, message, details? } } (see utils/errors)
+ * Validation errors are returned as plain JSON (400) before the stream starts.
+ * Cached and rule-based (no LLM provider) results are sent as a single token followed by the result.
+ */
+router.post('/summarize/stream', async (req, res) => {
+  const { emailContent } = req.body;
+  const redactionLevel = redaction.resolveLevel(req.body.redaction);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let streamedText = false;
+  try {
+    if (!llm.isConfigured()) {
+      const result = await heuristicSummary(emailContent);
+      send('token', { text: result.summary });
+      send('result', result);
+      return res.end();
+    }
+
+    const examples = feedbackStore.relevantExamples(feedbackStore.clientKeyOf(req), emailContent);
+    const key = openaiCache.keys.summarize(emailContent, redactionLevel, examples.map((e) => e.id));
+    const result = await openaiCache.getOrCompute(key, async () => {
+      const rawResult = await summarizeEmailStream(emailContent, (text) => {
+        streamedText = true;
+        send('token', { text });
+      }, { redactionLevel, examples });
+      const unsubscribeResult = await detectUnsubscribe(emailContent);
+      rawResult.hasUnsubscribe = unsubscribeResult.hasUnsubscribe;
+      rawResult.unsubscribeLink = unsubscribeResult.unsubscribeLink || null;
+      return rawResult;
+    });
+    // Cache hit or joined another request's computation: nothing was streamed yet
+    if (!streamedText) send('token', { text: result.summary });
+    send('result', result);
+  } catch (error) {
+    console.error('Error:', error);
+    const apiError = toApiError(error);
+    send('error', errorBody(apiError.code, apiError.message, apiError.details));
+  }
+  res.end();
+});
+
+/**
+ * POST /api/email/summarize-batch
+ * Same analysis as /summarize for many emails, packed into fewer model calls.
+ * Reuses (and fills) the per-email /summarize cache entries. Emails similar to the client's past stage
+ * corrections are analyzed one by one with those corrections, like /summarize. Without an LLM provider,
+ * uncached emails get rule-based results (source: "heuristic").
+ * Body: { emails: Array<{ id: string, emailContent: string }>, redaction?: 'off' | 'standard' | 'strict' }
+ * Returns: { results: Array<{ id: string, result?: Object, error?: string }> } (same order as request)
+ */
+router.post('/summarize-batch', async (req, res, next) => {
+  try {
+    const { emails } = req.body;
+    const redactionLevel = redaction.resolveLevel(req.body.redaction);
+
+    const ids = emails.map((item) => item.id.trim());
+    if (new Set(ids).size !== ids.length) {
+      return sendError(res, 400, 'validation_failed', 'Each email must have a unique id', [
+        { path: 'body.emails', message: 'ids must be unique' }
+      ]);
+    }
+
+    const clientKey = feedbackStore.clientKeyOf(req);
+    const outcomes = new Map();
+    const toProcess = [];
+    const withExamples = [];
+    emails.forEach(({ emailContent }, index) => {
+      const id = ids[index];
+      if (typeof emailContent !== 'string' || emailContent.trim().length === 0) {
+        outcomes.set(id, { error: 'emailContent is required and must be a non-empty string' });
+        return;
+      }
+      const examples = llm.isConfigured() ? feedbackStore.relevantExamples(clientKey, emailContent) : [];
+      const cached = openaiCache.get(openaiCache.keys.summarize(emailContent, redactionLevel, examples.map((e) => e.id)));
+      if (cached) {
+        outcomes.set(id, { result: cached });
+      } else if (examples.length > 0) {
+        withExamples.push({ id, emailContent, examples });
+      } else {
+        toProcess.push({ id, emailContent });
+      }
+    });
 
-    // Validation
-    if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
-      return res.status(400).json({ 
-        error: 'emailContent is required and must be a non-empty string' 
-      });
+    // Emails resembling the client's past stage corrections get the single-email prompt with those corrections
+    for (const { id, emailContent, examples } of withExamples) {
+      try {
+        const result = await summarizeEmail(emailContent, { redactionLevel, examples });
+        const unsubscribeResult = await detectUnsubscribe(emailContent);
+        result.hasUnsubscribe = unsubscribeResult.hasUnsubscribe;
+        result.unsubscribeLink = unsubscribeResult.unsubscribeLink || null;
+        if (!result.fallback) {
+          openaiCache.set(openaiCache.keys.summarize(emailContent, redactionLevel, examples.map((e) => e.id)), result);
+        }
+        outcomes.set(id, { result });
+      } catch (error) {
+        outcomes.set(id, { error: error.message });
+      }
     }
 
-    if (!OPENAI_API_KEY) {
-      return res.status(500).json({ 
-        error: 'OpenAI API key not configured on server. Please set OPENAI_API_KEY environment variable.' 
-      });
+    if (toProcess.length > 0 && !llm.isConfigured()) {
+      for (const { id, emailContent } of toProcess) {
+        outcomes.set(id, { result: await heuristicSummary(emailContent) });
+      }
+    } else if (toProcess.length > 0) {
+      const batchOutcomes = await summarizeEmailsBatch(toProcess, { redactionLevel });
+      for (const { id, emailContent } of toProcess) {
+        const outcome = batchOutcomes.get(id) || { error: 'No result returned for this email' };
+        if (outcome.result) {
+          const unsubscribeResult = await detectUnsubscribe(emailContent);
+          outcome.result.hasUnsubscribe = unsubscribeResult.hasUnsubscribe;
+          outcome.result.unsubscribeLink = unsubscribeResult.unsubscribeLink || null;
+          openaiCache.set(openaiCache.keys.summarize(emailContent, redactionLevel), outcome.result);
+        }
+        outcomes.set(id, outcome);
+      }
     }
 
-    const cacheKey = openaiCache.keys.summarize(emailContent);
-    let result = openaiCache.get(cacheKey);
-    if (result) return res.json(result);
+    const results = ids.map((id) => ({ id, ...outcomes.get(id) }));
+    res.json({ results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/email/feedback
+ * Record a job stage correction the user made. A redacted excerpt of the email is stored for this
+ * client and added as a few-shot example to later /summarize prompts for similar emails.
+ * Body: { emailContent: string, stage: string, previousStage?: string | null, emailId?: string,
+ *   redaction?: 'off' | 'standard' | 'strict' } (stages are jobType slugs; "off" still stores a redacted excerpt)
+ * Returns (201): { id, emailId, excerpt, stage, previousStage, createdAt }
+ */
+router.post('/feedback', (req, res) => {
+  const { emailContent, stage, previousStage, emailId } = req.body;
+  const stored = feedbackStore.record(feedbackStore.clientKeyOf(req), {
+    emailContent,
+    stage,
+    previousStage: previousStage || null,
+    emailId: emailId || null,
+    redactionLevel: redaction.resolveLevel(req.body.redaction)
+  });
+  res.status(201).json(stored);
+});
+
+/**
+ * DELETE /api/email/feedback
+ * Delete every stage correction stored for this client.
+ * Returns: { deleted: number }
+ */
+router.delete('/feedback', (req, res) => {
+  res.json({ deleted: feedbackStore.clear(feedbackStore.clientKeyOf(req)) });
+});
 
-    const rawResult = await summarizeEmail(emailContent, OPENAI_API_KEY);
-    const unsubscribeResult = await detectUnsubscribe(emailContent, OPENAI_API_KEY);
-    rawResult.hasUnsubscribe = unsubscribeResult.hasUnsubscribe;
-    rawResult.unsubscribeLink = unsubscribeResult.unsubscribeLink || null;
-    openaiCache.set(cacheKey, rawResult);
-    res.json(rawResult);
+/**
+ * POST /api/email/summarize-thread
+ * Summarize a whole conversation (e.g. a recruiter back-and-forth) instead of one message.
+ * Body: { messages: Array<{ emailContent: string, date?: string, fromMe?: boolean }>, redaction?: 'off' | 'standard' | 'strict' }
+ *   messages are oldest first; fromMe marks messages the user sent
+ * Returns: { summary: string, category: 'Job' | 'Other', stage: string | null, jobType: string | null,
+ *   nextReply: 'you' | 'them' | 'none', messageCount: number }
+ * Without an LLM provider the result comes from the rule-based classifier and has source: "heuristic".
+ */
+router.post('/summarize-thread', async (req, res, next) => {
+  try {
+    const { messages } = req.body;
+    const redactionLevel = redaction.resolveLevel(req.body.redaction);
+
+    const thread = messages.map(({ emailContent, date, fromMe }) => ({ emailContent, date, fromMe: fromMe === true }));
+    if (!llm.isConfigured()) {
+      return res.json(heuristic.summarizeThread(thread));
+    }
+
+    const result = await openaiCache.getOrCompute(
+      openaiCache.keys.summarizeThread(thread, redactionLevel),
+      () => summarizeThread(thread, { redactionLevel })
+    );
+    res.json(result);
   } catch (error) {
     next(error);
   }
@@ -51,30 +266,23 @@ router.post('/summarize', async (req, res, next) => {
 /**
  * POST /api/email/categorize
  * Categorize an email
- * Body: { emailContent: string }
+ * Body: { emailContent: string, redaction?: 'off' | 'standard' | 'strict' }
  * Returns: { category: string, confidence: number }
+ * Without an LLM provider the result comes from the rule-based classifier and has source: "heuristic".
  */
 router.post('/categorize', async (req, res, next) => {
   try {
     const { emailContent } = req.body;
+    const redactionLevel = redaction.resolveLevel(req.body.redaction);
 
-    if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
-      return res.status(400).json({ 
-        error: 'emailContent is required and must be a non-empty string' 
-      });
-    }
-
-    if (!OPENAI_API_KEY) {
-      return res.status(500).json({ 
-        error: 'OpenAI API key not configured on server. Please set OPENAI_API_KEY environment variable.' 
-      });
+    if (!llm.isConfigured()) {
+      return res.json(heuristic.categorizeEmail(emailContent));
     }
 
-    const cacheKey = openaiCache.keys.categorize(emailContent);
-    let result = openaiCache.get(cacheKey);
-    if (result) return res.json(result);
-    result = await categorizeEmail(emailContent, OPENAI_API_KEY);
-    openaiCache.set(cacheKey, result);
+    const result = await openaiCache.getOrCompute(
+      openaiCache.keys.categorize(emailContent, redactionLevel),
+      () => categorizeEmail(emailContent, { redactionLevel })
+    );
     res.json(result);
   } catch (error) {
     next(error);
@@ -91,14 +299,8 @@ router.post('/detect-unsubscribe', async (req, res, next) => {
   try {
     const { emailContent } = req.body;
 
-    if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
-      return res.status(400).json({ 
-        error: 'emailContent is required and must be a non-empty string' 
-      });
-    }
-
-    // API key is optional for unsubscribe detection (uses pattern matching primarily)
-    const result = await detectUnsubscribe(emailContent, OPENAI_API_KEY || '');
+    // Pattern matching only, so no LLM provider is needed
+    const result = await detectUnsubscribe(emailContent);
     res.json(result);
   } catch (error) {
     next(error);
@@ -108,36 +310,186 @@ router.post('/detect-unsubscribe', async (req, res, next) => {
 /**
  * POST /api/email/match-custom-label
  * Check if an email matches a user-defined label (name + description)
- * Body: { emailContent: string, labelName: string, labelDescription: string }
+ * Body: { emailContent: string, labelName: string, labelDescription: string, redaction?: 'off' | 'standard' | 'strict' }
  * Returns: { match: boolean }
+ * Without an LLM provider the result comes from keyword matching and has source: "heuristic".
  */
 router.post('/match-custom-label', async (req, res, next) => {
   try {
     const { emailContent, labelName, labelDescription } = req.body;
+    const redactionLevel = redaction.resolveLevel(req.body.redaction);
+
+    const name = labelName.trim();
+    const desc = labelDescription.trim();
+    if (!llm.isConfigured()) {
+      return res.json(heuristic.matchCustomLabel(emailContent, name, desc));
+    }
+
+    const result = await openaiCache.getOrCompute(
+      openaiCache.keys.matchCustomLabel(emailContent, name, desc, redactionLevel),
+      () => matchCustomLabel(emailContent, name, desc, { redactionLevel })
+    );
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/email/match-custom-labels
+ * Check an email against all of the user's labels in one model call instead of one per label.
+ * Reuses (and fills) the per-label /match-custom-label cache entries. Without an LLM provider the
+ * results come from keyword matching and have source: "heuristic".
+ * Body: { emailContent: string, labels: Array<{ id: string, name: string, description: string }>,
+ *   redaction?: 'off' | 'standard' | 'strict' }
+ * Returns: { results: Array<{ id: string, match: boolean, confidence: number }> } (same order as request)
+ */
+router.post('/match-custom-labels', async (req, res, next) => {
+  try {
+    const { emailContent } = req.body;
+    const redactionLevel = redaction.resolveLevel(req.body.redaction);
 
-    if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
-      return res.status(400).json({ error: 'emailContent is required and must be a non-empty string' });
+    const labels = req.body.labels.map(({ id, name, description }) => ({
+      id: id.trim(),
+      name: name.trim(),
+      description: description.trim()
+    }));
+    if (new Set(labels.map((label) => label.id)).size !== labels.length) {
+      return sendError(res, 400, 'validation_failed', 'Each label must have a unique id', [
+        { path: 'body.labels', message: 'ids must be unique' }
+      ]);
     }
-    if (!labelName || typeof labelName !== 'string' || !labelName.trim()) {
-      return res.status(400).json({ error: 'labelName is required' });
+
+    const keyOf = (label) => openaiCache.keys.matchCustomLabel(emailContent, label.name, label.description, redactionLevel);
+    const outcomes = new Map();
+    const toProcess = [];
+    for (const label of labels) {
+      const cached = openaiCache.get(keyOf(label));
+      if (cached) {
+        outcomes.set(label.id, cached);
+      } else {
+        toProcess.push(label);
+      }
     }
-    if (!labelDescription || typeof labelDescription !== 'string' || !labelDescription.trim()) {
-      return res.status(400).json({ error: 'labelDescription is required' });
+
+    if (toProcess.length > 0 && !llm.isConfigured()) {
+      for (const label of toProcess) {
+        outcomes.set(label.id, heuristic.matchCustomLabel(emailContent, label.name, label.description));
+      }
+    } else if (toProcess.length > 0) {
+      const matched = await matchCustomLabels(emailContent, toProcess, { redactionLevel });
+      for (const label of toProcess) {
+        const result = matched.get(label.id);
+        if (!result.fallback) openaiCache.set(keyOf(label), result);
+        outcomes.set(label.id, result);
+      }
     }
 
-    if (!OPENAI_API_KEY) {
-      return res.status(500).json({
-        error: 'OpenAI API key not configured on server. Please set OPENAI_API_KEY environment variable.'
-      });
+    res.json({ results: labels.map(({ id }) => ({ id, ...outcomes.get(id) })) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/email/extract-actions
+ * Extract action items and deadlines (OA due dates, reply-by dates, interview confirmations)
+ * Body: { emailContent: string, referenceDate?: 'YYYY-MM-DD', redaction?: 'off' | 'standard' | 'strict' }
+ * Returns: { actionItems: Array<{ text: string, deadline: string | null, urgent: boolean }> }
+ */
+router.post('/extract-actions', async (req, res, next) => {
+  try {
+    const { emailContent } = req.body;
+    const referenceDate = req.body.referenceDate || new Date().toISOString().slice(0, 10);
+    const redactionLevel = redaction.resolveLevel(req.body.redaction);
+
+    if (!llm.isConfigured()) {
+      return sendError(res, 500, 'provider_not_configured', llm.configurationError());
     }
 
-    const name = labelName.trim();
-    const desc = labelDescription.trim();
-    const cacheKey = openaiCache.keys.matchCustomLabel(emailContent, name, desc);
-    let result = openaiCache.get(cacheKey);
-    if (result) return res.json(result);
-    result = await matchCustomLabel(emailContent, name, desc, OPENAI_API_KEY);
-    openaiCache.set(cacheKey, result);
+    const result = await openaiCache.getOrCompute(
+      openaiCache.keys.extractActions(emailContent, referenceDate, redactionLevel),
+      () => extractActionItems(emailContent, { referenceDate, redactionLevel })
+    );
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/email/extract-interview
+ * Extract the date, time, timezone, meeting link and interviewers of an interview invite (for a calendar event)
+ * Body: { emailContent: string, referenceDate?: 'YYYY-MM-DD', redaction?: 'off' | 'standard' | 'strict' }
+ * Returns: { isInterview: boolean, title, start, end, timezone, meetingLink, location, interviewers: string[] }
+ */
+router.post('/extract-interview', async (req, res, next) => {
+  try {
+    const { emailContent } = req.body;
+    const referenceDate = req.body.referenceDate || new Date().toISOString().slice(0, 10);
+    const redactionLevel = redaction.resolveLevel(req.body.redaction);
+
+    if (!llm.isConfigured()) {
+      return sendError(res, 500, 'provider_not_configured', llm.configurationError());
+    }
+
+    const result = await openaiCache.getOrCompute(
+      openaiCache.keys.extractInterview(emailContent, referenceDate, redactionLevel),
+      () => extractInterviewDetails(emailContent, { referenceDate, redactionLevel })
+    );
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/email/analyze-sentiment
+ * Classify the tone of an email (recruiter enthusiasm, rejections, deadlines)
+ * Body: { emailContent: string, redaction?: 'off' | 'standard' | 'strict' }
+ * Returns: { sentiment: 'positive' | 'neutral' | 'negative' | 'urgent', confidence: number }
+ */
+router.post('/analyze-sentiment', async (req, res, next) => {
+  try {
+    const { emailContent } = req.body;
+    const redactionLevel = redaction.resolveLevel(req.body.redaction);
+
+    if (!llm.isConfigured()) {
+      return sendError(res, 500, 'provider_not_configured', llm.configurationError());
+    }
+
+    const result = await openaiCache.getOrCompute(
+      openaiCache.keys.analyzeSentiment(emailContent, redactionLevel),
+      () => analyzeSentiment(emailContent, { redactionLevel })
+    );
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/email/draft-reply
+ * Draft a reply to an email for a chosen intent and tone. Not cached: asking again gives a new draft.
+ * Body: {
+ *   emailContent: string,
+ *   intent: 'accept_interview' | 'propose_times' | 'decline_offer' | 'thank_recruiter',
+ *   tone?: 'formal' | 'friendly' | 'enthusiastic' | 'brief',
+ *   notes?: string, senderName?: string,
+ *   redaction?: 'off' | 'standard' | 'strict'
+ * }
+ * Returns: { draft: string, intent: string, tone: string, promptVersion: string }
+ */
+router.post('/draft-reply', async (req, res, next) => {
+  try {
+    const { emailContent, intent, tone = 'formal', notes = '', senderName = '' } = req.body;
+    const redactionLevel = redaction.resolveLevel(req.body.redaction);
+
+    if (!llm.isConfigured()) {
+      return sendError(res, 500, 'provider_not_configured', llm.configurationError());
+    }
+
+    const result = await draftReply(emailContent, { intent, tone, notes, senderName, redactionLevel });
     res.json(result);
   } catch (error) {
     next(error);
@@ -5,6 +5,10 @@ const {
   searchLinkedInProfiles,
   batchGenerateMessages
 } = require('../features/linkedin/services/linkedinAI.service');
+const llm = require('../utils/llm');
+const { sendError } = require('../utils/errors');
+
+// Request bodies are validated against openapi.js before these handlers run (see utils/validation.js)
 
 /**
  * POST /api/linkedin/search
@@ -12,14 +16,10 @@ const {
  * Body: { query: string, limit?: number }
  * Returns: { profiles: Array<Profile> }
  */
-router.post('/search', async (req, res) => {
+router.post('/search', async (req, res, next) => {
   try {
     const { query, limit } = req.body;
 
-    if (!query || typeof query !== 'string' || query.trim().length === 0) {
-      return res.status(400).json({ error: "Search query is required" });
-    }
-
     const profiles = await searchLinkedInProfiles(query, limit || 10);
     
     res.json({ 
@@ -28,8 +28,7 @@ router.post('/search', async (req, res) => {
     });
 
   } catch (error) {
-    console.error("LinkedIn Search Error:", error);
-    res.status(500).json({ error: error.message || "Failed to search LinkedIn profiles" });
+    next(error);
   }
 });
 
@@ -39,12 +38,12 @@ router.post('/search', async (req, res) => {
  * Body: { name, title, company, location, userDescription? }
  * Returns: { message: string }
  */
-router.post('/generate-message', async (req, res) => {
+router.post('/generate-message', async (req, res, next) => {
   try {
     const { name, title, company, location, userDescription } = req.body;
 
-    if (!name || !title) {
-      return res.status(400).json({ error: "Name and title are required" });
+    if (!llm.isConfigured()) {
+      return sendError(res, 500, 'provider_not_configured', llm.configurationError());
     }
 
     const message = await generateLinkedInMessage(
@@ -55,8 +54,7 @@ router.post('/generate-message', async (req, res) => {
     res.json({ message });
 
   } catch (error) {
-    console.error("LinkedIn AI Error:", error);
-    res.status(500).json({ error: "Failed to generate LinkedIn message" });
+    next(error);
   }
 });
 
@@ -66,12 +64,12 @@ router.post('/generate-message', async (req, res) => {
  * Body: { query: string, limit?: number, userDescription?: string }
  * Returns: { profiles: Array<ProfileWithMessage> }
  */
-router.post('/search-and-generate', async (req, res) => {
+router.post('/search-and-generate', async (req, res, next) => {
   try {
     const { query, limit, userDescription } = req.body;
 
-    if (!query || typeof query !== 'string' || query.trim().length === 0) {
-      return res.status(400).json({ error: "Search query is required" });
+    if (!llm.isConfigured()) {
+      return sendError(res, 500, 'provider_not_configured', llm.configurationError());
     }
 
     // Search for profiles
@@ -94,9 +92,8 @@ router.post('/search-and-generate', async (req, res) => {
     });
 
   } catch (error) {
-    console.error("LinkedIn Search & Generate Error:", error);
-    res.status(500).json({ error: error.message || "Failed to search and generate messages" });
+    next(error);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const prompts = require('../utils/prompts');
+
+/**
+ * GET /api/prompts
+ * Prompt templates with their active and available versions
+ * Returns: { prompts: Array<{ name, description, activeVersion, versions, fingerprint, includes, variables }> }
+ */
+router.get('/', (req, res) => {
+  res.json({ prompts: prompts.list() });
+});
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { getUsage } = require('../utils/usageBudget');
+
+/**
+ * GET /api/usage
+ * Today's model token usage and estimated cost, server-wide and per client, with the configured budgets
+ * Returns: { day, budgets, totals: { calls, promptTokens, completionTokens, tokens, costUsd, tasks }, clients }
+ */
+router.get('/', (req, res) => {
+  res.json(getUsage());
+});
+
+module.exports = router;
@@ -3,15 +3,34 @@ const express = require('express');
 const cors = require('cors');
 const emailRoutes = require('./routes/email');
 const linkedinRoutes = require('./routes/linkedin');
+const cacheRoutes = require('./routes/cache');
+const authRoutes = require('./routes/auth');
+const usageRoutes = require('./routes/usage');
+const promptRoutes = require('./routes/prompts');
+const docsRoutes = require('./routes/docs');
+const openapiSpec = require('./openapi');
+const auth = require('./utils/auth');
+const { rateLimit } = require('./utils/rateLimit');
+const { enforceBudget } = require('./utils/usageBudget');
+const metrics = require('./utils/metrics');
+const { validateRequest } = require('./utils/validation');
+const { errorHandler, notFound } = require('./utils/errors');
 
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Published Decluttr extension (ID derived from the manifest "key")
+const DEFAULT_EXTENSION_ORIGIN = 'chrome-extension://jhghfogjhnlchkadmkaajfblpehfgnid';
+
 // Middleware
-// Enable CORS for Chrome Extension (allow all origins for MVP, tighten in production)
+// CORS: only the extension origin by default. CORS_ORIGIN takes a comma-separated list (or '*').
+const allowedOrigins = (process.env.CORS_ORIGIN || DEFAULT_EXTENSION_ORIGIN)
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
 app.use(cors({
-  origin: process.env.CORS_ORIGIN || '*',
+  origin: allowedOrigins.includes('*') ? '*' : allowedOrigins,
   credentials: true
 }));
 
@@ -24,9 +43,22 @@ app.use((req, res, next) => {
   next();
 });
 
+app.use(metrics.httpMetrics);
+
+// Request bodies are checked against the OpenAPI document, after client auth (unauthenticated calls get 401, not 400)
+const validate = validateRequest(openapiSpec);
+
 // Routes
-app.use('/api/email', emailRoutes);
-app.use('/api/linkedin', linkedinRoutes);
+app.use('/api/auth', validate, authRoutes);
+app.use('/api/email', auth.requireScope('email'), rateLimit(), enforceBudget, validate, emailRoutes);
+app.use('/api/linkedin', auth.requireScope('linkedin'), rateLimit(), enforceBudget, validate, linkedinRoutes);
+app.use('/api/cache', auth.requireAdmin, cacheRoutes);
+app.use('/api/usage', auth.requireAdmin, usageRoutes);
+app.use('/api/prompts', auth.requireAdmin, promptRoutes);
+app.use('/api/docs', docsRoutes);
+
+// Prometheus scrape endpoint (admin token: set `authorization.credentials` in the scrape config)
+app.get('/metrics', auth.requireAdmin, metrics.metricsHandler);
 
 
 // Health check endpoint
@@ -34,22 +66,15 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal server error',
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-  });
-});
+// Error handling middleware (every error response uses the envelope from utils/errors)
+app.use(errorHandler);
 
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Not found' });
-});
+app.use(notFound);
 
 app.listen(PORT, () => {
   console.log(`Decluttr backend server running on http://localhost:${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
+  auth.logStartupStatus();
 });
 
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeDeadline, normalizeLocalDateTime } = require('../utils/openai');
+
+test('keeps date-only deadlines as they are', () => {
+  assert.equal(normalizeDeadline('2026-03-14'), '2026-03-14');
+  assert.equal(normalizeDeadline(' 2026-03-14 '), '2026-03-14');
+});
+
+test('keeps local times on the email wall clock', () => {
+  assert.equal(normalizeDeadline('2026-03-14T17:00'), '2026-03-14T17:00');
+  assert.equal(normalizeDeadline('2026-03-14T17:00:30'), '2026-03-14T17:00');
+  assert.equal(normalizeDeadline('2026-03-14 09:30'), '2026-03-14T09:30');
+});
+
+test('converts times with an offset or Z to UTC', () => {
+  assert.equal(normalizeDeadline('2026-03-14T17:00:00-05:00'), '2026-03-14T22:00:00.000Z');
+  assert.equal(normalizeDeadline('2026-03-14T17:00:00+0100'), '2026-03-14T16:00:00.000Z');
+  assert.equal(normalizeDeadline('2026-03-14T17:00:00Z'), '2026-03-14T17:00:00.000Z');
+});
+
+test('returns null for missing or unparseable deadlines', () => {
+  for (const value of [null, undefined, '', '  ', 'null', 'N/A', 'none', 'next Friday', '2026-13-40', '2026-03-14T25:00', 42]) {
+    assert.equal(normalizeDeadline(value), null, String(value));
+  }
+});
+
+test('normalizeLocalDateTime drops seconds and offsets', () => {
+  assert.equal(normalizeLocalDateTime('2026-03-14T17:00:45'), '2026-03-14T17:00');
+  assert.equal(normalizeLocalDateTime('2026-03-14T17:00:00-05:00'), '2026-03-14T17:00');
+  assert.equal(normalizeLocalDateTime('2026-03-14'), null);
+  assert.equal(normalizeLocalDateTime('soon'), null);
+  assert.equal(normalizeLocalDateTime(null), null);
+});
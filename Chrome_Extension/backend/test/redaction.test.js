@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { redact, createStreamRestorer } = require('../utils/redaction');
+
+test('masks card numbers that pass the Luhn check', () => {
+  const { text, restore } = redact('Card 4111 1111 1111 1111 was charged', 'standard');
+  assert.equal(text, 'Card [CARD_1] was charged');
+  assert.equal(restore(text), 'Card 4111 1111 1111 1111 was charged');
+});
+
+test('leaves digit runs that fail the Luhn check to the other detectors', () => {
+  const { text } = redact('Order 4111 1111 1111 1112 shipped', 'standard');
+  assert.ok(!text.includes('[CARD_'), text);
+});
+
+test('masks IBANs with and without spaces', () => {
+  const { text, count } = redact('Pay to DE89 3704 0044 0532 0130 00 or GB82WEST12345698765432.', 'standard');
+  assert.equal(text, 'Pay to [IBAN_1] or [IBAN_2].');
+  assert.equal(count, 2);
+});
+
+test('reuses the placeholder for a repeated value', () => {
+  const { text } = redact('IBAN GB82WEST12345698765432, again: GB82WEST12345698765432', 'standard');
+  assert.equal(text, 'IBAN [IBAN_1], again: [IBAN_1]');
+});
+
+test('sends content unchanged when redaction is off', () => {
+  const input = 'Card 4111 1111 1111 1111, IBAN GB82WEST12345698765432';
+  const { text, count, restore } = redact(input, 'off');
+  assert.equal(text, input);
+  assert.equal(count, 0);
+  assert.equal(restore('[CARD_1]'), '[CARD_1]');
+});
+
+test('restores placeholders inside arrays and objects', () => {
+  const { restore } = redact('Call +1 415-555-0132', 'standard');
+  assert.deepEqual(restore([{ text: 'Call [PHONE_1]', deadline: null }]), [{ text: 'Call +1 415-555-0132', deadline: null }]);
+});
+
+test('restores a placeholder split across stream chunks', () => {
+  const { restore } = redact('Wire to GB82WEST12345698765432 by Friday', 'standard');
+  const restorer = createStreamRestorer(restore);
+  const chunks = ['Wire to [IB', 'AN', '_1] by Fri', 'day'].map((chunk) => restorer.push(chunk));
+  assert.deepEqual(chunks, ['Wire to ', '', 'GB82WEST12345698765432 by Fri', 'day']);
+  assert.equal(restorer.flush(), '');
+});
+
+test('releases held-back text that turns out not to be a placeholder', () => {
+  const restorer = createStreamRestorer((value) => value);
+  assert.equal(restorer.push('See [A'), 'See ');
+  assert.equal(restorer.push('ppendix] below'), '[Appendix] below');
+  assert.equal(restorer.push('Trailing [NOTE'), 'Trailing ');
+  assert.equal(restorer.flush(), '[NOTE');
+});
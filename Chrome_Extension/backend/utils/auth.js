@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { sendError } = require('./errors');
+
+/** Scopes a client token can hold; each guards one route group */
+const SCOPES = ['email', 'linkedin'];
+
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const TOKENS_PATH = process.env.AUTH_TOKENS_PATH || path.join(__dirname, '..', '.data', 'auth-tokens.json');
+const ADMIN_TOKEN = process.env.AUTH_ADMIN_TOKEN || '';
+const PAIRING_CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// Token records: { id, hash, installId, label, scopes, createdAt, revokedAt }. Only the sha256 of a token is stored.
+let tokens = [];
+const pairingCodes = new Map(); // code -> { scopes, expiresAt }
+
+function hash(input) {
+  return crypto.createHash('sha256').update(input, 'utf8').digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(hash(a), 'hex');
+  const bufB = Buffer.from(hash(b), 'hex');
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function loadTokens() {
+  try {
+    if (!fs.existsSync(TOKENS_PATH)) return;
+    const data = JSON.parse(fs.readFileSync(TOKENS_PATH, 'utf8'));
+    tokens = Array.isArray(data.tokens) ? data.tokens : [];
+  } catch (error) {
+    console.warn('auth: could not load token store:', error.message);
+  }
+}
+
+/** Write the token store via temp file + rename so a crash never leaves it half-written */
+function saveTokens() {
+  fs.mkdirSync(path.dirname(TOKENS_PATH), { recursive: true });
+  const tmpPath = `${TOKENS_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ tokens }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, TOKENS_PATH);
+}
+
+/**
+ * Keep only known scopes, without duplicates.
+ * @param {Array<string>} scopes
+ * @returns {Array<string>}
+ */
+function normalizeScopes(scopes) {
+  if (!Array.isArray(scopes)) return [];
+  return SCOPES.filter((scope) => scopes.includes(scope));
+}
+
+/** Token record without its hash, safe to return from the API */
+function publicRecord(record) {
+  const { hash: _hash, ...rest } = record;
+  return rest;
+}
+
+function activeTokens() {
+  return tokens.filter((record) => !record.revokedAt);
+}
+
+/**
+ * Create a one-time pairing code the extension exchanges for a token.
+ * @param {Array<string>} [scopes] - Scopes granted to the paired token (default: all)
+ * @returns {{code: string, scopes: Array<string>, expiresAt: string}}
+ */
+function createPairingCode(scopes = SCOPES) {
+  const now = Date.now();
+  for (const [code, entry] of pairingCodes) {
+    if (entry.expiresAt <= now) pairingCodes.delete(code);
+  }
+  const raw = crypto.randomBytes(4).toString('hex').toUpperCase();
+  const code = `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  const entry = { scopes: normalizeScopes(scopes), expiresAt: now + PAIRING_CODE_TTL_MS };
+  pairingCodes.set(code, entry);
+  return { code, scopes: entry.scopes, expiresAt: new Date(entry.expiresAt).toISOString() };
+}
+
+/**
+ * Exchange a pairing code for a bearer token. The code is consumed.
+ * @param {string} code - Pairing code from createPairingCode
+ * @param {Object} install - { installId, label?, scopes? } (scopes may narrow the code's scopes)
+ * @returns {{token: string, record: Object}|null} null if the code is unknown or expired
+ */
+function pair(code, { installId, label, scopes }) {
+  const normalizedCode = String(code).trim().toUpperCase();
+  const entry = pairingCodes.get(normalizedCode);
+  pairingCodes.delete(normalizedCode);
+  if (!entry || entry.expiresAt <= Date.now()) return null;
+
+  const grantedScopes = scopes ? entry.scopes.filter((scope) => scopes.includes(scope)) : entry.scopes;
+  const token = `dcl_${crypto.randomBytes(32).toString('base64url')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    hash: hash(token),
+    installId,
+    label: label || null,
+    scopes: grantedScopes,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+  tokens.push(record);
+  saveTokens();
+  return { token, record: publicRecord(record) };
+}
+
+/**
+ * Revoke a token by ID.
+ * @param {string} id - Token record ID
+ * @returns {boolean} false if no active token has that ID
+ */
+function revoke(id) {
+  const record = activeTokens().find((r) => r.id === id);
+  if (!record) return false;
+  record.revokedAt = new Date().toISOString();
+  saveTokens();
+  return true;
+}
+
+/**
+ * @returns {Array<Object>} All token records (without hashes), including revoked ones
+ */
+function listTokens() {
+  return tokens.map(publicRecord);
+}
+
+function findActiveToken(token) {
+  const tokenHash = hash(token);
+  return activeTokens().find((record) => record.hash === tokenHash) || null;
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Middleware: require a valid client token holding the given scope.
+ * Sets req.client = { id, installId, scopes }. Skipped entirely when AUTH_DISABLED=true.
+ * @param {string} scope - One of SCOPES
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (AUTH_DISABLED) return next();
+    const token = bearerToken(req);
+    if (!token) {
+      return sendError(res, 401, 'unauthorized', 'API token is required. Pair the extension with this backend in Settings.');
+    }
+    const record = findActiveToken(token);
+    if (!record) {
+      return sendError(res, 401, 'unauthorized', 'API token is invalid or has been revoked');
+    }
+    if (scope && !record.scopes.includes(scope)) {
+      return sendError(res, 403, 'forbidden', `API token does not have the "${scope}" scope`);
+    }
+    req.client = { id: record.id, installId: record.installId, scopes: record.scopes };
+    next();
+  };
+}
+
+/**
+ * Middleware: require the operator's AUTH_ADMIN_TOKEN (token management, cache stats).
+ * Admin routes are unavailable when AUTH_ADMIN_TOKEN is not set.
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return sendError(res, 403, 'admin_disabled', 'Admin API is disabled. Set AUTH_ADMIN_TOKEN to enable it.');
+  }
+  const token = bearerToken(req);
+  if (!token || !safeEqual(token, ADMIN_TOKEN)) {
+    return sendError(res, 401, 'unauthorized', 'Admin token is invalid');
+  }
+  next();
+}
+
+/**
+ * Log auth status on startup. With no paired installs yet, prints a pairing code so the first
+ * install can be paired without the admin API.
+ */
+function logStartupStatus() {
+  if (AUTH_DISABLED) {
+    console.warn('WARNING: AUTH_DISABLED=true. API routes are open to anyone who can reach this server.');
+    return;
+  }
+  if (activeTokens().length === 0) {
+    const { code, expiresAt } = createPairingCode();
+    console.log(`No paired installs yet. Pairing code: ${code} (expires ${expiresAt})`);
+  }
+}
+
+loadTokens();
+
+module.exports = {
+  SCOPES,
+  isDisabled: () => AUTH_DISABLED,
+  normalizeScopes,
+  createPairingCode,
+  pair,
+  revoke,
+  listTokens,
+  requireScope,
+  requireAdmin,
+  logStartupStatus
+};
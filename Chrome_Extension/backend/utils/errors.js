@@ -0,0 +1,108 @@
+/**
+ * API errors. Every error response has the same envelope (declared as `Error` in openapi.js):
+ *   { "error": { "code": "validation_failed", "message": "emailContent is required", "details": [...] } }
+ * `code` is stable and meant for programs, `message` is meant for people, and `details` is optional
+ * and depends on the code (validation problems, retryAfter, ...).
+ */
+const LLMError = require('./llm/LLMError');
+const StructuredOutputError = require('./llm/StructuredOutputError');
+
+/**
+ * Error with an HTTP status and an envelope code. Throw it (or pass it to next) from routes and
+ * services; errorHandler turns it into the response.
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - Envelope code, e.g. validation_failed
+   * @param {string} message - Human-readable message
+   * @param {any} [details] - Code-specific details
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Error envelope for a response body (also used for the `error` event of streamed responses).
+ * @param {string} code
+ * @param {string} message
+ * @param {any} [details]
+ * @returns {{error: {code: string, message: string, details?: any}}}
+ */
+function errorBody(code, message, details) {
+  return { error: { code, message, ...(details !== undefined && { details }) } };
+}
+
+/**
+ * Send an error response.
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - Envelope code
+ * @param {string} message - Human-readable message
+ * @param {any} [details] - Code-specific details
+ */
+function sendError(res, status, code, message, details) {
+  return res.status(status).json(errorBody(code, message, details));
+}
+
+/**
+ * Map any thrown error to an ApiError.
+ * - body-parser errors: 400 invalid_json, 413 payload_too_large
+ * - model output that stayed unusable (tasks without a fallback): 502 invalid_model_output
+ * - provider failures: 502 provider_error (the upstream status is in details, not passed through,
+ *   so a provider 401 is not mistaken for a problem with the client's token)
+ * - anything else: its 4xx status with bad_request, or 500 internal_error
+ * @param {Error} err
+ * @returns {ApiError}
+ */
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  if (err.type === 'entity.parse.failed') {
+    return new ApiError(400, 'invalid_json', 'Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return new ApiError(413, 'payload_too_large', 'Request body is too large');
+  }
+  if (err instanceof StructuredOutputError) {
+    return new ApiError(502, 'invalid_model_output', err.message, { reason: err.code, task: err.task });
+  }
+  if (err instanceof LLMError) {
+    return new ApiError(502, 'provider_error', err.message, { provider: err.provider, upstreamStatus: err.status ?? null });
+  }
+  const status = Number.isInteger(err.status) && err.status >= 400 && err.status < 500 ? err.status : 500;
+  return new ApiError(status, status === 500 ? 'internal_error' : 'bad_request', err.message || 'Internal server error');
+}
+
+/**
+ * Express error middleware: respond with the error envelope.
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  const apiError = toApiError(err);
+  if (apiError.status >= 500) console.error('Error:', err);
+  res.status(apiError.status).json({
+    ...errorBody(apiError.code, apiError.message, apiError.details),
+    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+  });
+}
+
+/**
+ * Express fallback for unknown routes.
+ */
+function notFound(req, res) {
+  sendError(res, 404, 'not_found', `No route for ${req.method} ${req.path}`);
+}
+
+module.exports = {
+  ApiError,
+  errorBody,
+  sendError,
+  toApiError,
+  errorHandler,
+  notFound
+};
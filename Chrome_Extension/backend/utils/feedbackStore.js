@@ -0,0 +1,167 @@
+/**
+ * Job stage corrections made in the extension, kept per client and reused as few-shot examples in
+ * later summarize prompts for the same client. Only a redacted excerpt of each email is stored
+ * (at least the standard PII level, even when the request asks for none).
+ *
+ * Environment:
+ * - FEEDBACK_STORE_PATH: JSON file (default .data/feedback.json)
+ * - FEEDBACK_MAX_PER_CLIENT: corrections kept per client, oldest dropped first (default 200)
+ * - FEEDBACK_EXAMPLES: corrections added to a summarize prompt (default 3; 0 turns them off)
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const redaction = require('./redaction');
+const { keywords } = require('./heuristicClassifier');
+// Shared with the extension (ES module; loaded via require(esm), which needs Node ^20.19 or >= 22.12 without a flag)
+const { prepareEmailContent } = require('../../utils/emailContent.js');
+
+const STORE_PATH = process.env.FEEDBACK_STORE_PATH || path.join(__dirname, '..', '.data', 'feedback.json');
+const MAX_PER_CLIENT = parseInt(process.env.FEEDBACK_MAX_PER_CLIENT, 10) || 200;
+const parsedExamples = parseInt(process.env.FEEDBACK_EXAMPLES, 10);
+const EXAMPLES_PER_PROMPT = Number.isNaN(parsedExamples) ? 3 : Math.max(0, parsedExamples);
+/** Token budget of a stored excerpt (subject, sender and the start of the cleaned body) */
+const EXCERPT_TOKENS = 250;
+/** Keyword overlap (0-1) below which a past correction is not considered relevant */
+const MIN_SIMILARITY = 0.15;
+
+// Correction records: { id, clientKey, emailId, excerpt, stage, previousStage, createdAt }, oldest first
+let corrections = [];
+const keywordCache = new Map(); // record id -> Set of excerpt keywords
+
+function load() {
+  try {
+    if (!fs.existsSync(STORE_PATH)) return;
+    const data = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+    corrections = Array.isArray(data.corrections) ? data.corrections : [];
+  } catch (error) {
+    console.warn('feedbackStore: could not load feedback store:', error.message);
+  }
+}
+
+/** Write the store via temp file + rename so a crash never leaves it half-written */
+function save() {
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  const tmpPath = `${STORE_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ corrections }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, STORE_PATH);
+}
+
+function keywordsOf(record) {
+  if (!keywordCache.has(record.id)) keywordCache.set(record.id, new Set(keywords(record.excerpt)));
+  return keywordCache.get(record.id);
+}
+
+/** Record without its client key, safe to return from the API */
+function publicRecord(record) {
+  const { clientKey: _clientKey, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Key corrections are stored under: the API token's record ID, or "local" when auth is disabled.
+ * @param {Object} req - Express request (after auth)
+ * @returns {string}
+ */
+function clientKeyOf(req) {
+  return req.client ? req.client.id : 'local';
+}
+
+/**
+ * Store a stage correction. A newer correction of the same email replaces the older one.
+ * @param {string} clientKey - From clientKeyOf
+ * @param {Object} correction
+ * @param {string} correction.emailContent - Full email content; only a redacted excerpt is kept
+ * @param {string} correction.stage - Stage slug the user chose (e.g. "rejected")
+ * @param {string|null} [correction.previousStage] - Stage slug the classifier had given
+ * @param {string|null} [correction.emailId] - Gmail message ID
+ * @param {string} [correction.redactionLevel] - PII redaction level for the excerpt ("off" is raised to "standard")
+ * @returns {Object} Stored record (without client key)
+ */
+function record(clientKey, { emailContent, stage, previousStage = null, emailId = null, redactionLevel }) {
+  const level = redaction.resolveLevel(redactionLevel);
+  const excerpt = redaction.redact(
+    prepareEmailContent(emailContent, { maxTokens: EXCERPT_TOKENS }),
+    level === 'off' ? 'standard' : level
+  ).text;
+
+  if (emailId) {
+    corrections = corrections.filter((r) => !(r.clientKey === clientKey && r.emailId === emailId));
+  }
+  const entry = {
+    id: crypto.randomUUID(),
+    clientKey,
+    emailId,
+    excerpt,
+    stage,
+    previousStage: previousStage === stage ? null : previousStage,
+    createdAt: new Date().toISOString()
+  };
+  corrections.push(entry);
+
+  const own = corrections.filter((r) => r.clientKey === clientKey);
+  if (own.length > MAX_PER_CLIENT) {
+    const dropped = new Set(own.slice(0, own.length - MAX_PER_CLIENT).map((r) => r.id));
+    corrections = corrections.filter((r) => !dropped.has(r.id));
+  }
+  const live = new Set(corrections.map((r) => r.id));
+  for (const id of keywordCache.keys()) {
+    if (!live.has(id)) keywordCache.delete(id);
+  }
+  save();
+  return publicRecord(entry);
+}
+
+/**
+ * The client's past corrections most similar to an email (keyword overlap), most similar first.
+ * @param {string} clientKey - From clientKeyOf
+ * @param {string} emailContent - Email about to be classified
+ * @param {number} [limit] - Default FEEDBACK_EXAMPLES
+ * @returns {Array<{id: string, excerpt: string, stage: string, previousStage: string|null}>}
+ */
+function relevantExamples(clientKey, emailContent, limit = EXAMPLES_PER_PROMPT) {
+  if (limit <= 0) return [];
+  const own = corrections.filter((r) => r.clientKey === clientKey);
+  if (own.length === 0) return [];
+
+  const words = new Set(keywords(emailContent));
+  if (words.size === 0) return [];
+  return own
+    .map((r, index) => {
+      const exampleWords = keywordsOf(r);
+      let shared = 0;
+      for (const word of exampleWords) if (words.has(word)) shared++;
+      const similarity = exampleWords.size > 0 ? shared / Math.sqrt(exampleWords.size * words.size) : 0;
+      return { r, index, similarity };
+    })
+    .filter(({ similarity }) => similarity >= MIN_SIMILARITY)
+    // Most similar first; newer corrections win ties
+    .sort((a, b) => b.similarity - a.similarity || b.index - a.index)
+    .slice(0, limit)
+    .map(({ r }) => ({ id: r.id, excerpt: r.excerpt, stage: r.stage, previousStage: r.previousStage }));
+}
+
+/**
+ * Delete all corrections of a client.
+ * @param {string} clientKey - From clientKeyOf
+ * @returns {number} Corrections deleted
+ */
+function clear(clientKey) {
+  const before = corrections.length;
+  corrections = corrections.filter((r) => r.clientKey !== clientKey);
+  const deleted = before - corrections.length;
+  if (deleted > 0) {
+    keywordCache.clear();
+    save();
+  }
+  return deleted;
+}
+
+load();
+
+module.exports = {
+  clientKeyOf,
+  record,
+  relevantExamples,
+  clear
+};
@@ -0,0 +1,349 @@
+/**
+ * Rule-based email classifier used when no LLM provider is configured, so emails still get a
+ * category, job stage and unsubscribe flag. Rules mirror the job classification rules in the
+ * summarize prompt (utils/openai.js) and look at:
+ * - sender domains of applicant tracking systems (Greenhouse, Lever, Workday, ...)
+ * - application / interview / rejection / offer phrases in the subject and body
+ * - a List-Unsubscribe header line (the extension adds it to emailContent when present)
+ * - promotional keywords
+ *
+ * Every result carries `source: "heuristic"` so clients can show it with lower confidence.
+ * Results are never cached: once a provider is configured the same email gets a real analysis.
+ */
+
+const SOURCE = 'heuristic';
+
+/** Job stages (exact names the summarize prompt uses) -> jobType slugs the extension uses; re-exported by utils/openai */
+const STAGE_TO_SLUG = {
+  'Applications Sent': 'applications_sent',
+  'OA / Screening': 'oa_screening',
+  'Interview': 'interview',
+  'Offer': 'offer',
+  'Accepted': 'accepted',
+  'Rejected': 'rejected',
+  'No Response': 'no_response',
+  'Declined': 'declined'
+};
+
+/** Sender domains of applicant tracking systems (matched against the From line, subdomains included), with vendor names */
+const ATS_VENDORS = {
+  'greenhouse.io': 'Greenhouse',
+  'greenhouse-mail.io': 'Greenhouse',
+  'lever.co': 'Lever',
+  'myworkday.com': 'Workday',
+  'myworkdayjobs.com': 'Workday',
+  'workday.com': 'Workday',
+  'smartrecruiters.com': 'SmartRecruiters',
+  'icims.com': 'iCIMS',
+  'ashbyhq.com': 'Ashby',
+  'jobvite.com': 'Jobvite',
+  'taleo.net': 'Taleo',
+  'successfactors.com': 'SAP SuccessFactors',
+  'bamboohr.com': 'BambooHR',
+  'workablemail.com': 'Workable',
+  'workable.com': 'Workable',
+  'recruitee.com': 'Recruitee',
+  'applytojob.com': 'JazzHR',
+  'breezy.hr': 'Breezy HR',
+  'teamtailor.com': 'Teamtailor'
+};
+
+const APPLICATION_PHRASES = /\b(thanks? (you )?for (applying|your application)|thank you for your interest in|we (have )?received your application|your application (for|to|has been|status|was)|application (received|update|status)|excited to receive your application|thank you for taking the time to apply|applying to the .{1,80} (role|position))\b/i;
+
+/** Never Job, even from a known sender (OTP, job alerts, school applications) */
+const NOT_JOB_PHRASES = /\b(one[- ]time (pass)?code|verification code|verify your (email|identity|account)|confirm your identity|passcode|job alerts?|jobs you may be interested in|recommended jobs|new jobs (for you|matching)|admissions? (office|decision)|university application|college application)\b/i;
+
+const OFFER_PHRASES = /\b(pleased to (offer|extend)|offer letter|extend (you )?an offer|job offer|verbal offer|offer of employment)\b/i;
+const REJECTION_PHRASES = /\b(not (be )?moving forward|decided not to (proceed|move forward)|not been selected|not selected|pursue other candidates|move forward with other candidates|position has been filled|no longer (under consideration|considering))\b/i;
+const ASSESSMENT_PHRASES = /\b(online assessment|coding (challenge|assessment)|technical assessment|hackerrank|codility|codesignal|phone screen|screening call|recruiter call|schedule a call)\b/i;
+const INTERVIEW_INVITE_PHRASES = /\b(invite you|invited to (an? )?interview|schedule your interview|schedule an interview|pick a time|choose a time|select a (time|date)|book (your )?interview|interview slot|calendar (link|invite)|we would like to invite|invite you (to|for) (an? )?interview)\b/i;
+/** Application-confirmation wording ("if shortlisted...", "what happens next?"): no actual invite in this email */
+const CONDITIONAL_INTERVIEW_PHRASES = /\b(if shortlisted|should you be selected|you will move forward with our (formal )?interview process|what happens next\?)\b/i;
+
+/** "Req ID: R-12345", "Job ID #4821", "Requisition number 2024-118" (the ID must contain a digit) */
+const REQUISITION_ID_PATTERN = /\b(?:req(?:uisition)?|job)[ \t]*(?:id|#|no\.?|number)?[ \t]*[:#]?[ \t]*([A-Z0-9][A-Z0-9_-]*\d[A-Z0-9_-]*)\b/i;
+
+const UNSUBSCRIBE_PHRASES = /\b(unsubscribe|opt[- ]?out|manage (your )?(email )?preferences|email preferences)\b/i;
+const PROMO_PHRASES = /(\d{1,2}\s?% off|\b(sale|discount|coupon|promo code|free shipping|limited[- ]time|shop now|buy now|deal of the day|exclusive offer|save up to|clearance|black friday|cyber monday)\b)/i;
+const NEWSLETTER_PHRASES = /\b(newsletter|digest|weekly (roundup|update)|this week in|edition|read (it )?online|view (this email )?in (your )?browser)\b/i;
+const SPAM_PHRASES = /\b(you('ve| have) won|claim your (prize|reward)|lottery|wire transfer|inheritance|act now|congratulations,? you)\b/i;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'about', 'all', 'as', 'at', 'be', 'by', 'emails', 'email', 'for', 'from',
+  'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'that', 'the', 'these', 'this', 'to', 'with', 'get', 'like'
+]);
+
+/**
+ * Whether an email actually invites the recipient to (or schedules) an interview, rather than saying
+ * one may follow. Also used to check the model's "Interview" stage (utils/openai).
+ * @param {string} content - Email content
+ * @returns {boolean}
+ */
+function hasInterviewInvite(content) {
+  return INTERVIEW_INVITE_PHRASES.test(content) && !CONDITIONAL_INTERVIEW_PHRASES.test(content);
+}
+
+/**
+ * Split emailContent ("Subject: ...\n\nFrom: ...\n\n[List-Unsubscribe: ...\n\n]body") into parts.
+ * Content without those header lines is treated as body only.
+ * @param {string} emailContent
+ * @returns {{subject: string, from: string, listUnsubscribe: string, body: string}}
+ */
+function parseEmailContent(emailContent) {
+  const header = (name) => {
+    const match = emailContent.match(new RegExp(`^${name}:[ \\t]*(.*)$`, 'im'));
+    return match ? match[1].trim() : '';
+  };
+  const body = emailContent.replace(/^(Subject|From|List-Unsubscribe):.*$/gim, '').trim();
+  return {
+    subject: header('Subject'),
+    from: header('From'),
+    listUnsubscribe: header('List-Unsubscribe'),
+    body
+  };
+}
+
+/**
+ * Domain of the sender address in a From line ("Acme Careers <no-reply@acme.greenhouse.io>")
+ * @param {string} from
+ * @returns {string} Lowercase domain, or '' when there is no address
+ */
+function senderDomain(from) {
+  const match = from.match(/@([a-z0-9.-]+\.[a-z]{2,})/i);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Applicant tracking system that sent an email, from the sender domain.
+ * @param {string} from - From line
+ * @returns {string|null} Vendor name ("Greenhouse"), or null for other senders
+ */
+function atsVendorOf(from) {
+  const domain = senderDomain(from);
+  const ats = Object.keys(ATS_VENDORS).find((d) => domain === d || domain.endsWith(`.${d}`));
+  return ats ? ATS_VENDORS[ats] : null;
+}
+
+function isAtsSender(from) {
+  return atsVendorOf(from) !== null;
+}
+
+/**
+ * Job classification for one email.
+ * @param {{subject: string, from: string, body: string}} parts
+ * @returns {{isJob: boolean, stage: string|null, confidence: number}}
+ */
+function classifyJob({ subject, from, body }) {
+  const text = `${subject}\n${body}`;
+  if (NOT_JOB_PHRASES.test(text)) return { isJob: false, stage: null, confidence: 0 };
+
+  const fromAts = isAtsSender(from);
+  const stageSignal = OFFER_PHRASES.test(text) || REJECTION_PHRASES.test(text)
+    || ASSESSMENT_PHRASES.test(text) || INTERVIEW_INVITE_PHRASES.test(text);
+  const applicationSignal = APPLICATION_PHRASES.test(text);
+  // A stage phrase alone ("schedule a call") is too weak without an ATS sender or application wording
+  if (!fromAts && !applicationSignal) return { isJob: false, stage: null, confidence: 0 };
+
+  let stage = 'Applications Sent';
+  if (OFFER_PHRASES.test(text)) {
+    stage = 'Offer';
+  } else if (REJECTION_PHRASES.test(text)) {
+    stage = 'Rejected';
+  } else if (hasInterviewInvite(text)) {
+    stage = 'Interview';
+  } else if (ASSESSMENT_PHRASES.test(text)) {
+    stage = 'OA / Screening';
+  }
+
+  const confidence = fromAts && (applicationSignal || stageSignal) ? 0.7 : 0.5;
+  return { isJob: true, stage, confidence };
+}
+
+function hasUnsubscribeOption({ listUnsubscribe, body }) {
+  return Boolean(listUnsubscribe) || UNSUBSCRIBE_PHRASES.test(body);
+}
+
+/**
+ * Short extractive summary: subject plus the first sentences of the body.
+ * @param {{subject: string, from: string, body: string}} parts
+ * @returns {string}
+ */
+function extractiveSummary({ subject, from, body }) {
+  const sender = from.replace(/\s*<[^>]*>\s*/, '').replace(/"/g, '').trim();
+  const sentences = body
+    .replace(/\s+/g, ' ')
+    .match(/[^.!?]+[.!?]+/g) || [body.replace(/\s+/g, ' ')];
+  let opening = '';
+  for (const sentence of sentences) {
+    if (opening.length + sentence.length > 240) break;
+    opening += sentence;
+  }
+  opening = opening.trim() || body.replace(/\s+/g, ' ').slice(0, 240).trim();
+
+  const lead = subject ? `"${subject}"${sender ? ` from ${sender}` : ''}.` : '';
+  return [lead, opening].filter(Boolean).join(' ') || 'No content to summarize.';
+}
+
+/**
+ * Application details the rules can find: the ATS vendor from the sender domain and a requisition ID
+ * in the subject or body. Company, role and location are left to the model.
+ * @param {string} emailContent - Full email content
+ * @returns {{company: null, role: null, requisitionId: string|null, atsVendor: string|null, location: null}}
+ */
+function applicationDetails(emailContent) {
+  const { subject, from, body } = parseEmailContent(emailContent);
+  const requisition = `${subject}\n${body}`.match(REQUISITION_ID_PATTERN);
+  return {
+    company: null,
+    role: null,
+    requisitionId: requisition ? requisition[1] : null,
+    atsVendor: atsVendorOf(from),
+    location: null
+  };
+}
+
+/**
+ * Heuristic counterpart of openai.summarizeEmail (same result shape, plus source).
+ * @param {string} emailContent - Full email content (subject + body)
+ * @returns {{summary: string, category: string, hasUnsubscribe: boolean, jobType: string|null, transitionFrom: null, transitionTo: string|null, application: Object|null, source: string}}
+ */
+function summarizeEmail(emailContent) {
+  if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
+    throw new Error('Email content is required and must be a non-empty string');
+  }
+  const parts = parseEmailContent(emailContent);
+  const job = classifyJob(parts);
+  return {
+    summary: extractiveSummary(parts),
+    category: job.isJob ? 'Job' : 'Other',
+    hasUnsubscribe: hasUnsubscribeOption(parts),
+    jobType: job.isJob ? STAGE_TO_SLUG[job.stage] : null,
+    transitionFrom: null,
+    transitionTo: job.isJob ? job.stage : null,
+    application: job.isJob ? applicationDetails(emailContent) : null,
+    source: SOURCE
+  };
+}
+
+/** A message that expects an answer: a question, or a request to confirm/schedule/reply */
+const REPLY_REQUEST_PHRASES = /(\?\s*$|\?\s+\S|\b(please (confirm|let (me|us) know|reply|respond|share|send)|let (me|us) know|get back to (me|us)|your availability|are you available|pick a time|choose a time|select a (time|date)|book (your )?interview)\b)/im;
+
+/**
+ * Heuristic counterpart of openai.summarizeThread: the stage of the latest job message from the other
+ * side, and who owes a reply judged from the last message.
+ * @param {Array<{emailContent: string, fromMe?: boolean}>} messages - Thread messages, oldest first
+ * @returns {{summary: string, category: string, stage: string|null, jobType: string|null, nextReply: string, messageCount: number, source: string}}
+ */
+function summarizeThread(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('messages must be a non-empty array');
+  }
+  const parsed = messages.map(({ emailContent, fromMe }) => ({ parts: parseEmailContent(emailContent), fromMe: Boolean(fromMe) }));
+  const jobStages = parsed
+    .filter(({ fromMe }) => !fromMe)
+    .map(({ parts }) => classifyJob(parts))
+    .filter((job) => job.isJob);
+  const stage = jobStages.length > 0 ? jobStages[jobStages.length - 1].stage : null;
+
+  const last = parsed[parsed.length - 1];
+  // Rejections often end with "any questions?" but need no answer
+  let nextReply = 'none';
+  if (last.fromMe) {
+    nextReply = 'them';
+  } else if (REPLY_REQUEST_PHRASES.test(last.parts.body) && !REJECTION_PHRASES.test(last.parts.body)) {
+    nextReply = 'you';
+  }
+
+  const count = messages.length === 1 ? '1 message' : `${messages.length} messages`;
+  return {
+    summary: `${count}. Latest: ${extractiveSummary(last.parts)}`,
+    category: stage ? 'Job' : 'Other',
+    stage,
+    jobType: stage ? STAGE_TO_SLUG[stage] : null,
+    nextReply,
+    messageCount: messages.length,
+    source: SOURCE
+  };
+}
+
+/**
+ * Heuristic counterpart of openai.categorizeEmail.
+ * @param {string} emailContent - Full email content
+ * @returns {{category: string, confidence: number, source: string}}
+ */
+function categorizeEmail(emailContent) {
+  if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
+    throw new Error('Email content is required and must be a non-empty string');
+  }
+  const parts = parseEmailContent(emailContent);
+  const text = `${parts.subject}\n${parts.body}`;
+  const job = classifyJob(parts);
+
+  let category = 'Other';
+  let confidence = 0.3;
+  if (job.isJob) {
+    category = 'Job';
+    confidence = job.confidence;
+  } else if (SPAM_PHRASES.test(text)) {
+    category = 'Spam';
+    confidence = 0.4;
+  } else if (PROMO_PHRASES.test(text)) {
+    category = 'Promotional';
+    confidence = hasUnsubscribeOption(parts) ? 0.6 : 0.4;
+  } else if (hasUnsubscribeOption(parts)) {
+    category = 'Newsletter';
+    confidence = NEWSLETTER_PHRASES.test(text) ? 0.6 : 0.4;
+  }
+  return { category, confidence, source: SOURCE };
+}
+
+/** Distinct lowercase words, minus stop words, with plurals folded ("invoices" -> "invoice") */
+function keywords(text) {
+  return [...new Set(
+    text.toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+      .map((word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+  )];
+}
+
+/**
+ * Heuristic counterpart of openai.matchCustomLabel: keyword overlap with the label name and description.
+ * Conservative like the prompt ("when in doubt, say no"): the label name plus a description keyword, or most description keywords.
+ * @param {string} emailContent - Full email content
+ * @param {string} labelName - User-facing label name
+ * @param {string} labelDescription - User's description of what emails should get this label
+ * @returns {{match: boolean, confidence: number, source: string}}
+ */
+function matchCustomLabel(emailContent, labelName, labelDescription) {
+  if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
+    throw new Error('Email content is required and must be a non-empty string');
+  }
+  const text = emailContent.toLowerCase();
+  const contentWords = new Set(keywords(emailContent));
+  const nameWords = keywords(labelName);
+  const descriptionWords = keywords(labelDescription);
+
+  const nameFound = text.includes(labelName.trim().toLowerCase())
+    || (nameWords.length > 0 && nameWords.every((word) => contentWords.has(word)));
+  const describedHits = descriptionWords.filter((word) => contentWords.has(word)).length;
+  // Common label names ("Work") appear everywhere, so they need some support from the description too
+  const nameMatch = nameFound && (descriptionWords.length === 0 || describedHits >= 1);
+  const descriptionMatch = descriptionWords.length > 0
+    && describedHits >= Math.max(2, Math.ceil(descriptionWords.length / 2));
+
+  const confidence = nameMatch && descriptionMatch ? 0.7 : 0.5;
+  return { match: nameMatch || descriptionMatch, confidence, source: SOURCE };
+}
+
+module.exports = {
+  SOURCE,
+  STAGE_TO_SLUG,
+  hasInterviewInvite,
+  summarizeEmail,
+  summarizeThread,
+  categorizeEmail,
+  matchCustomLabel,
+  applicationDetails,
+  keywords
+};
@@ -0,0 +1,21 @@
+/**
+ * Error thrown by LLM providers. `status` mirrors the upstream HTTP status (401, 429, ...) when there is one.
+ */
+class LLMError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} [options]
+   * @param {number} [options.status] - Upstream HTTP status
+   * @param {string} [options.provider] - Provider name (openai, local, fixture)
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(message, { status, provider, cause } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+    this.provider = provider;
+    if (cause) this.cause = cause;
+  }
+}
+
+module.exports = LLMError;
@@ -0,0 +1,26 @@
+const LLMError = require('./LLMError');
+
+/**
+ * Error for model output that could not be turned into a schema-valid result.
+ * `code` is one of: empty_response, content_filter, invalid_json, schema_mismatch.
+ */
+class StructuredOutputError extends LLMError {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} options
+   * @param {string} options.code - Failure kind (see class doc)
+   * @param {string} options.task - LLM task name
+   * @param {string} [options.rawText] - Model output that failed (for logs)
+   * @param {Array<string>} [options.violations] - Schema violations, for schema_mismatch
+   */
+  constructor(message, { code, task, rawText, violations } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.code = code;
+    this.task = task;
+    this.rawText = rawText;
+    this.violations = violations || [];
+  }
+}
+
+module.exports = StructuredOutputError;
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Canned responses per task, used when no recorded fixture matches a request.
+ * Each entry receives the request messages so batch prompts can echo back their email IDs.
+ */
+const DEFAULT_RESPONSES = {
+  summarize: () => ({
+    summary: 'Fixture summary.',
+    category: 'Other',
+    hasUnsubscribe: false,
+    transitionFrom: null,
+    transitionTo: null
+  }),
+  summarizeBatch: (messages) => {
+    const prompt = messages.map((m) => m.content).join('\n');
+    const ids = [...prompt.matchAll(/=== EMAIL id="([^"]+)" ===/g)].map((m) => m[1]);
+    return {
+      results: ids.map((id) => ({ id, ...DEFAULT_RESPONSES.summarize() }))
+    };
+  },
+  summarizeThread: () => ({
+    summary: 'Fixture thread summary.',
+    category: 'Other',
+    stage: null,
+    nextReply: 'none'
+  }),
+  categorize: () => ({ category: 'Other', confidence: 0.5 }),
+  matchCustomLabel: () => ({ match: false }),
+  matchCustomLabels: (messages) => {
+    const prompt = messages.map((m) => m.content).join('\n');
+    const ids = [...prompt.matchAll(/^- id: "([^"]+)"$/gm)].map((m) => m[1]);
+    return {
+      results: ids.map((id) => ({ id, ...DEFAULT_RESPONSES.matchCustomLabel() }))
+    };
+  },
+  extractActions: () => ({ actionItems: [] }),
+  extractInterview: () => ({ isInterview: false, start: null, interviewers: [] }),
+  analyzeSentiment: () => ({ sentiment: 'neutral', confidence: 0.5 }),
+  draftReply: () => ({ body: 'Hi,\n\nThank you for your email.\n\nBest regards' }),
+  linkedinMessage: () => 'Hi, I came across your profile and would love to connect and learn more about your work.'
+};
+
+/** Characters per onDelta call when streaming a fixture response */
+const FIXTURE_STREAM_CHUNK_CHARS = 8;
+
+/**
+ * Hash the messages of a request; recorded fixtures are keyed by this value.
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {string} sha256 hex
+ */
+function hashMessages(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages), 'utf8').digest('hex');
+}
+
+/**
+ * Deterministic provider for offline development and tests. Never touches the network.
+ * Fixture file format (JSON): { "<task>": { "<sha256 of messages>": response, "default": response } }
+ * A response is a string (returned as-is) or an object (returned as JSON text). Unmatched requests
+ * fall back to the task's "default", then to DEFAULT_RESPONSES.
+ * @param {Object} options
+ * @param {string} [options.fixturesPath] - Path to a JSON fixture file
+ * @returns {{name: string, isConfigured: Function, configurationError: Function, complete: Function, unmatchedCount: Function, hashMessages: Function}}
+ */
+function createFixtureProvider({ fixturesPath } = {}) {
+  let recorded = {};
+  if (fixturesPath) {
+    recorded = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  }
+  let unmatched = 0;
+
+  return {
+    name: 'fixture',
+    hashMessages,
+
+    isConfigured() {
+      return true;
+    },
+
+    configurationError() {
+      return null;
+    },
+
+    async complete({ task, model, messages }) {
+      const taskFixtures = recorded[task] || {};
+      let response = taskFixtures[hashMessages(messages)];
+      if (response === undefined) {
+        unmatched++;
+        response = taskFixtures.default;
+      }
+      if (response === undefined) {
+        const fallback = DEFAULT_RESPONSES[task];
+        response = fallback ? fallback(messages) : {};
+      }
+      return {
+        text: typeof response === 'string' ? response : JSON.stringify(response),
+        finishReason: 'stop',
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        model
+      };
+    },
+
+    /** Requests that had no recording for their exact messages (answered by a "default" or DEFAULT_RESPONSES) */
+    unmatchedCount() {
+      return unmatched;
+    },
+
+    /** Same output as complete(), delivered to onDelta in small chunks like a real stream */
+    async stream({ onDelta, ...request }) {
+      const completion = await this.complete(request);
+      for (let i = 0; i < completion.text.length; i += FIXTURE_STREAM_CHUNK_CHARS) {
+        onDelta(completion.text.slice(i, i + FIXTURE_STREAM_CHUNK_CHARS));
+      }
+      return completion;
+    }
+  };
+}
+
+module.exports = { createFixtureProvider, hashMessages };
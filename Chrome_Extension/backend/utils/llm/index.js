@@ -0,0 +1,175 @@
+/**
+ * LLM provider layer. All model calls go through complete(task, ...) so the backend can run
+ * against OpenAI, an OpenAI-compatible local server (llama.cpp, Ollama) or deterministic fixtures.
+ *
+ * Environment:
+ * - LLM_PROVIDER: 'openai' (default), 'local' or 'fixture'
+ * - OPENAI_API_KEY: required for 'openai'
+ * - LOCAL_LLM_BASE_URL / LOCAL_LLM_API_KEY / LOCAL_LLM_MODEL: for 'local'
+ * - LOCAL_LLM_STRUCTURED_OUTPUT: how 'local' requests JSON: 'json_object' (default), 'tools' or 'none'
+ * - LLM_FIXTURES_PATH: optional JSON fixture file for 'fixture'
+ * - LLM_MODEL: model for every task; LLM_MODEL_<TASK> (e.g. LLM_MODEL_LINKEDIN_MESSAGE) overrides one task
+ */
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createFixtureProvider } = require('./fixtureProvider');
+const LLMError = require('./LLMError');
+const StructuredOutputError = require('./StructuredOutputError');
+const usageBudget = require('../usageBudget');
+const metrics = require('../metrics');
+
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1'; // Ollama; llama.cpp server uses http://localhost:8080/v1
+
+/** Default OpenAI model per task (what the code used before providers existed). */
+const OPENAI_DEFAULT_MODELS = {
+  linkedinMessage: 'gpt-4o-mini',
+  default: 'gpt-3.5-turbo'
+};
+
+let provider = null;
+
+/**
+ * Build the provider selected by environment config.
+ * @param {Object} env - Environment variables (process.env)
+ * @returns {Object} Provider
+ */
+function createProviderFromEnv(env) {
+  const kind = (env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  switch (kind) {
+    case 'openai':
+      return createOpenAIProvider({
+        name: 'openai',
+        apiKey: env.OPENAI_API_KEY,
+        structuredOutput: 'tools',
+        configurationError: 'OpenAI API key not configured on server. Please set OPENAI_API_KEY environment variable.'
+      });
+    case 'local':
+      return createOpenAIProvider({
+        name: 'local',
+        apiKey: env.LOCAL_LLM_API_KEY,
+        baseURL: env.LOCAL_LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL,
+        requiresApiKey: false,
+        structuredOutput: env.LOCAL_LLM_STRUCTURED_OUTPUT || 'json_object'
+      });
+    case 'fixture':
+      return createFixtureProvider({ fixturesPath: env.LLM_FIXTURES_PATH });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}". Use openai, local or fixture.`);
+  }
+}
+
+/**
+ * Get the active provider (created from process.env on first use).
+ * @returns {Object} Provider
+ */
+function getProvider() {
+  if (!provider) {
+    provider = createProviderFromEnv(process.env);
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider (tests, eval tools). Pass null to re-read process.env on next use.
+ * @param {Object|null} nextProvider
+ */
+function setProvider(nextProvider) {
+  provider = nextProvider;
+}
+
+/**
+ * Resolve the model for a task: LLM_MODEL_<TASK> > LLM_MODEL > provider default.
+ * @param {string} task - Task name (summarize, categorize, linkedinMessage, ...)
+ * @returns {string} Model name
+ */
+function resolveModel(task) {
+  const envKey = `LLM_MODEL_${task.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+  if (process.env[envKey]) return process.env[envKey];
+  if (process.env.LLM_MODEL) return process.env.LLM_MODEL;
+  const active = getProvider();
+  if (active.name === 'local') return process.env.LOCAL_LLM_MODEL || 'llama3.1';
+  if (active.name === 'fixture') return 'fixture';
+  return OPENAI_DEFAULT_MODELS[task] || OPENAI_DEFAULT_MODELS.default;
+}
+
+/**
+ * Run a chat completion for a task on the active provider.
+ * @param {string} task - Task name (used for model selection and fixtures)
+ * @param {Object} request
+ * @param {Array<{role: string, content: string}>} request.messages
+ * @param {number} [request.temperature]
+ * @param {number} [request.maxTokens]
+ * @param {{name: string, description: string, schema: Object}} [request.responseSchema] - Request JSON matching this schema (see structuredOutput)
+ * @returns {Promise<{text: string, finishReason: string|null, usage: Object|null, model: string}>}
+ */
+async function complete(task, { messages, temperature, maxTokens, responseSchema }) {
+  const active = getProvider();
+  const start = performance.now();
+  let completion;
+  try {
+    completion = await active.complete({ task, model: resolveModel(task), messages, temperature, maxTokens, responseSchema });
+  } catch (error) {
+    metrics.recordLLMError(task, error);
+    throw error;
+  }
+  metrics.recordCompletion(task, active.name, completion, (performance.now() - start) / 1000);
+  usageBudget.recordUsage(task, completion);
+  return completion;
+}
+
+/**
+ * Run a chat completion for a task, passing output text to onDelta as it is generated.
+ * Providers without streaming support deliver the whole text in one onDelta call.
+ * @param {string} task - Task name
+ * @param {Object} request - Same as complete(), plus onDelta
+ * @param {(text: string) => void} request.onDelta - Called with each chunk of output text
+ * @returns {Promise<{text: string, finishReason: string|null, usage: Object|null, model: string}>}
+ */
+async function stream(task, { messages, temperature, maxTokens, responseSchema, onDelta }) {
+  const active = getProvider();
+  const request = { task, model: resolveModel(task), messages, temperature, maxTokens, responseSchema };
+  const start = performance.now();
+  let completion;
+  try {
+    if (typeof active.stream === 'function') {
+      completion = await active.stream({ ...request, onDelta });
+    } else {
+      completion = await active.complete(request);
+      if (completion.text) onDelta(completion.text);
+    }
+  } catch (error) {
+    metrics.recordLLMError(task, error);
+    throw error;
+  }
+  metrics.recordCompletion(task, active.name, completion, (performance.now() - start) / 1000);
+  usageBudget.recordUsage(task, completion);
+  return completion;
+}
+
+/**
+ * Whether the active provider can serve requests (e.g. OpenAI needs OPENAI_API_KEY).
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return getProvider().isConfigured();
+}
+
+/**
+ * Message explaining why the active provider is not configured.
+ * @returns {string|null}
+ */
+function configurationError() {
+  return getProvider().configurationError();
+}
+
+module.exports = {
+  complete,
+  stream,
+  isConfigured,
+  configurationError,
+  getProvider,
+  setProvider,
+  resolveModel,
+  createProviderFromEnv,
+  LLMError,
+  StructuredOutputError
+};
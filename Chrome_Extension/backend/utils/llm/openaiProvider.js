@@ -0,0 +1,142 @@
+const OpenAI = require('openai');
+const LLMError = require('./LLMError');
+
+/**
+ * Provider backed by the OpenAI chat completions API.
+ * Also used for OpenAI-compatible local servers (llama.cpp, Ollama) by passing a baseURL.
+ * @param {Object} options
+ * @param {string} options.name - Provider name reported in errors/metrics ('openai' or 'local')
+ * @param {string} [options.apiKey] - API key (optional for local servers)
+ * @param {string} [options.baseURL] - Server base URL (e.g. http://localhost:11434/v1); omit for api.openai.com
+ * @param {boolean} [options.requiresApiKey=true] - Whether isConfigured() needs an API key
+ * @param {string} [options.configurationError] - Message returned when the provider is not configured
+ * @param {'tools'|'json_object'|'none'} [options.structuredOutput='none'] - How to request JSON when a call passes a
+ *   responseSchema: a forced function call whose parameters are the schema, JSON mode, or prompt only
+ * @returns {{name: string, isConfigured: Function, configurationError: Function, complete: Function}}
+ */
+function createOpenAIProvider({ name, apiKey, baseURL, requiresApiKey = true, configurationError, structuredOutput = 'none' }) {
+  const key = typeof apiKey === 'string' ? apiKey.trim() : '';
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      // Local servers ignore the key, but the SDK requires a non-empty value
+      client = new OpenAI({ apiKey: key || 'not-needed', ...(baseURL && { baseURL }) });
+    }
+    return client;
+  }
+
+  return {
+    name,
+
+    isConfigured() {
+      return !requiresApiKey || key.length > 0;
+    },
+
+    configurationError() {
+      return configurationError;
+    },
+
+    /**
+     * Run a chat completion.
+     * @param {Object} request
+     * @param {string} request.model - Model name
+     * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+     * @param {number} [request.temperature]
+     * @param {number} [request.maxTokens]
+     * @param {{name: string, description: string, schema: Object}} [request.responseSchema] - Expected JSON shape
+     * @returns {Promise<{text: string, finishReason: string|null, usage: Object|null, model: string}>}
+     */
+    async complete({ model, messages, temperature, maxTokens, responseSchema }) {
+      if (!this.isConfigured()) {
+        throw new LLMError(configurationError, { provider: name });
+      }
+      try {
+        const completion = await getClient().chat.completions.create(
+          requestParams({ model, messages, temperature, maxTokens, responseSchema })
+        );
+        const choice = completion.choices?.[0];
+        // With a forced function call the JSON arrives as the call's arguments instead of message content
+        const toolArguments = choice?.message?.tool_calls?.[0]?.function?.arguments;
+        return {
+          text: (toolArguments || choice?.message?.content || '').trim(),
+          finishReason: choice?.finish_reason || null,
+          usage: completion.usage || null,
+          model: completion.model || model
+        };
+      } catch (error) {
+        throw new LLMError(error.message, { status: error.status, provider: name, cause: error });
+      }
+    },
+
+    /**
+     * Run a chat completion, passing output text to onDelta as it streams in.
+     * @param {Object} request - Same as complete(), plus:
+     * @param {(text: string) => void} request.onDelta - Called with each chunk of output text
+     * @returns {Promise<{text: string, finishReason: string|null, usage: Object|null, model: string}>} Full result once the stream ends
+     */
+    async stream({ model, messages, temperature, maxTokens, responseSchema, onDelta }) {
+      if (!this.isConfigured()) {
+        throw new LLMError(configurationError, { provider: name });
+      }
+      try {
+        const stream = await getClient().chat.completions.create({
+          ...requestParams({ model, messages, temperature, maxTokens, responseSchema }),
+          stream: true,
+          stream_options: { include_usage: true }
+        });
+        let text = '';
+        let finishReason = null;
+        let usage = null;
+        let resolvedModel = model;
+        for await (const chunk of stream) {
+          if (chunk.usage) usage = chunk.usage;
+          if (chunk.model) resolvedModel = chunk.model;
+          const choice = chunk.choices?.[0];
+          if (!choice) continue;
+          const delta = choice.delta?.tool_calls?.[0]?.function?.arguments || choice.delta?.content || '';
+          if (delta) {
+            text += delta;
+            onDelta(delta);
+          }
+          if (choice.finish_reason) finishReason = choice.finish_reason;
+        }
+        return { text: text.trim(), finishReason, usage, model: resolvedModel };
+      } catch (error) {
+        throw new LLMError(error.message, { status: error.status, provider: name, cause: error });
+      }
+    }
+  };
+
+  function requestParams({ model, messages, temperature, maxTokens, responseSchema }) {
+    return {
+      model,
+      messages,
+      ...(temperature !== undefined && { temperature }),
+      ...(maxTokens !== undefined && { max_tokens: maxTokens }),
+      ...(responseSchema && structuredOutputParams(structuredOutput, responseSchema))
+    };
+  }
+}
+
+/**
+ * Chat completion params that ask for JSON matching a schema.
+ * @param {'tools'|'json_object'|'none'} mode
+ * @param {{name: string, description: string, schema: Object}} responseSchema
+ * @returns {Object}
+ */
+function structuredOutputParams(mode, { name, description, schema }) {
+  if (mode === 'tools') {
+    const functionName = `submit_${name.replace(/[^a-zA-Z0-9_-]/g, '_')}`;
+    return {
+      tools: [{ type: 'function', function: { name: functionName, description, parameters: schema } }],
+      tool_choice: { type: 'function', function: { name: functionName } }
+    };
+  }
+  if (mode === 'json_object') {
+    return { response_format: { type: 'json_object' } };
+  }
+  return {};
+}
+
+module.exports = { createOpenAIProvider };
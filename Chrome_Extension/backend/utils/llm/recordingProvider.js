@@ -0,0 +1,43 @@
+const fs = require('fs');
+const { hashMessages } = require('./fixtureProvider');
+
+/**
+ * Wrap a provider so every completion is also written down in the fixture file format
+ * ({ "<task>": { "<sha256 of messages>": "<response text>" } }). Replaying the file with the
+ * fixture provider (LLM_FIXTURES_PATH) reproduces the same responses offline, e.g. for evaluation runs.
+ * @param {Object} inner - Provider that serves the requests
+ * @param {string} fixturesPath - File to write; existing recordings in it are kept
+ * @returns {Object} Provider with an extra save() that writes the file
+ */
+function createRecordingProvider(inner, fixturesPath) {
+  const recorded = fs.existsSync(fixturesPath) ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8')) : {};
+
+  function record(task, messages, completion) {
+    if (!completion.text) return;
+    if (!recorded[task]) recorded[task] = {};
+    recorded[task][hashMessages(messages)] = completion.text;
+  }
+
+  // No stream(): llm.stream falls back to complete(), so streamed requests are recorded too
+  return {
+    name: `${inner.name} (recording)`,
+
+    isConfigured: () => inner.isConfigured(),
+    configurationError: () => inner.configurationError(),
+
+    async complete(request) {
+      const completion = await inner.complete(request);
+      record(request.task, request.messages, completion);
+      return completion;
+    },
+
+    /** Write the recordings (temp file + rename, so an interrupted run can't leave half a file) */
+    save() {
+      const tmpPath = `${fixturesPath}.tmp`;
+      fs.writeFileSync(tmpPath, `${JSON.stringify(recorded, null, 2)}\n`);
+      fs.renameSync(tmpPath, fixturesPath);
+    }
+  };
+}
+
+module.exports = { createRecordingProvider };
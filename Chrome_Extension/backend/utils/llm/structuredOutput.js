@@ -0,0 +1,445 @@
+/**
+ * Structured (JSON) outputs for every LLM task: one declared schema per task, a single
+ * retry/repair policy and consistent fallbacks when the model's output can't be used.
+ *
+ * The schema is sent to the provider (forced function call on OpenAI, JSON mode on local servers,
+ * see openaiProvider) and the reply is validated against it. Task functions in utils/openai.js
+ * still normalize values (clamping, stage names); the schema only guarantees shape and types.
+ */
+const llm = require('./index');
+const StructuredOutputError = require('./StructuredOutputError');
+const metrics = require('../metrics');
+
+const STAGE_OR_NULL = { type: ['string', 'null'] };
+const STRING_OR_NULL = { type: ['string', 'null'] };
+
+/** Application details of a Job email (null for Other emails) */
+const APPLICATION = {
+  type: ['object', 'null'],
+  properties: {
+    company: STRING_OR_NULL,
+    role: STRING_OR_NULL,
+    requisitionId: STRING_OR_NULL,
+    atsVendor: STRING_OR_NULL,
+    location: STRING_OR_NULL
+  }
+};
+
+/**
+ * Declared response schema per task (JSON Schema subset: type, properties, required, items, minLength).
+ * `enum` is passed to the provider as guidance but not enforced here; tasks map unknown values themselves.
+ * `fallback(code)` is returned when the output stays unusable; tasks without one throw StructuredOutputError.
+ */
+const TASK_SCHEMAS = {
+  summarize: {
+    description: 'Summary and job-application classification of one email',
+    schema: {
+      type: 'object',
+      properties: {
+        summary: { type: 'string', minLength: 1 },
+        category: { type: 'string', enum: ['Job', 'Other'] },
+        hasUnsubscribe: { type: 'boolean' },
+        transitionFrom: STAGE_OR_NULL,
+        transitionTo: STAGE_OR_NULL,
+        application: APPLICATION
+      },
+      required: ['summary', 'category', 'hasUnsubscribe']
+    },
+    fallback: (code) => ({
+      summary: code === 'content_filter'
+        ? 'Email could not be summarized (content was filtered by provider).'
+        : 'Email could not be summarized (the AI response was not usable).',
+      category: 'Other',
+      hasUnsubscribe: false,
+      transitionFrom: null,
+      transitionTo: null,
+      application: null
+    })
+  },
+  summarizeBatch: {
+    description: 'Summary and job-application classification of each email, by id',
+    schema: {
+      type: 'object',
+      properties: {
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { id: { type: 'string', minLength: 1 } },
+            required: ['id']
+          }
+        }
+      },
+      required: ['results']
+    }
+    // No fallback: summarizeEmailsBatch reports failures per email
+  },
+  summarizeThread: {
+    description: 'Summary, current job stage and next reply owner of one email thread',
+    schema: {
+      type: 'object',
+      properties: {
+        summary: { type: 'string', minLength: 1 },
+        category: { type: 'string', enum: ['Job', 'Other'] },
+        stage: STAGE_OR_NULL,
+        nextReply: { type: 'string', enum: ['you', 'them', 'none'] }
+      },
+      required: ['summary', 'category', 'nextReply']
+    },
+    fallback: (code) => ({
+      summary: code === 'content_filter'
+        ? 'Thread could not be summarized (content was filtered by provider).'
+        : 'Thread could not be summarized (the AI response was not usable).',
+      category: 'Other',
+      stage: null,
+      nextReply: 'none'
+    })
+  },
+  categorize: {
+    description: 'Category of one email',
+    schema: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', enum: ['Personal', 'Promotional', 'Spam', 'Newsletter', 'Job', 'Other'] },
+        confidence: { type: 'number' }
+      },
+      required: ['category', 'confidence']
+    },
+    fallback: () => ({ category: 'Other', confidence: 0 })
+  },
+  matchCustomLabel: {
+    description: 'Whether the email matches the user label',
+    schema: {
+      type: 'object',
+      properties: { match: { type: 'boolean' } },
+      required: ['match']
+    },
+    fallback: () => ({ match: false })
+  },
+  matchCustomLabels: {
+    description: 'Whether the email matches each user label, by label id',
+    schema: {
+      type: 'object',
+      properties: {
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', minLength: 1 },
+              match: { type: 'boolean' },
+              confidence: { type: 'number' }
+            },
+            required: ['id', 'match']
+          }
+        }
+      },
+      required: ['results']
+    },
+    // Labels missing from the results count as no match (see matchCustomLabels)
+    fallback: () => ({ results: [] })
+  },
+  extractActions: {
+    description: 'Action items the recipient must take',
+    schema: {
+      type: 'object',
+      properties: {
+        actionItems: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              text: { type: 'string' },
+              deadline: { type: ['string', 'null'] },
+              urgent: { type: 'boolean' }
+            },
+            required: ['text']
+          }
+        }
+      },
+      required: ['actionItems']
+    },
+    fallback: () => ({ actionItems: [] })
+  },
+  extractInterview: {
+    description: 'Date, time, timezone, meeting link and interviewers of an interview invite',
+    schema: {
+      type: 'object',
+      properties: {
+        isInterview: { type: 'boolean' },
+        title: STRING_OR_NULL,
+        start: STRING_OR_NULL,
+        end: STRING_OR_NULL,
+        timezone: STRING_OR_NULL,
+        meetingLink: STRING_OR_NULL,
+        location: STRING_OR_NULL,
+        interviewers: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['isInterview']
+    },
+    fallback: () => ({
+      isInterview: false,
+      title: null,
+      start: null,
+      end: null,
+      timezone: null,
+      meetingLink: null,
+      location: null,
+      interviewers: []
+    })
+  },
+  draftReply: {
+    description: 'Reply to one email with a chosen intent and tone',
+    schema: {
+      type: 'object',
+      properties: { body: { type: 'string', minLength: 1 } },
+      required: ['body']
+    }
+    // No fallback: an empty draft is not useful, so the route reports the failure
+  },
+  analyzeSentiment: {
+    description: 'Tone of one email',
+    schema: {
+      type: 'object',
+      properties: {
+        sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative', 'urgent'] },
+        confidence: { type: 'number' }
+      },
+      required: ['sentiment']
+    },
+    fallback: () => ({ sentiment: 'neutral', confidence: 0.5 })
+  }
+};
+
+/**
+ * Retry/repair policy shared by all tasks:
+ * - empty or truncated replies are retried with linear backoff (not content_filter: same input filters again)
+ * - unparseable or schema-violating replies get one repair turn quoting the problems back to the model
+ */
+const RETRY_POLICY = {
+  emptyResponseRetries: 2,
+  repairAttempts: 1,
+  backoffMs: 1000
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema from TASK_SCHEMAS.
+ * @param {Object} schema
+ * @param {any} value
+ * @param {string} [path] - Location used in messages
+ * @returns {Array<string>} Violations (empty when valid)
+ */
+function validate(schema, value, path = '$') {
+  const actual = typeOf(value);
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const ok = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!ok) return [`${path} should be ${allowed.join(' or ')}, got ${actual}`];
+  }
+
+  const violations = [];
+  if (actual === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    violations.push(`${path} should not be empty`);
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) violations.push(`${path}.${key} is required`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) violations.push(...validate(propSchema, value[key], `${path}.${key}`));
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => violations.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+  return violations;
+}
+
+/**
+ * Parse JSON from model text, tolerating markdown fences, prose around the object and trailing commas.
+ * @param {string} text
+ * @returns {any}
+ * @throws {SyntaxError} If no JSON object can be recovered
+ */
+function parseJson(text) {
+  const unfenced = text.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start === -1 || end <= start) throw new SyntaxError('No JSON object found in model output');
+    return JSON.parse(unfenced.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1'));
+  }
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a completion for a task and return schema-valid JSON, applying RETRY_POLICY.
+ * Upstream errors (401, 429, network) are thrown unchanged. Unusable output yields the task's
+ * fallback, or throws StructuredOutputError for tasks without one.
+ * @param {string} task - Key of TASK_SCHEMAS
+ * @param {Object} request
+ * @param {Array<{role: string, content: string}>} request.messages
+ * @param {number} [request.temperature]
+ * @param {number} [request.maxTokens]
+ * @returns {Promise<{data: Object, fallback: StructuredOutputError|null}>} `fallback` is the reason when `data` is the task fallback
+ */
+async function completeStructured(task, { messages, temperature, maxTokens }) {
+  const spec = TASK_SCHEMAS[task];
+  if (!spec) throw new Error(`No response schema declared for task "${task}"`);
+
+  const responseSchema = { name: task, description: spec.description, schema: spec.schema };
+  let conversation = messages;
+  let emptyRetries = 0;
+  let repairs = 0;
+  let failure = null;
+
+  for (;;) {
+    const completion = await llm.complete(task, { messages: conversation, temperature, maxTokens, responseSchema });
+    const text = completion.text;
+    let retryable = false;
+
+    if (!text || completion.finishReason === 'length') {
+      const filtered = !text && completion.finishReason === 'content_filter';
+      failure = new StructuredOutputError(
+        filtered ? 'Content was filtered by provider' : `Empty or truncated response (finish_reason: ${completion.finishReason})`,
+        { code: filtered ? 'content_filter' : 'empty_response', task, rawText: text }
+      );
+      if (!filtered && emptyRetries < RETRY_POLICY.emptyResponseRetries) {
+        emptyRetries++;
+        await delay(RETRY_POLICY.backoffMs * emptyRetries);
+        continue;
+      }
+    } else {
+      let data;
+      try {
+        data = parseJson(text);
+      } catch {
+        failure = new StructuredOutputError('Failed to parse AI response as JSON', { code: 'invalid_json', task, rawText: text });
+      }
+      if (data !== undefined) {
+        const violations = validate(spec.schema, data);
+        if (violations.length === 0) return { data, fallback: null };
+        failure = new StructuredOutputError('Invalid response format from AI', { code: 'schema_mismatch', task, rawText: text, violations });
+      }
+      retryable = repairs < RETRY_POLICY.repairAttempts;
+    }
+    metrics.recordLLMError(task, failure.code);
+
+    if (!retryable) break;
+    repairs++;
+    const problems = failure.violations.length ? failure.violations.join('; ') : failure.message;
+    conversation = [
+      ...messages,
+      { role: 'assistant', content: text },
+      { role: 'user', content: `That reply was not usable (${problems}). Reply again with only the JSON object in the requested format.` }
+    ];
+  }
+
+  if (!spec.fallback) throw failure;
+  console.warn(`LLM task "${task}" fell back to a default result: ${failure.code} - ${failure.message}`);
+  return { data: spec.fallback(failure.code), fallback: failure };
+}
+
+/**
+ * Streaming variant of completeStructured: the raw JSON output is passed to onText as it arrives.
+ * If the streamed reply is not schema-valid, the task is re-run with completeStructured (the normal
+ * retry/repair policy, without streaming), so callers should treat the returned data as final.
+ * @param {string} task - Key of TASK_SCHEMAS
+ * @param {Object} request - messages, temperature, maxTokens (as completeStructured)
+ * @param {(text: string) => void} onText - Called with each chunk of raw output
+ * @returns {Promise<{data: Object, fallback: StructuredOutputError|null}>}
+ */
+async function streamStructured(task, { messages, temperature, maxTokens }, onText) {
+  const spec = TASK_SCHEMAS[task];
+  if (!spec) throw new Error(`No response schema declared for task "${task}"`);
+
+  const completion = await llm.stream(task, {
+    messages,
+    temperature,
+    maxTokens,
+    responseSchema: { name: task, description: spec.description, schema: spec.schema },
+    onDelta: onText
+  });
+  if (completion.text && completion.finishReason !== 'length') {
+    try {
+      const data = parseJson(completion.text);
+      if (validate(spec.schema, data).length === 0) return { data, fallback: null };
+    } catch {
+      // Fall through to the non-streaming policy
+    }
+  }
+  return completeStructured(task, { messages, temperature, maxTokens });
+}
+
+/**
+ * Incrementally decode one string field from streamed JSON text, e.g. the summary while the rest
+ * of the object is still being generated. push() returns the newly decoded characters (possibly '').
+ * @param {string} field - Top-level property name
+ * @returns {{push: (delta: string) => string}}
+ */
+function createStringFieldReader(field) {
+  const startPattern = new RegExp(`"${field}"\\s*:\\s*"`);
+  const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+  let raw = '';
+  let pos = -1; // start of the unread part of the value, -1 until the field is found
+  let done = false;
+
+  return {
+    push(delta) {
+      raw += delta;
+      if (done) return '';
+      if (pos === -1) {
+        const match = startPattern.exec(raw);
+        if (!match) return '';
+        pos = match.index + match[0].length;
+      }
+      let out = '';
+      while (pos < raw.length) {
+        const ch = raw[pos];
+        if (ch === '"') {
+          done = true;
+          break;
+        }
+        if (ch !== '\\') {
+          out += ch;
+          pos++;
+          continue;
+        }
+        // Escape sequence: wait until it has fully arrived
+        const esc = raw[pos + 1];
+        if (esc === undefined) break;
+        if (esc === 'u') {
+          if (pos + 6 > raw.length) break;
+          out += String.fromCharCode(parseInt(raw.slice(pos + 2, pos + 6), 16));
+          pos += 6;
+        } else {
+          out += escapes[esc] || esc;
+          pos += 2;
+        }
+      }
+      return out;
+    }
+  };
+}
+
+module.exports = {
+  TASK_SCHEMAS,
+  RETRY_POLICY,
+  validate,
+  parseJson,
+  completeStructured,
+  streamStructured,
+  createStringFieldReader
+};
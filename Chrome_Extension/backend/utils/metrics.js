@@ -0,0 +1,202 @@
+/**
+ * Process metrics in the Prometheus text exposition format (served at GET /metrics).
+ *
+ * - HTTP: request count and latency per route (the Express route pattern, so IDs don't blow up cardinality)
+ * - LLM: calls, latency, tokens and estimated cost per task; upstream errors by type
+ *   (HTTP status such as 401/429, or the structured-output failure code such as content_filter)
+ * - Cache: hits/misses/deduped, hit ratio and entries per prefix, read from openaiCache at scrape time
+ *
+ * Counters are cumulative since the process started (unlike usageBudget, which resets daily).
+ */
+const { priceFor } = require('./usageBudget');
+
+const HTTP_BUCKETS_SECONDS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const LLM_BUCKETS_SECONDS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
+
+/** name -> { type, help, labelNames, buckets?, series: Map(labelKey -> { labels, value } | { labels, counts, sum, count }) } */
+const families = new Map();
+/** Functions returning gauge families computed on scrape: [{ name, help, type, samples: [{ labels, value }] }] */
+const collectors = [];
+
+function define(type, name, help, labelNames, buckets) {
+  families.set(name, { type, help, labelNames, buckets, series: new Map() });
+}
+
+function seriesKey(labels) {
+  return JSON.stringify(labels);
+}
+
+function pickLabels(family, labels) {
+  return Object.fromEntries(family.labelNames.map((label) => [label, String(labels[label] ?? '')]));
+}
+
+function inc(name, labels, value = 1) {
+  const family = families.get(name);
+  const picked = pickLabels(family, labels);
+  const key = seriesKey(picked);
+  if (!family.series.has(key)) family.series.set(key, { labels: picked, value: 0 });
+  family.series.get(key).value += value;
+}
+
+function observe(name, labels, value) {
+  const family = families.get(name);
+  const picked = pickLabels(family, labels);
+  const key = seriesKey(picked);
+  if (!family.series.has(key)) {
+    family.series.set(key, { labels: picked, counts: family.buckets.map(() => 0), sum: 0, count: 0 });
+  }
+  const series = family.series.get(key);
+  family.buckets.forEach((bound, i) => {
+    if (value <= bound) series.counts[i]++;
+  });
+  series.sum += value;
+  series.count++;
+}
+
+define('counter', 'decluttr_http_requests_total', 'HTTP requests by route and status code', ['method', 'route', 'status']);
+define('histogram', 'decluttr_http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route'], HTTP_BUCKETS_SECONDS);
+define('counter', 'decluttr_llm_requests_total', 'Completed model calls by task', ['task', 'provider']);
+define('histogram', 'decluttr_llm_request_duration_seconds', 'Model call latency by task', ['task'], LLM_BUCKETS_SECONDS);
+define('counter', 'decluttr_llm_tokens_total', 'Model tokens used by task', ['task', 'type']);
+define('counter', 'decluttr_llm_cost_usd_total', 'Estimated model cost in USD by task', ['task']);
+define('counter', 'decluttr_llm_errors_total', 'Failed model calls by task and error type', ['task', 'type']);
+
+/**
+ * Express middleware: count each request and its latency once the response is finished.
+ * The route label is the matched route pattern (e.g. /api/auth/tokens/:id), the mount path for
+ * requests answered by middleware (auth, rate limits), or "unmatched".
+ */
+function httpMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : (req.baseUrl || 'unmatched');
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    inc('decluttr_http_requests_total', { method: req.method, route, status: res.statusCode });
+    observe('decluttr_http_request_duration_seconds', { method: req.method, route }, seconds);
+  });
+  next();
+}
+
+/**
+ * Record a completed model call: latency, tokens and estimated cost.
+ * @param {string} task - LLM task name
+ * @param {string} provider - Provider name
+ * @param {{usage: Object|null, model: string}} completion
+ * @param {number} seconds - Call duration
+ */
+function recordCompletion(task, provider, completion, seconds) {
+  inc('decluttr_llm_requests_total', { task, provider });
+  observe('decluttr_llm_request_duration_seconds', { task }, seconds);
+  if (!completion.usage) return;
+  const promptTokens = completion.usage.prompt_tokens || 0;
+  const completionTokens = completion.usage.completion_tokens || 0;
+  const price = priceFor(completion.model);
+  inc('decluttr_llm_tokens_total', { task, type: 'prompt' }, promptTokens);
+  inc('decluttr_llm_tokens_total', { task, type: 'completion' }, completionTokens);
+  inc('decluttr_llm_cost_usd_total', { task }, (promptTokens * price.input + completionTokens * price.output) / 1e6);
+}
+
+/**
+ * Record a failed model call or unusable output.
+ * @param {string} task - LLM task name
+ * @param {Error|string} error - Provider error (typed by its HTTP status, e.g. "401", "429"; "network"
+ *   without one) or a structured-output failure code (content_filter, invalid_json, ...)
+ */
+function recordLLMError(task, error) {
+  const type = typeof error === 'string' ? error : (error.status ? String(error.status) : 'network');
+  inc('decluttr_llm_errors_total', { task, type });
+}
+
+/**
+ * Expose openaiCache stats. Called by openaiCache itself, which keeps this module free of the cache's
+ * load-on-require side effects.
+ * @param {() => {prefixes: Object<string, {hits: number, misses: number, deduped: number, hitRatio: number|null, entries: number}>}} getStats
+ */
+function registerCacheStats(getStats) {
+  collectors.push(() => {
+    const prefixes = Object.entries(getStats().prefixes);
+    return [
+      {
+        name: 'decluttr_cache_requests_total',
+        help: 'Cache lookups by prefix and result (hit, miss, deduped)',
+        type: 'counter',
+        samples: prefixes.flatMap(([prefix, s]) => [
+          { labels: { prefix, result: 'hit' }, value: s.hits },
+          { labels: { prefix, result: 'miss' }, value: s.misses },
+          { labels: { prefix, result: 'deduped' }, value: s.deduped }
+        ])
+      },
+      {
+        name: 'decluttr_cache_hit_ratio',
+        help: 'Cache hits / (hits + misses) by prefix',
+        type: 'gauge',
+        samples: prefixes.filter(([, s]) => s.hitRatio !== null).map(([prefix, s]) => ({ labels: { prefix }, value: s.hitRatio }))
+      },
+      {
+        name: 'decluttr_cache_entries',
+        help: 'Live cache entries by prefix',
+        type: 'gauge',
+        samples: prefixes.map(([prefix, s]) => ({ labels: { prefix }, value: s.entries }))
+      }
+    ];
+  });
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(12)));
+}
+
+/**
+ * All metrics in the Prometheus text format (version 0.0.4).
+ * @returns {string}
+ */
+function render() {
+  const lines = [];
+  for (const [name, family] of families) {
+    lines.push(`# HELP ${name} ${family.help}`, `# TYPE ${name} ${family.type}`);
+    for (const series of family.series.values()) {
+      if (family.type !== 'histogram') {
+        lines.push(`${name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        continue;
+      }
+      family.buckets.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+  for (const collect of collectors) {
+    for (const family of collect()) {
+      lines.push(`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`);
+      for (const { labels, value } of family.samples) lines.push(`${family.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/** GET /metrics handler */
+function metricsHandler(req, res) {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(render());
+}
+
+module.exports = {
+  httpMetrics,
+  recordCompletion,
+  recordLLMError,
+  registerCacheStats,
+  render,
+  metricsHandler
+};
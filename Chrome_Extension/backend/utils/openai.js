@@ -1,325 +1,437 @@
-const OpenAI = require('openai');
+const {
+  completeStructured,
+  streamStructured,
+  createStringFieldReader,
+  validate,
+  TASK_SCHEMAS
+} = require('./llm/structuredOutput');
+const { StructuredOutputError } = require('./llm');
+const prompts = require('./prompts');
+const redaction = require('./redaction');
+const heuristicClassifier = require('./heuristicClassifier');
+// Shared with the extension (ES module; loaded via require(esm), which needs Node ^20.19 or >= 22.12 without a flag)
+const { prepareEmailContent } = require('../../utils/emailContent.js');
+
+const { STAGE_TO_SLUG, hasInterviewInvite } = heuristicClassifier;
+const VALID_STAGES = Object.keys(STAGE_TO_SLUG);
+
+/** Application detail fields, in prompt order */
+const APPLICATION_FIELDS = ['company', 'role', 'requisitionId', 'atsVendor', 'location'];
+/** Placeholder values models write instead of null */
+const MISSING_VALUE = /^(null|none|unknown|n\/a|not (stated|specified|mentioned|provided))$/i;
 
-// Initialize OpenAI client with API key from request (user-provided)
-function createOpenAIClient(apiKey) {
-  if (!apiKey || typeof apiKey !== 'string' || !apiKey.trim()) {
-    throw new Error('Invalid OpenAI API key provided');
+/**
+ * Normalize the application details of a Job result. The ATS vendor comes from the sender domain when it
+ * is a known ATS (models often name the company there), and a requisition ID the model missed is filled in
+ * from the "Req ID: ..." wording.
+ * @param {Object|null|undefined} application - Parsed model value
+ * @param {string} sourceContent - Email content the model saw
+ * @returns {{company: string|null, role: string|null, requisitionId: string|null, atsVendor: string|null, location: string|null}}
+ */
+function normalizeApplication(application, sourceContent) {
+  const raw = application && typeof application === 'object' ? application : {};
+  const details = {};
+  for (const field of APPLICATION_FIELDS) {
+    const value = typeof raw[field] === 'string' ? raw[field].replace(/\s+/g, ' ').trim().slice(0, 200) : '';
+    details[field] = value && !MISSING_VALUE.test(value) ? value : null;
   }
-
-  return new OpenAI({
-    apiKey: apiKey.trim()
-  });
+  const detected = heuristicClassifier.applicationDetails(sourceContent);
+  details.atsVendor = detected.atsVendor || details.atsVendor;
+  details.requisitionId = details.requisitionId || detected.requisitionId;
+  // The hiring company, not the ATS that sent the email
+  if (details.company && details.atsVendor && details.company.toLowerCase() === details.atsVendor.toLowerCase()) {
+    details.company = null;
+  }
+  return details;
 }
 
 /**
- * Generate AI summary for an email
- * @param {string} emailContent - Full email content (subject + body)
- * @param {string} apiKey - User's OpenAI API key
- * @returns {Promise<{summary: string, category: string, hasUnsubscribe: boolean}>}
+ * Normalize a parsed summarize response: category, stage names, Interview safeguard, jobType slug and
+ * application details (Job emails only).
+ * Shared by summarizeEmail and summarizeEmailsBatch so both produce identical result shapes.
+ * @param {Object} result - Parsed model JSON (summary, category, hasUnsubscribe, transitionFrom, transitionTo, application)
+ * @param {string} sourceContent - Email content the model saw (used for the Interview safeguard and ATS vendor)
+ * @returns {{summary: string, category: string, hasUnsubscribe: boolean, jobType: string|null, transitionFrom: string|null, transitionTo: string|null, application: Object|null}}
  */
-async function summarizeEmail(emailContent, apiKey) {
-  if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
-    throw new Error('Email content is required and must be a non-empty string');
+function normalizeSummaryResult(result, sourceContent) {
+  const categoryRaw = (result.category && typeof result.category === 'string') ? result.category.trim() : '';
+  if (categoryRaw === 'Job application' || categoryRaw.toLowerCase() === 'job application') {
+    result.category = 'Job';
+  }
+  if (result.category !== 'Job') {
+    result.category = 'Other';
   }
 
-  // Limit email content length to avoid token limits (keep last 8000 chars for context)
-  const truncatedContent = emailContent.length > 8000 
-    ? emailContent.slice(-8000) 
-    : emailContent;
-
-  const openai = createOpenAIClient(apiKey);
-
-  const prompt = `You are an automated classifier for someone tracking their JOB APPLICATIONS during a job search.
-
-Output exactly two things that matter:
-1. Is this email a direct response or notification about a JOB APPLICATION the user submitted? If yes, category = "Job" and set the correct stage below. Otherwise category = "Other" and set transitionFrom/transitionTo to null.
-2. Does this email contain or reference an unsubscribe option (link, "unsubscribe", "manage preferences", "opt out", etc.)? Set hasUnsubscribe true or false.
-
-IMPORTANT: Use category "Job" when the email is clearly from a company/employer about an application the user submitted. This includes ALL of the following – they are ALL "Job" emails:
-- Application confirmations/acknowledgments: "Thanks for applying", "Thank you for applying", "We received your application", "Thank you for your interest", "excited to receive your application", "Thank you for taking the time to apply", "applying to the [role] role"
-- Even if the email says "should you be selected to interview, we will reach out" or "if shortlisted" – this is STILL a Job email (Applications Sent stage) because it confirms they received your application
-- Status updates: "Your application status", "application update"
-- Interview invites, OA/assessment invites
-- Rejections: "we will not be moving forward", "not selected", "decided not to proceed"
-- Offers: job offer, verbal offer
-
-NEVER use "Job" for: one-time passcodes, login verification, OTP, school/university applications, job boards/job alerts/LinkedIn job recommendations, recruiter cold outreach without reference to a specific application you submitted, emails the user sent, general newsletters. Use "Other" and set transitionFrom/transitionTo to null.
-
-When category is "Job", use ONLY these stages (exact spelling):
-- Applications Sent
-- OA / Screening
-- Interview
-- Offer
-- Accepted
-- Rejected
-- No Response
-- Declined
-
-CRITICAL – Interview vs Applications Sent (avoid false positives for Interview):
-- Use "Interview" ONLY when BOTH are true: (a) the email is about a job application, AND (b) the email contains an ACTUAL invitation or scheduling of an interview in this message (e.g. "we would like to invite you to an interview", "schedule your interview", "pick a time", "choose a time slot", "book your interview", calendar link, "select a date", "interview on [date]", "final round interview" with a concrete invite).
-- Do NOT use "Interview" when the email only describes what MIGHT happen later. These are all Applications Sent: "should you be selected to interview we will reach out"; "we may reach out in the coming weeks"; "if we'd like to move forward we'll contact you"; "if shortlisted, you will move forward with our formal interview process"; "if your skills are a strong match, you will be contacted for an initial discussion"; "you will be contacted directly"; "what happens next? … you will be contacted / move forward with our interview process"; "our team will review"; "we'll be in touch". No actual invite or scheduling in this email → Applications Sent.
-- Do NOT use "Interview" for: recruiter screening calls, phone screens, "quick call to learn more", "schedule a call to discuss your background", OA/coding assessments → use OA / Screening or Applications Sent.
-- When in doubt between Interview and Applications Sent, always use Applications Sent.
-
-Stage rules (only when category is "Job"):
-- Applications Sent: Application received/confirmed. Use this for: "Thanks for applying", "Thank you for applying", "Thank you for your interest", "excited to receive your application", "We received your application", "Thank you for taking the time to apply". ALSO use Applications Sent even if the email mentions conditional future steps like "should you be selected to interview, we will reach out" or "if shortlisted you will be contacted" – these are application confirmations, NOT interview invites.
-- OA / Screening: Online assessment (HackerRank, Codility), recruiter phone screen, "schedule a call to learn more", "first round" technical assessment, screening call.
-- Interview: Only when this email actually invites or schedules an interview (invite text + scheduling link/time). Not for "we may reach out" or screening calls.
-- Offer → job offer or verbal offer. Accepted → offer acceptance. Rejected → "we will not be moving forward", "not moving forward with your candidacy". No Response / Declined as appropriate.
-
-Provide: summary (2-3 sentences), category ("Job" or "Other"), hasUnsubscribe (true/false), transitionFrom and transitionTo (exact stage names or null).
-
-Email content:
-${truncatedContent}
-
-Respond ONLY with valid JSON:
-{
-  "summary": "2-3 sentence summary here",
-  "category": "Job or Other",
-  "hasUnsubscribe": true or false,
-  "transitionFrom": "exact stage name or null",
-  "transitionTo": "exact stage name or null"
-}`;
-
-  const maxRetries = 2;
-  let lastError = null;
-
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          { role: 'system', content: 'You are an email analysis assistant. Always respond with valid JSON only, no additional text.' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.1,
-        max_tokens: 600
-      });
-
-      const choice = completion.choices?.[0];
-      const responseText = choice?.message?.content?.trim();
-      const finishReason = choice?.finish_reason;
-
-      if (!responseText) {
-        if (finishReason === 'content_filter') {
-          // Don't retry - same input will filter again. Return safe fallback so pipeline continues.
-          console.warn('OpenAI content filter triggered for an email; returning fallback (category: Other).');
-          return {
-            summary: 'Email could not be summarized (content was filtered by provider).',
-            category: 'Other',
-            hasUnsubscribe: false,
-            jobType: null,
-            transitionFrom: null,
-            transitionTo: null
-          };
-        }
-        if (finishReason === 'length') {
-          lastError = new Error('OpenAI response was cut off. Try again.');
-        } else {
-          lastError = new Error(`Empty response from OpenAI${finishReason ? ` (finish_reason: ${finishReason})` : ''}. Try again in a moment.`);
-        }
-        if (attempt < maxRetries) {
-          await new Promise((r) => setTimeout(r, 1000 * (attempt + 1)));
-          continue;
-        }
-        throw lastError;
+  // Unify "Application submitted" / "Job application" with "Applications Sent" so diagram counts are correct
+  const normalizeStage = (s) => {
+    if (!s || typeof s !== 'string') return null;
+    const t = s.trim();
+    if (/^application\s*submitted$/i.test(t) || /^job\s*application$/i.test(t) || t === 'Applications Sent') return 'Applications Sent';
+    return VALID_STAGES.includes(t) ? t : null;
+  };
+  let transitionFrom = null;
+  let transitionTo = null;
+  if (result.category === 'Job' && result.transitionTo) {
+    const toNorm = normalizeStage(result.transitionTo) || (VALID_STAGES.includes(result.transitionTo) ? result.transitionTo : null);
+    if (toNorm) {
+      transitionTo = toNorm;
+      if (result.transitionFrom) {
+        const fromNorm = normalizeStage(result.transitionFrom) || (VALID_STAGES.includes(result.transitionFrom) ? result.transitionFrom : null);
+        if (fromNorm) transitionFrom = fromNorm;
       }
-
-    // Parse JSON response (handle potential markdown code blocks)
-    let jsonText = responseText;
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      jsonText = jsonMatch[0];
     }
+  }
+  // Safeguard: only allow "Interview" if email contains actual invite/scheduling language (avoids labeling application confirmations as Interview)
+  if (transitionTo === 'Interview' && !hasInterviewInvite(sourceContent)) {
+    transitionTo = 'Applications Sent';
+    transitionFrom = null;
+  }
+  const jobType = transitionTo ? STAGE_TO_SLUG[transitionTo] : null;
+
+  return {
+    summary: result.summary.trim(),
+    category: result.category,
+    hasUnsubscribe: result.hasUnsubscribe,
+    jobType,
+    transitionFrom,
+    transitionTo,
+    application: result.category === 'Job' ? normalizeApplication(result.application, sourceContent) : null
+  };
+}
 
-    const result = JSON.parse(jsonText);
+/**
+ * Map an upstream provider failure (LLMError with HTTP status) to the message routes report.
+ * @param {Error} error
+ * @returns {Error}
+ */
+function upstreamError(error) {
+  if (error.status === 401) {
+    return new Error('Invalid OpenAI API key');
+  }
+  if (error.status === 429) {
+    return new Error('OpenAI API rate limit exceeded. Please try again later.');
+  }
+  return new Error(`OpenAI API error: ${error.message}`);
+}
 
-    // Validate response structure
-    if (!result.summary || !result.category || typeof result.hasUnsubscribe !== 'boolean') {
-      throw new Error('Invalid response format from AI');
-    }
+/**
+ * Run a structured completion, mapping upstream failures with upstreamError.
+ * @param {string} task - LLM task with a declared schema
+ * @param {Object} request - messages, temperature, maxTokens
+ * @returns {Promise<{data: Object, fallback: Error|null}>}
+ */
+async function completeTask(task, request) {
+  try {
+    return await completeStructured(task, request);
+  } catch (error) {
+    throw upstreamError(error);
+  }
+}
 
-    const categoryRaw = (result.category && typeof result.category === 'string') ? result.category.trim() : '';
-    if (categoryRaw === 'Job application' || categoryRaw.toLowerCase() === 'job application') {
-      result.category = 'Job';
-    }
-    const validCategories = ['Job', 'Other'];
-    if (result.category !== 'Job') {
-      result.category = 'Other';
-    }
+/**
+ * Flag results built from a task fallback (malformed or filtered model output) so they aren't cached.
+ * @param {Object} result
+ * @param {Error|null} fallback - Reason from completeStructured
+ * @returns {Object} result
+ */
+function markFallback(result, fallback) {
+  if (fallback) result.fallback = true;
+  return result;
+}
 
-    const validStages = ['Applications Sent', 'OA / Screening', 'Interview', 'Offer', 'Accepted', 'Rejected', 'No Response', 'Declined'];
-    const stageToSlug = {
-      'Applications Sent': 'applications_sent',
-      'OA / Screening': 'oa_screening',
-      'Interview': 'interview',
-      'Offer': 'offer',
-      'Accepted': 'accepted',
-      'Rejected': 'rejected',
-      'No Response': 'no_response',
-      'Declined': 'declined'
-    };
-    // Unify "Application submitted" / "Job application" with "Applications Sent" so diagram counts are correct
-    const normalizeStage = (s) => {
-      if (!s || typeof s !== 'string') return null;
-      const t = s.trim();
-      if (/^application\s*submitted$/i.test(t) || /^job\s*application$/i.test(t) || t === 'Applications Sent') return 'Applications Sent';
-      return validStages.includes(t) ? t : null;
-    };
-    let transitionFrom = null;
-    let transitionTo = null;
-    if (result.category === 'Job' && result.transitionTo) {
-      const toNorm = normalizeStage(result.transitionTo) || (validStages.includes(result.transitionTo) ? result.transitionTo : null);
-      if (toNorm) {
-        transitionTo = toNorm;
-        if (result.transitionFrom) {
-          const fromNorm = normalizeStage(result.transitionFrom) || (validStages.includes(result.transitionFrom) ? result.transitionFrom : null);
-          if (fromNorm) transitionFrom = fromNorm;
-        }
-      }
-    }
-    // Safeguard: only allow "Interview" if email contains actual invite/scheduling language (avoids labeling application confirmations as Interview)
-    if (transitionTo === 'Interview') {
-      const invitePhrases = /\b(invite you|invited to (an? )?interview|schedule your interview|schedule an interview|pick a time|choose a time|select a (time|date)|book (your )?interview|interview slot|calendar (link|invite)|we would like to invite|invite you (to|for) (an? )?interview)\b/i;
-      const hasInvite = invitePhrases.test(truncatedContent);
-      if (!hasInvite) {
-        transitionTo = 'Applications Sent';
-        transitionFrom = null;
-      } else {
-        // Application-confirmation wording: "if shortlisted...", "what happens next?" = no actual invite in this email
-        const applicationConfirmationOnly = /\b(if shortlisted|you will move forward with our (formal )?interview process|what happens next\?)\b/i;
-        if (applicationConfirmationOnly.test(truncatedContent)) {
-          transitionTo = 'Applications Sent';
-          transitionFrom = null;
-        }
-      }
-    }
-    const jobType = transitionTo ? stageToSlug[transitionTo] : null;
-
-    return {
-      summary: result.summary.trim(),
-      category: result.category,
-      hasUnsubscribe: result.hasUnsubscribe,
-      jobType,
-      transitionFrom,
-      transitionTo
-    };
-    } catch (error) {
-      if (error instanceof SyntaxError) {
-        throw new Error('Failed to parse AI response as JSON');
-      }
-      if (error.response?.status === 401) {
-        throw new Error('Invalid OpenAI API key');
-      }
-      if (error.response?.status === 429) {
-        throw new Error('OpenAI API rate limit exceeded. Please try again later.');
-      }
-      throw new Error(`OpenAI API error: ${error.message}`);
-    }
-  }
+/**
+ * Token budgets for the email content in each prompt (subject and sender included). The body is
+ * cleaned of quoted replies, signatures and footers first, so most emails fit whole.
+ */
+const CONTENT_TOKENS = {
+  summarize: 2000,
+  categorize: 2000,
+  extractActions: 2000,
+  extractInterview: 2000,
+  matchCustomLabel: 1500,
+  analyzeSentiment: 1500,
+  /** Per email inside a batched prompt (keeps a chunk well inside the context window) */
+  summarizeBatch: 750,
+  /** Whole thread, shared between its messages (see threadMessageTokens) */
+  summarizeThread: 4000,
+  draftReply: 2000
+};
+
+/**
+ * Mask PII in email content before it is sent to the provider.
+ * @param {string} content - Email content (already prepared)
+ * @param {string} [redactionLevel] - off, standard or strict (default: server setting)
+ * @returns {{text: string, restore: Function}} Redacted text, and restore() for the model's output
+ */
+function redactForProvider(content, redactionLevel) {
+  return redaction.redact(content, redaction.resolveLevel(redactionLevel));
 }
 
 /**
- * Categorize an email
- * @param {string} emailContent - Full email content
- * @param {string} apiKey - User's OpenAI API key
- * @returns {Promise<{category: string, confidence: number}>}
+ * Render the user's past stage corrections (utils/feedbackStore) as few-shot examples for the summarize prompt.
+ * Excerpts were redacted when they were stored.
+ * @param {Array<{excerpt: string, stage: string, previousStage: string|null}>} examples - Stage slugs
+ * @returns {string} Example blocks, or "(none)"
+ */
+function formatCorrections(examples) {
+  const stageName = (slug) => Object.keys(STAGE_TO_SLUG).find((stage) => STAGE_TO_SLUG[stage] === slug) || slug;
+  const blocks = examples.map(({ excerpt, stage, previousStage }, i) => {
+    const change = previousStage
+      ? `classified as "${stageName(previousStage)}", corrected to "${stageName(stage)}"`
+      : `correct stage: "${stageName(stage)}"`;
+    // "[EMAIL_1]" -> "[EMAIL]": numbered placeholders would be restored with this email's values
+    const text = excerpt.replace(/\[([A-Z]+)_\d+\]/g, '[$1]');
+    return `Example ${i + 1} (${change}):\n"""\n${text}\n"""`;
+  });
+  return blocks.length > 0 ? blocks.join('\n\n') : '(none)';
+}
+
+/**
+ * Build the summarize completion request for one email (shared by the plain and streaming variants)
+ * @param {string} emailContent - Full email content (subject + body)
+ * @param {string} [redactionLevel] - PII redaction level (see utils/redaction)
+ * @param {Array<Object>} [examples] - The user's relevant stage corrections (see formatCorrections)
+ * @returns {{preparedContent: string, promptVersion: string, restore: Function, request: Object}} Content (before redaction), prompt version, placeholder restore and messages/temperature/maxTokens
  */
-async function categorizeEmail(emailContent, apiKey) {
+function buildSummarizeRequest(emailContent, redactionLevel, examples = []) {
   if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
     throw new Error('Email content is required and must be a non-empty string');
   }
 
-  const truncatedContent = emailContent.length > 8000 
-    ? emailContent.slice(-8000) 
-    : emailContent;
+  const preparedContent = prepareEmailContent(emailContent, { maxTokens: CONTENT_TOKENS.summarize });
+  const redacted = redactForProvider(preparedContent, redactionLevel);
+  const { messages, version } = prompts.render('summarize', {
+    emailContent: redacted.text,
+    userCorrections: formatCorrections(examples)
+  });
+  return {
+    preparedContent,
+    promptVersion: version,
+    restore: redacted.restore,
+    request: { messages, temperature: 0.1, maxTokens: 700 }
+  };
+}
+
+/**
+ * Generate AI summary for an email
+ * @param {string} emailContent - Full email content (subject + body)
+ * @param {Object} [options]
+ * @param {string} [options.redactionLevel] - PII redaction level (see utils/redaction)
+ * @param {Array<Object>} [options.examples] - The user's relevant stage corrections, added as few-shot examples
+ * @returns {Promise<{summary: string, category: string, hasUnsubscribe: boolean}>}
+ */
+async function summarizeEmail(emailContent, { redactionLevel, examples } = {}) {
+  const { preparedContent, promptVersion, restore, request } = buildSummarizeRequest(emailContent, redactionLevel, examples);
+  const { data, fallback } = await completeTask('summarize', request);
+  return markFallback({ ...normalizeSummaryResult(restore(data), preparedContent), promptVersion }, fallback);
+}
+
+/**
+ * Generate AI summary for an email, reporting the summary text as the model writes it.
+ * The final result is the same as summarizeEmail's. If the streamed output is unusable and the
+ * task is re-run, the text already reported may differ from the final summary.
+ * @param {string} emailContent - Full email content (subject + body)
+ * @param {(text: string) => void} onSummaryText - Called with each new piece of the summary (PII placeholders restored)
+ * @param {Object} [options]
+ * @param {string} [options.redactionLevel] - PII redaction level (see utils/redaction)
+ * @param {Array<Object>} [options.examples] - The user's relevant stage corrections, added as few-shot examples
+ * @returns {Promise<{summary: string, category: string, hasUnsubscribe: boolean}>}
+ */
+async function summarizeEmailStream(emailContent, onSummaryText, { redactionLevel, examples } = {}) {
+  const { preparedContent, promptVersion, restore, request } = buildSummarizeRequest(emailContent, redactionLevel, examples);
+  const reader = createStringFieldReader('summary');
+  const restorer = redaction.createStreamRestorer(restore);
+  let result;
+  try {
+    result = await streamStructured('summarize', request, (delta) => {
+      const text = restorer.push(reader.push(delta));
+      if (text) onSummaryText(text);
+    });
+  } catch (error) {
+    throw upstreamError(error);
+  }
+  const rest = restorer.flush();
+  if (rest) onSummaryText(rest);
+  return markFallback({ ...normalizeSummaryResult(restore(result.data), preparedContent), promptVersion }, result.fallback);
+}
 
-  const openai = createOpenAIClient(apiKey);
+/** Emails packed into one completion by summarizeEmailsBatch */
+const SUMMARIZE_BATCH_CHUNK_SIZE = 5;
 
-  const prompt = `Categorize the following email into one of these categories: "Personal", "Promotional", "Spam", "Newsletter", "Job", or "Other".
+/**
+ * Summarize/classify several emails, packing up to SUMMARIZE_BATCH_CHUNK_SIZE emails into each completion.
+ * Results are returned per ID; an email whose entry is missing or malformed gets an error instead of failing the batch.
+ * @param {Array<{id: string, emailContent: string}>} emails - Emails to classify
+ * @param {Object} [options]
+ * @param {string} [options.redactionLevel] - PII redaction level (see utils/redaction), applied to each email
+ * @returns {Promise<Map<string, {result?: Object, error?: string}>>} Map of email ID -> result or error
+ */
+async function summarizeEmailsBatch(emails, { redactionLevel } = {}) {
+  if (!Array.isArray(emails) || emails.length === 0) {
+    throw new Error('emails must be a non-empty array');
+  }
 
-The "Job" category is for tracking job applications during a job search. Use "Job" when the email is clearly a direct response or notification from a company/employer about a specific job application the user submitted. This includes ALL of the following:
-- Application confirmations/acknowledgments: "Thanks for applying", "Thank you for applying", "We received your application", "Thank you for your interest", "excited to receive your application", "Thank you for taking the time to apply"
-- Even if the email says "should you be selected to interview" or "if shortlisted" – this is STILL a Job email because it confirms they received your application
-- Application status updates
-- Interview invitations
-- Assessment/OA invitations
-- Rejections: "we will not be moving forward", "not selected"
-- Job offers
+  const outcomes = new Map();
 
-Do NOT use "Job" for: one-time passcodes, login verification, "confirm your identity", OTP or verification codes; school/college/university applications; job boards, job alerts, or job listing newsletters (LinkedIn jobs, Indeed, Glassdoor); recruiter cold outreach without reference to a specific application you submitted; media/podcast/non-job interviews; emails the user sent; career events or general newsletters. Use "Other" or "Newsletter" for those.
+  for (let i = 0; i < emails.length; i += SUMMARIZE_BATCH_CHUNK_SIZE) {
+    const chunk = emails.slice(i, i + SUMMARIZE_BATCH_CHUNK_SIZE);
+    const contentById = new Map(chunk.map(({ id, emailContent }) => [
+      id,
+      prepareEmailContent(emailContent, { maxTokens: CONTENT_TOKENS.summarizeBatch })
+    ]));
 
-Email content:
-${truncatedContent}
+    // Each email gets its own placeholders, restored into its own result
+    const redactedById = new Map(chunk.map(({ id }) => [id, redactForProvider(contentById.get(id), redactionLevel)]));
 
-Respond ONLY with valid JSON in this exact format:
-{
-  "category": "one of the categories above",
-  "confidence": 0.0 to 1.0 (confidence score)
-}`;
+    const emailBlocks = chunk
+      .map(({ id }) => `=== EMAIL id="${id}" ===\n${redactedById.get(id).text}\n=== END EMAIL id="${id}" ===`)
+      .join('\n\n');
 
-  try {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [
-        { role: 'system', content: 'You are an email categorization assistant. Always respond with valid JSON only, no additional text.' },
-        { role: 'user', content: prompt }
-      ],
-      temperature: 0.3,
-      max_tokens: 100
-    });
+    const { messages, version } = prompts.render('summarizeBatch', { emailCount: chunk.length, emailBlocks });
 
-    const responseText = completion.choices[0]?.message?.content?.trim();
-    if (!responseText) {
-      throw new Error('Empty response from OpenAI');
+    let parsed;
+    try {
+      ({ data: parsed } = await completeStructured('summarizeBatch', {
+        messages,
+        temperature: 0.1,
+        maxTokens: 320 * chunk.length
+      }));
+    } catch (error) {
+      if (error.status === 401) {
+        throw upstreamError(error);
+      }
+      const message = error instanceof StructuredOutputError ? error.message : upstreamError(error).message;
+      chunk.forEach(({ id }) => outcomes.set(id, { error: message }));
+      continue;
     }
 
-    let jsonText = responseText;
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      jsonText = jsonMatch[0];
+    const entryById = new Map(parsed.results.map((e) => [e.id, e]));
+    for (const { id } of chunk) {
+      const entry = entryById.get(id);
+      if (!entry) {
+        outcomes.set(id, { error: 'No result returned for this email' });
+      } else if (validate(TASK_SCHEMAS.summarize.schema, entry).length > 0) {
+        outcomes.set(id, { error: 'Invalid response format from AI' });
+      } else {
+        const restored = redactedById.get(id).restore(entry);
+        outcomes.set(id, { result: { ...normalizeSummaryResult(restored, contentById.get(id)), promptVersion: version } });
+      }
     }
+  }
 
-    const result = JSON.parse(jsonText);
+  return outcomes;
+}
 
-    if (!result.category || typeof result.confidence !== 'number') {
-      throw new Error('Invalid response format from AI');
-    }
+/** Next-reply values of a thread summary: the user owes a reply, the other side does, or nobody */
+const NEXT_REPLY_VALUES = ['you', 'them', 'none'];
 
-    const validCategories = ['Personal', 'Promotional', 'Spam', 'Newsletter', 'Job', 'Other'];
-    if (!validCategories.includes(result.category)) {
-      result.category = 'Other';
-    }
+/**
+ * Token budget per message of a thread: an equal share of the thread budget, so long threads keep
+ * every message, but no single message takes more than a normal email would.
+ * @param {number} messageCount
+ * @returns {number}
+ */
+function threadMessageTokens(messageCount) {
+  return Math.max(150, Math.min(1500, Math.floor(CONTENT_TOKENS.summarizeThread / messageCount)));
+}
 
-    // Ensure confidence is between 0 and 1
-    result.confidence = Math.max(0, Math.min(1, result.confidence));
+/**
+ * Summarize a whole email thread: how the conversation developed, the current job stage and who
+ * owes the next reply. Quoted replies are stripped from each message, so earlier messages are not
+ * repeated in later ones.
+ * @param {Array<{emailContent: string, date?: string, fromMe?: boolean}>} messages - Thread messages, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.redactionLevel] - PII redaction level (see utils/redaction), applied to the whole thread
+ * @returns {Promise<{summary: string, category: string, stage: string|null, jobType: string|null, nextReply: 'you'|'them'|'none', messageCount: number}>}
+ */
+async function summarizeThread(messages, { redactionLevel } = {}) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('messages must be a non-empty array');
+  }
 
-    return {
-      category: result.category,
-      confidence: result.confidence
-    };
-  } catch (error) {
-    if (error instanceof SyntaxError) {
-      throw new Error('Failed to parse AI response as JSON');
-    }
-    if (error.response?.status === 401) {
-      throw new Error('Invalid OpenAI API key');
-    }
-    if (error.response?.status === 429) {
-      throw new Error('OpenAI API rate limit exceeded. Please try again later.');
-    }
-    throw new Error(`OpenAI API error: ${error.message}`);
+  const maxTokens = threadMessageTokens(messages.length);
+  const prepared = messages.map(({ emailContent }) => prepareEmailContent(emailContent, { maxTokens }));
+  const threadText = messages
+    .map(({ date, fromMe }, i) => {
+      const attributes = [`from: ${fromMe ? 'you' : 'them'}`, date ? `date: ${date}` : null].filter(Boolean).join(', ');
+      return `=== MESSAGE ${i + 1} (${attributes}) ===\n${prepared[i]}`;
+    })
+    .join('\n\n');
+
+  // One redaction for the whole thread, so a value repeated across messages keeps one placeholder
+  const redacted = redactForProvider(threadText, redactionLevel);
+  const { messages: prompt, version } = prompts.render('summarizeThread', {
+    messageCount: messages.length,
+    messageBlocks: redacted.text
+  });
+
+  const { data, fallback } = await completeTask('summarizeThread', {
+    messages: prompt,
+    temperature: 0.1,
+    maxTokens: 500
+  });
+
+  const restored = redacted.restore(data);
+  // Same stage normalization and Interview safeguard as single emails: "Interview" needs a message
+  // from the other side that actually invites the user
+  const inviteMessage = prepared.find((content, i) => !messages[i].fromMe && hasInterviewInvite(content));
+  const normalized = normalizeSummaryResult({
+    summary: restored.summary,
+    category: restored.category,
+    hasUnsubscribe: false,
+    transitionTo: restored.stage
+  }, inviteMessage || '');
+  const nextReply = NEXT_REPLY_VALUES.includes(restored.nextReply) ? restored.nextReply : 'none';
+
+  return markFallback({
+    summary: normalized.summary,
+    category: normalized.category,
+    stage: normalized.transitionTo,
+    jobType: normalized.jobType,
+    nextReply,
+    messageCount: messages.length,
+    promptVersion: version
+  }, fallback);
+}
+
+/**
+ * Categorize an email
+ * @param {string} emailContent - Full email content
+ * @param {Object} [options]
+ * @param {string} [options.redactionLevel] - PII redaction level (see utils/redaction)
+ * @returns {Promise<{category: string, confidence: number}>}
+ */
+async function categorizeEmail(emailContent, { redactionLevel } = {}) {
+  if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
+    throw new Error('Email content is required and must be a non-empty string');
   }
+
+  const preparedContent = prepareEmailContent(emailContent, { maxTokens: CONTENT_TOKENS.categorize });
+  const { text: redactedContent } = redactForProvider(preparedContent, redactionLevel);
+  const { messages, version } = prompts.render('categorize', { emailContent: redactedContent });
+
+  const { data, fallback } = await completeTask('categorize', {
+    messages,
+    temperature: 0.3,
+    maxTokens: 100
+  });
+
+  const validCategories = ['Personal', 'Promotional', 'Spam', 'Newsletter', 'Job', 'Other'];
+  return markFallback({
+    category: validCategories.includes(data.category) ? data.category : 'Other',
+    // Ensure confidence is between 0 and 1
+    confidence: Math.max(0, Math.min(1, data.confidence)),
+    promptVersion: version
+  }, fallback);
 }
 
 /**
  * Detect unsubscribe links in email content
  * Uses pattern matching first, then AI validation for edge cases
  * @param {string} emailContent - Full email content (HTML or plain text)
- * @param {string} apiKey - User's OpenAI API key (optional for pattern matching)
  * @returns {Promise<{hasUnsubscribe: boolean, unsubscribeLink: string | null}>}
  */
-async function detectUnsubscribe(emailContent, apiKey) {
+async function detectUnsubscribe(emailContent) {
   if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
     throw new Error('Email content is required and must be a non-empty string');
   }
@@ -386,10 +498,11 @@ async function detectUnsubscribe(emailContent, apiKey) {
  * @param {string} emailContent - Full email content (subject + body)
  * @param {string} labelName - User-facing label name (e.g. "Work", "Newsletters")
  * @param {string} labelDescription - User's description of what emails should get this label
- * @param {string} apiKey - OpenAI API key
+ * @param {Object} [options]
+ * @param {string} [options.redactionLevel] - PII redaction level (see utils/redaction); the label itself is not redacted
  * @returns {Promise<{match: boolean}>}
  */
-async function matchCustomLabel(emailContent, labelName, labelDescription, apiKey) {
+async function matchCustomLabel(emailContent, labelName, labelDescription, { redactionLevel } = {}) {
   if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
     throw new Error('Email content is required and must be a non-empty string');
   }
@@ -400,66 +513,353 @@ async function matchCustomLabel(emailContent, labelName, labelDescription, apiKe
     throw new Error('Label description is required');
   }
 
-  const truncatedContent = emailContent.length > 6000 ? emailContent.slice(-6000) : emailContent;
-  const openai = createOpenAIClient(apiKey);
+  const preparedContent = prepareEmailContent(emailContent, { maxTokens: CONTENT_TOKENS.matchCustomLabel });
+  const { text: redactedContent } = redactForProvider(preparedContent, redactionLevel);
+  const { messages, version } = prompts.render('matchCustomLabel', { labelName, labelDescription, emailContent: redactedContent });
+
+  const { data, fallback } = await completeTask('matchCustomLabel', {
+    messages,
+    temperature: 0.2,
+    maxTokens: 50
+  });
+
+  return markFallback({ match: data.match === true, promptVersion: version }, fallback);
+}
+
+/**
+ * Check an email against several user-defined labels in one completion.
+ * A label the model leaves out (or answers malformed) counts as no match and is flagged as a fallback.
+ * @param {string} emailContent - Full email content (subject + body)
+ * @param {Array<{id: string, name: string, description: string}>} labels - Label definitions; ids must be unique
+ * @param {Object} [options]
+ * @param {string} [options.redactionLevel] - PII redaction level (see utils/redaction); labels are not redacted
+ * @returns {Promise<Map<string, {match: boolean, confidence: number, promptVersion: string, fallback?: boolean}>>} Map of label ID -> result
+ */
+async function matchCustomLabels(emailContent, labels, { redactionLevel } = {}) {
+  if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
+    throw new Error('Email content is required and must be a non-empty string');
+  }
+  if (!Array.isArray(labels) || labels.length === 0) {
+    throw new Error('labels must be a non-empty array');
+  }
+
+  const preparedContent = prepareEmailContent(emailContent, { maxTokens: CONTENT_TOKENS.matchCustomLabel });
+  const { text: redactedContent } = redactForProvider(preparedContent, redactionLevel);
+  const labelBlocks = labels
+    .map(({ id, name, description }) => `- id: "${id}"\n  name: "${name}"\n  description: "${description}"`)
+    .join('\n');
+  const { messages, version } = prompts.render('matchCustomLabels', {
+    labelCount: labels.length,
+    labelBlocks,
+    emailContent: redactedContent
+  });
+
+  const { data, fallback } = await completeTask('matchCustomLabels', {
+    messages,
+    temperature: 0.2,
+    maxTokens: 40 * labels.length + 20
+  });
+
+  const entryById = new Map(data.results.map((entry) => [entry.id, entry]));
+  const outcomes = new Map();
+  for (const { id } of labels) {
+    const entry = entryById.get(id);
+    if (!entry || validate(TASK_SCHEMAS.matchCustomLabels.schema.properties.results.items, entry).length > 0) {
+      outcomes.set(id, { match: false, confidence: 0, promptVersion: version, fallback: true });
+      continue;
+    }
+    const confidence = typeof entry.confidence === 'number' ? Math.max(0, Math.min(1, entry.confidence)) : 0.5;
+    outcomes.set(id, markFallback({ match: entry.match === true, confidence, promptVersion: version }, fallback));
+  }
+  return outcomes;
+}
+
+/**
+ * Normalize a model-provided deadline to ISO 8601.
+ * Date-only values stay as YYYY-MM-DD and local times as YYYY-MM-DDTHH:mm (the email's wall clock);
+ * only values with an explicit offset or "Z" become UTC timestamps.
+ * @param {string|null} value - Deadline as returned by the model
+ * @returns {string|null} ISO date/datetime or null if missing/unparseable
+ */
+function normalizeDeadline(value) {
+  if (!value || typeof value !== 'string') return null;
+  const t = value.trim();
+  if (!t || /^(null|none|n\/a)$/i.test(t)) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(t)) {
+    return Number.isNaN(Date.parse(`${t}T00:00:00Z`)) ? null : t;
+  }
+  // Parsing a time without an offset would read it in the server's timezone and shift it
+  if (!/(?:Z|[+-]\d{2}:?\d{2})$/i.test(t)) return normalizeLocalDateTime(t);
+  const parsed = Date.parse(t);
+  if (Number.isNaN(parsed)) return null;
+  return new Date(parsed).toISOString();
+}
+
+/**
+ * Extract action items and deadlines from an email (OA due dates, "reply by Friday", interview confirmations)
+ * @param {string} emailContent - Full email content (subject + body)
+ * @param {Object} [options]
+ * @param {string} [options.referenceDate] - Date the email was sent (YYYY-MM-DD), for relative deadlines; default today
+ * @param {string} [options.redactionLevel] - PII redaction level (see utils/redaction)
+ * @returns {Promise<{actionItems: Array<{text: string, deadline: string|null, urgent: boolean}>}>}
+ */
+async function extractActionItems(emailContent, { referenceDate, redactionLevel } = {}) {
+  if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
+    throw new Error('Email content is required and must be a non-empty string');
+  }
+
+  const preparedContent = prepareEmailContent(emailContent, { maxTokens: CONTENT_TOKENS.extractActions });
+  const redacted = redactForProvider(preparedContent, redactionLevel);
+  const sentOn = referenceDate || new Date().toISOString().slice(0, 10);
+  const { messages, version } = prompts.render('extractActions', {
+    referenceDate: sentOn,
+    today: sentOn, // extractActions v1 (PROMPT_VERSION_EXTRACT_ACTIONS=v1) names it "today"
+    emailContent: redacted.text
+  });
 
-  const prompt = `You are an email classifier. The user has created a Gmail label called "${labelName}" and described what kind of emails should get this label:
+  const { data, fallback } = await completeTask('extractActions', {
+    messages,
+    temperature: 0.1,
+    maxTokens: 400
+  });
+
+  const actionItems = redacted.restore(data.actionItems)
+    .filter((item) => item.text.trim())
+    .slice(0, 10)
+    .map((item) => ({
+      text: item.text.trim(),
+      deadline: normalizeDeadline(item.deadline),
+      urgent: item.urgent === true
+    }));
 
-"${labelDescription}"
+  return markFallback({ actionItems, promptVersion: version }, fallback);
+}
 
-Use BOTH the label name and the user's description to decide. Infer context from the label name itself (e.g. "Work" suggests work-related, "Newsletters" suggests newsletter signups, "Finance" suggests bills/banking). Combine that with the user's description – the user's description may not be precise, so the label name helps narrow it. Only say match: true if the email clearly fits the label name and/or description; when in doubt, say no.
+/** Timezone abbreviations models (and emails) use instead of IANA names */
+const TIMEZONE_ABBREVIATIONS = {
+  ET: 'America/New_York', EST: 'America/New_York', EDT: 'America/New_York',
+  CT: 'America/Chicago', CST: 'America/Chicago', CDT: 'America/Chicago',
+  MT: 'America/Denver', MST: 'America/Denver', MDT: 'America/Denver',
+  PT: 'America/Los_Angeles', PST: 'America/Los_Angeles', PDT: 'America/Los_Angeles',
+  GMT: 'UTC', UTC: 'UTC', BST: 'Europe/London',
+  CET: 'Europe/Berlin', CEST: 'Europe/Berlin', IST: 'Asia/Kolkata',
+  AEST: 'Australia/Sydney', AEDT: 'Australia/Sydney'
+};
 
-Email content:
-${truncatedContent}
+/** Video call hosts; a link to one of them in the email is used when the model returns none */
+const MEETING_LINK_PATTERN = /https?:\/\/(?:[a-z0-9-]+\.)*(?:zoom\.us|meet\.google\.com|teams\.microsoft\.com|teams\.live\.com|webex\.com|chime\.aws|whereby\.com)\/[^\s<>"')\]]*/i;
 
-Respond ONLY with valid JSON in this exact format:
-{
-  "match": true or false
-}`;
+/**
+ * Normalize a model-provided local date-time to YYYY-MM-DDTHH:mm (seconds and offsets dropped).
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function normalizeLocalDateTime(value) {
+  if (!value || typeof value !== 'string') return null;
+  const match = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})/.exec(value.trim());
+  if (!match || Number.isNaN(Date.parse(`${match[1]}T${match[2]}:00Z`))) return null;
+  return `${match[1]}T${match[2]}`;
+}
 
+/**
+ * Normalize a timezone to an IANA name the runtime knows ("EST" -> "America/New_York").
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function normalizeTimezone(value) {
+  if (!value || typeof value !== 'string') return null;
+  const t = value.trim();
+  const zone = TIMEZONE_ABBREVIATIONS[t.toUpperCase()] || t;
   try {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [
-        { role: 'system', content: 'You are an email classification assistant. Always respond with valid JSON only, no additional text.' },
-        { role: 'user', content: prompt }
-      ],
-      temperature: 0.2,
-      max_tokens: 50
-    });
+    return new Intl.DateTimeFormat('en-US', { timeZone: zone }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
 
-    const responseText = completion.choices?.[0]?.message?.content?.trim();
-    if (!responseText) {
-      return { match: false };
-    }
+/**
+ * The meeting link as written in the email. Models see shortened URLs (see prepareEmailContent), so
+ * the returned link is matched back to the full URL; links that are not in the email are dropped.
+ * @param {string|null} link - Link returned by the model
+ * @param {string} emailContent - Original email content
+ * @returns {string|null}
+ */
+function resolveMeetingLink(link, emailContent) {
+  const urls = emailContent.match(/https?:\/\/[^\s<>"')\]]+/g) || [];
+  if (link && typeof link === 'string') {
+    const prefix = link.trim().replace(/…$/, '');
+    const found = urls.find((url) => url === prefix || (prefix.length > 12 && url.startsWith(prefix)));
+    if (found) return found;
+  }
+  const known = emailContent.match(MEETING_LINK_PATTERN);
+  return known ? known[0] : null;
+}
 
-    let jsonText = responseText;
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      jsonText = jsonMatch[0];
-    }
+/**
+ * Extract the details of an interview invite for a calendar event.
+ * Times are local wall-clock times in `timezone` (null timezone = floating time).
+ * @param {string} emailContent - Full email content (subject + body)
+ * @param {Object} [options]
+ * @param {string} [options.referenceDate] - Date the email was sent (YYYY-MM-DD), for relative dates; default today
+ * @param {string} [options.redactionLevel] - PII redaction level (see utils/redaction)
+ * @returns {Promise<{isInterview: boolean, title: string|null, start: string|null, end: string|null, timezone: string|null, meetingLink: string|null, location: string|null, interviewers: string[]}>}
+ */
+async function extractInterviewDetails(emailContent, { referenceDate, redactionLevel } = {}) {
+  if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
+    throw new Error('Email content is required and must be a non-empty string');
+  }
 
-    const result = JSON.parse(jsonText);
-    const match = result.match === true;
-    return { match };
-  } catch (error) {
-    if (error instanceof SyntaxError) {
-      return { match: false };
-    }
-    if (error.response?.status === 401) {
-      throw new Error('Invalid OpenAI API key');
-    }
-    if (error.response?.status === 429) {
-      throw new Error('OpenAI API rate limit exceeded. Please try again later.');
-    }
-    throw new Error(`OpenAI API error: ${error.message}`);
+  const preparedContent = prepareEmailContent(emailContent, { maxTokens: CONTENT_TOKENS.extractInterview });
+  const redacted = redactForProvider(preparedContent, redactionLevel);
+  const { messages, version } = prompts.render('extractInterview', {
+    referenceDate: referenceDate || new Date().toISOString().slice(0, 10),
+    emailContent: redacted.text
+  });
+
+  const { data, fallback } = await completeTask('extractInterview', {
+    messages,
+    temperature: 0,
+    maxTokens: 300
+  });
+
+  const restored = redacted.restore(data);
+  const text = (value) => (typeof value === 'string' && value.trim() && !/^(null|none|n\/a)$/i.test(value.trim()) ? value.trim() : null);
+  const isInterview = restored.isInterview === true;
+  const start = isInterview ? normalizeLocalDateTime(restored.start) : null;
+  let end = start ? normalizeLocalDateTime(restored.end) : null;
+  if (end && end <= start) end = null;
+
+  return markFallback({
+    isInterview,
+    title: isInterview ? text(restored.title) : null,
+    start,
+    end,
+    timezone: start ? normalizeTimezone(restored.timezone) : null,
+    meetingLink: isInterview ? resolveMeetingLink(restored.meetingLink, emailContent) : null,
+    location: isInterview ? text(restored.location) : null,
+    interviewers: isInterview && Array.isArray(restored.interviewers)
+      ? restored.interviewers.map(text).filter(Boolean).slice(0, 10)
+      : [],
+    promptVersion: version
+  }, fallback);
+}
+
+const SENTIMENT_LABELS = ['positive', 'neutral', 'negative', 'urgent'];
+
+/**
+ * Analyze the tone of a job application email
+ * @param {string} emailContent - Full email content (subject + body)
+ * @param {Object} [options]
+ * @param {string} [options.redactionLevel] - PII redaction level (see utils/redaction)
+ * @returns {Promise<{sentiment: 'positive'|'neutral'|'negative'|'urgent', confidence: number}>}
+ */
+async function analyzeSentiment(emailContent, { redactionLevel } = {}) {
+  if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
+    throw new Error('Email content is required and must be a non-empty string');
+  }
+
+  const preparedContent = prepareEmailContent(emailContent, { maxTokens: CONTENT_TOKENS.analyzeSentiment });
+  const { text: redactedContent } = redactForProvider(preparedContent, redactionLevel);
+  const { messages, version } = prompts.render('analyzeSentiment', { emailContent: redactedContent });
+
+  const { data, fallback } = await completeTask('analyzeSentiment', {
+    messages,
+    temperature: 0.2,
+    maxTokens: 50
+  });
+
+  const label = data.sentiment.trim().toLowerCase();
+  const sentiment = SENTIMENT_LABELS.includes(label) ? label : 'neutral';
+  const rawConfidence = typeof data.confidence === 'number' ? data.confidence : 0.5;
+
+  return markFallback({
+    sentiment,
+    // Unknown labels fall back to neutral, so don't report the model's confidence for them
+    confidence: sentiment === label ? Math.max(0, Math.min(1, rawConfidence)) : 0.5,
+    promptVersion: version
+  }, fallback);
+}
+
+/** What a drafted reply should do, by intent (the instructions are inserted into the draftReply prompt) */
+const REPLY_INTENTS = {
+  accept_interview: 'Accept the interview invitation. Confirm the proposed time if the email gives one, otherwise say you will book a slot or ask which times work. Express genuine interest in the role.',
+  propose_times: 'Reply to a scheduling request by proposing the times from the notes (or a [your availability] placeholder if there are none). Ask them to confirm which works.',
+  decline_offer: 'Politely decline the job offer. Thank them for the offer and their time, keep the door open for the future, and do not give a detailed reason unless the notes include one.',
+  thank_recruiter: 'Thank the recruiter for their time and help (for example after an interview or an update) and say you look forward to hearing about next steps.'
+};
+
+/** How a drafted reply should sound, by tone */
+const REPLY_TONES = {
+  formal: 'Formal and professional. Full sentences, no contractions, "Dear" or "Hello" greeting.',
+  friendly: 'Warm and professional. Conversational, contractions are fine, "Hi" greeting.',
+  enthusiastic: 'Upbeat and professional. Show clear excitement without exaggerating.',
+  brief: 'Short and to the point: two to four sentences, still polite.'
+};
+
+/**
+ * Draft a reply to an email for a chosen intent and tone. Drafts are not cached: asking again
+ * gives a different wording.
+ * @param {string} emailContent - Full email content (subject + body) of the email to answer
+ * @param {Object} options
+ * @param {string} options.intent - Key of REPLY_INTENTS
+ * @param {string} [options.tone] - Key of REPLY_TONES (default: formal)
+ * @param {string} [options.notes] - Extra facts from the user, such as available times (sent as written)
+ * @param {string} [options.senderName] - Name to sign with
+ * @param {string} [options.redactionLevel] - PII redaction level (see utils/redaction), applied to the email
+ * @returns {Promise<{draft: string, intent: string, tone: string}>}
+ */
+async function draftReply(emailContent, { intent, tone = 'formal', notes = '', senderName = '', redactionLevel } = {}) {
+  if (!emailContent || typeof emailContent !== 'string' || emailContent.trim().length === 0) {
+    throw new Error('Email content is required and must be a non-empty string');
   }
+  if (!Object.hasOwn(REPLY_INTENTS, intent)) {
+    throw new Error(`intent must be one of: ${Object.keys(REPLY_INTENTS).join(', ')}`);
+  }
+  if (!Object.hasOwn(REPLY_TONES, tone)) {
+    throw new Error(`tone must be one of: ${Object.keys(REPLY_TONES).join(', ')}`);
+  }
+
+  const preparedContent = prepareEmailContent(emailContent, { maxTokens: CONTENT_TOKENS.draftReply });
+  const redacted = redactForProvider(preparedContent, redactionLevel);
+  const { messages, version } = prompts.render('draftReply', {
+    intentInstructions: REPLY_INTENTS[intent],
+    toneInstructions: REPLY_TONES[tone],
+    notes: notes.trim() || '(none)',
+    senderName: senderName.trim() || '[your name]',
+    emailContent: redacted.text
+  });
+
+  const { data } = await completeTask('draftReply', {
+    messages,
+    temperature: 0.7,
+    maxTokens: 400
+  });
+
+  return {
+    draft: redacted.restore(data.body).trim(),
+    intent,
+    tone,
+    promptVersion: version
+  };
 }
 
 module.exports = {
+  STAGE_TO_SLUG,
   summarizeEmail,
+  summarizeEmailStream,
+  summarizeEmailsBatch,
+  summarizeThread,
   categorizeEmail,
   detectUnsubscribe,
-  matchCustomLabel
+  matchCustomLabel,
+  matchCustomLabels,
+  extractActionItems,
+  normalizeDeadline,
+  extractInterviewDetails,
+  normalizeLocalDateTime,
+  analyzeSentiment,
+  REPLY_INTENTS,
+  REPLY_TONES,
+  draftReply
 };
 
@@ -1,10 +1,39 @@
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const prompts = require('./prompts');
+const metrics = require('./metrics');
 
-const MAX_ENTRIES = 400;
-const TTL_MS = 60 * 60 * 1000; // 1 hour
+const MAX_ENTRIES = parseInt(process.env.OPENAI_CACHE_MAX_ENTRIES, 10) || 400;
+const DEFAULT_TTL_MS = 60 * 60 * 1000; // 1 hour
 
+/**
+ * Default TTL per key prefix. AI results for the same email content don't change,
+ * so the per-email analyses live much longer than the generic default.
+ * Override with OPENAI_CACHE_TTL_<PREFIX> (e.g. OPENAI_CACHE_TTL_SUMMARIZE=7d; units s/m/h/d, bare number = seconds).
+ */
+const DEFAULT_PREFIX_TTLS_MS = {
+  summarize: 7 * 24 * 60 * 60 * 1000,
+  categorize: 7 * 24 * 60 * 60 * 1000,
+  match: 7 * 24 * 60 * 60 * 1000,
+  actions: 7 * 24 * 60 * 60 * 1000,
+  interview: 7 * 24 * 60 * 60 * 1000,
+  sentiment: 7 * 24 * 60 * 60 * 1000,
+  thread: 7 * 24 * 60 * 60 * 1000
+};
+
+// Disk persistence: append-only JSON lines log, compacted on startup. Disable with OPENAI_CACHE_PERSIST=false.
+const PERSIST = process.env.OPENAI_CACHE_PERSIST !== 'false';
+const CACHE_PATH = process.env.OPENAI_CACHE_PATH || path.join(__dirname, '..', '.cache', 'openai-cache.jsonl');
+// Compact again at runtime once the log holds this many superseded lines
+const COMPACT_AFTER_APPENDS = MAX_ENTRIES * 4;
+
+// Map iteration order is insertion order, so re-inserting a key on access keeps it LRU-ordered
+// (least recently used first) with O(1) get/set/evict.
 const cache = new Map(); // key -> { value, expiresAt }
-const keyOrder = []; // LRU: oldest first
+const inFlight = new Map(); // key -> Promise of the pending computation (single-flight)
+const stats = new Map(); // prefix -> { hits, misses, deduped }
+let appendsSinceCompaction = 0;
 
 function hash(input) {
   return crypto.createHash('sha256').update(input, 'utf8').digest('hex');
@@ -15,62 +44,259 @@ function cacheKey(prefix, ...parts) {
   return `${prefix}:${hash(combined)}`;
 }
 
+function prefixOf(key) {
+  const i = key.indexOf(':');
+  return i === -1 ? key : key.slice(0, i);
+}
+
+/**
+ * Parse a duration like "3600", "30m", "12h" or "7d" into milliseconds.
+ * @param {string} value
+ * @returns {number|null} Milliseconds, or null if invalid
+ */
+function parseDuration(value) {
+  const m = /^\s*(\d+(?:\.\d+)?)\s*([smhd]?)\s*$/i.exec(value || '');
+  if (!m) return null;
+  const unitMs = { '': 1000, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return Math.round(parseFloat(m[1]) * unitMs[m[2].toLowerCase()]);
+}
+
+/**
+ * TTL for a key prefix: OPENAI_CACHE_TTL_<PREFIX> env, then DEFAULT_PREFIX_TTLS_MS, then DEFAULT_TTL_MS.
+ * @param {string} prefix - Key prefix (summarize, categorize, ...)
+ * @returns {number} TTL in milliseconds
+ */
+function ttlFor(prefix) {
+  const fromEnv = parseDuration(process.env[`OPENAI_CACHE_TTL_${prefix.toUpperCase()}`]);
+  if (fromEnv) return fromEnv;
+  return DEFAULT_PREFIX_TTLS_MS[prefix] || DEFAULT_TTL_MS;
+}
+
+function record(prefix, field) {
+  if (!stats.has(prefix)) stats.set(prefix, { hits: 0, misses: 0, deduped: 0 });
+  stats.get(prefix)[field]++;
+}
+
+/**
+ * Evict least recently used entries over MAX_ENTRIES, plus any expired entries at the LRU end.
+ * Expired entries further in are dropped lazily by get().
+ */
 function prune() {
   const now = Date.now();
-  while (keyOrder.length > 0 && (cache.size > MAX_ENTRIES || (cache.get(keyOrder[0])?.expiresAt <= now))) {
-    const oldest = keyOrder.shift();
-    cache.delete(oldest);
+  for (const [key, entry] of cache) {
+    if (cache.size <= MAX_ENTRIES && entry.expiresAt > now) break;
+    cache.delete(key);
+  }
+}
+
+/**
+ * Rewrite the log with only live entries (oldest first, so LRU order survives a restart).
+ * Writes to a temp file and renames it so a crash mid-write never loses the previous log.
+ */
+function compact() {
+  if (!PERSIST) return;
+  try {
+    const now = Date.now();
+    const lines = [];
+    for (const [key, entry] of cache) {
+      if (entry.expiresAt > now) lines.push(JSON.stringify({ k: key, v: entry.value, e: entry.expiresAt }));
+    }
+    fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true });
+    const tmpPath = `${CACHE_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmpPath, CACHE_PATH);
+    appendsSinceCompaction = 0;
+  } catch (error) {
+    console.warn('openaiCache: compaction failed:', error.message);
   }
 }
 
+/**
+ * Load the log into memory: last write per key wins, expired and unreadable lines
+ * (e.g. a half-written last line after a crash) are dropped, then the log is compacted.
+ */
+function loadFromDisk() {
+  if (!PERSIST || !fs.existsSync(CACHE_PATH)) return;
+  try {
+    const now = Date.now();
+    const text = fs.readFileSync(CACHE_PATH, 'utf8');
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (!entry || typeof entry.k !== 'string' || !(entry.e > now)) continue;
+      cache.delete(entry.k);
+      cache.set(entry.k, { value: entry.v, expiresAt: entry.e });
+    }
+    prune();
+  } catch (error) {
+    console.warn('openaiCache: could not load persisted cache:', error.message);
+  }
+  compact();
+}
+
+function appendToDisk(key, entry) {
+  if (!PERSIST) return;
+  try {
+    fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true });
+    fs.appendFileSync(CACHE_PATH, JSON.stringify({ k: key, v: entry.value, e: entry.expiresAt }) + '\n');
+    appendsSinceCompaction++;
+    if (appendsSinceCompaction >= COMPACT_AFTER_APPENDS) compact();
+  } catch (error) {
+    console.warn('openaiCache: could not persist entry:', error.message);
+  }
+}
+
+/**
+ * Look up a live entry without touching hit/miss stats. Refreshes its LRU position.
+ * @param {string} key
+ * @returns {{value: any, expiresAt: number}|undefined}
+ */
+function lookup(key) {
+  const entry = cache.get(key);
+  if (!entry) return undefined;
+  cache.delete(key);
+  if (entry.expiresAt <= Date.now()) return undefined;
+  cache.set(key, entry);
+  return entry;
+}
+
 /**
  * Get cached result for an OpenAI call. Returns undefined if miss or expired.
  * @param {string} key - Cache key from makeKey
  * @returns {any|undefined}
  */
 function get(key) {
-  const entry = cache.get(key);
-  if (!entry) return undefined;
-  if (entry.expiresAt <= Date.now()) {
-    cache.delete(key);
-    const i = keyOrder.indexOf(key);
-    if (i !== -1) keyOrder.splice(i, 1);
-    return undefined;
-  }
-  return entry.value;
+  const entry = lookup(key);
+  record(prefixOf(key), entry ? 'hits' : 'misses');
+  return entry ? entry.value : undefined;
 }
 
 /**
- * Store result for an OpenAI call. Uses LRU eviction and TTL.
+ * Store result for an OpenAI call. Uses LRU eviction and the TTL for the key's prefix.
  * @param {string} key - Cache key from makeKey
- * @param {any} value - Result to cache (must be JSON-serializable for summarize/categorize/match)
+ * @param {any} value - Result to cache (must be JSON-serializable; it is persisted to disk)
  */
 function set(key, value) {
+  const entry = { value, expiresAt: Date.now() + ttlFor(prefixOf(key)) };
+  cache.delete(key);
+  cache.set(key, entry);
   prune();
-  const expiresAt = Date.now() + TTL_MS;
-  if (cache.has(key)) {
-    cache.set(key, { value, expiresAt });
-    const i = keyOrder.indexOf(key);
-    if (i !== -1) keyOrder.splice(i, 1);
-    keyOrder.push(key);
-  } else {
-    cache.set(key, { value, expiresAt });
-    keyOrder.push(key);
+  appendToDisk(key, entry);
+}
+
+/**
+ * Return the cached result for key, or compute and cache it. Concurrent calls for a key
+ * that is already being computed wait on the same promise instead of calling the model again.
+ * Failures and fallback results are not cached; every waiter receives the same outcome.
+ * @param {string} key - Cache key from makeKey
+ * @param {() => Promise<any>} compute - Produces the result on a miss
+ * @returns {Promise<any>}
+ */
+function getOrCompute(key, compute) {
+  const prefix = prefixOf(key);
+  const entry = lookup(key);
+  if (entry) {
+    record(prefix, 'hits');
+    return Promise.resolve(entry.value);
+  }
+  const pending = inFlight.get(key);
+  if (pending) {
+    record(prefix, 'deduped');
+    return pending;
+  }
+  record(prefix, 'misses');
+  const promise = (async () => {
+    try {
+      const value = await compute();
+      // Fallback results (unusable model output) are returned but not cached, so the next request retries
+      if (!(value && value.fallback)) set(key, value);
+      return value;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Hit/miss counts and entry counts per key prefix (one prefix per route).
+ * `deduped` counts requests that joined an in-flight computation instead of making their own model call.
+ * @returns {{entries: number, maxEntries: number, persistent: boolean, inFlight: number, dedupedCalls: number, prefixes: Object<string, {hits: number, misses: number, deduped: number, hitRatio: number|null, entries: number, ttlMs: number}>}}
+ */
+function getStats() {
+  const entriesByPrefix = new Map();
+  for (const key of cache.keys()) {
+    const prefix = prefixOf(key);
+    entriesByPrefix.set(prefix, (entriesByPrefix.get(prefix) || 0) + 1);
   }
+  const prefixes = {};
+  let dedupedCalls = 0;
+  const allPrefixes = new Set([...Object.keys(DEFAULT_PREFIX_TTLS_MS), ...stats.keys(), ...entriesByPrefix.keys()]);
+  for (const prefix of allPrefixes) {
+    const { hits, misses, deduped } = stats.get(prefix) || { hits: 0, misses: 0, deduped: 0 };
+    dedupedCalls += deduped;
+    prefixes[prefix] = {
+      hits,
+      misses,
+      deduped,
+      hitRatio: hits + misses > 0 ? hits / (hits + misses) : null,
+      entries: entriesByPrefix.get(prefix) || 0,
+      ttlMs: ttlFor(prefix)
+    };
+  }
+  return {
+    entries: cache.size,
+    maxEntries: MAX_ENTRIES,
+    persistent: PERSIST,
+    inFlight: inFlight.size,
+    dedupedCalls,
+    prefixes
+  };
 }
 
 /**
- * Cache keys for email routes.
+ * Cache keys for email routes. Each key includes the fingerprint of the prompt(s) that produce the
+ * result, so entries made with an older prompt are never read again and simply age out.
+ * Summarize and custom-label entries are filled by both the single and the batch prompt, so both count.
+ * The PII redaction level is part of the key too, since it changes what the model sees.
  */
 const keys = {
-  summarize: (emailContent) => cacheKey('summarize', emailContent),
-  categorize: (emailContent) => cacheKey('categorize', emailContent),
-  matchCustomLabel: (emailContent, labelName, labelDescription) =>
-    cacheKey('match', emailContent, labelName, labelDescription)
+  // Results made with the user's stage corrections as few-shot examples are keyed by those corrections
+  summarize: (emailContent, redactionLevel, exampleIds = []) =>
+    cacheKey('summarize', prompts.fingerprint('summarize'), prompts.fingerprint('summarizeBatch'), redactionLevel, emailContent,
+      ...(exampleIds.length > 0 ? [exampleIds] : [])),
+  categorize: (emailContent, redactionLevel) =>
+    cacheKey('categorize', prompts.fingerprint('categorize'), redactionLevel, emailContent),
+  // Filled per label by both the single and the combined (all labels in one call) prompt
+  matchCustomLabel: (emailContent, labelName, labelDescription, redactionLevel) =>
+    cacheKey('match', prompts.fingerprint('matchCustomLabel'), prompts.fingerprint('matchCustomLabels'), redactionLevel,
+      emailContent, labelName, labelDescription),
+  // Relative dates ("reply by Friday", "next Tuesday") are resolved against referenceDate, so it is part of the key
+  extractActions: (emailContent, referenceDate, redactionLevel) =>
+    cacheKey('actions', prompts.fingerprint('extractActions'), redactionLevel, referenceDate, emailContent),
+  extractInterview: (emailContent, referenceDate, redactionLevel) =>
+    cacheKey('interview', prompts.fingerprint('extractInterview'), redactionLevel, referenceDate, emailContent),
+  analyzeSentiment: (emailContent, redactionLevel) =>
+    cacheKey('sentiment', prompts.fingerprint('analyzeSentiment'), redactionLevel, emailContent),
+  // A new message in the thread changes the key, so the summary is redone with it
+  summarizeThread: (messages, redactionLevel) =>
+    cacheKey('thread', prompts.fingerprint('summarizeThread'), redactionLevel, messages)
 };
 
+loadFromDisk();
+
+metrics.registerCacheStats(getStats);
+
 module.exports = {
   get,
   set,
-  keys
+  getOrCompute,
+  keys,
+  getStats
 };
@@ -0,0 +1,189 @@
+/**
+ * Versioned prompt registry. Prompts live in backend/prompts as `<name>.v<N>.txt` files:
+ *
+ *   ---
+ *   description: What the prompt is for
+ *   system: Optional system message
+ *   ---
+ *   Template text with {{variables}} and {{> partialName}} includes
+ *
+ * The active version of each prompt is the highest one on disk, or the one pinned with
+ * PROMPT_VERSION_<NAME> (e.g. PROMPT_VERSION_SUMMARIZE_BATCH=v1). Each prompt has a fingerprint
+ * (`name@vN#hash`) covering its own text and the partials it includes; cache keys use it, so editing
+ * or switching a prompt invalidates the results produced by the old one.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+const FILE_PATTERN = /^([A-Za-z][A-Za-z0-9]*)\.v(\d+)\.txt$/;
+const TOKEN_PATTERN = /\{\{\s*(>)?\s*([A-Za-z][A-Za-z0-9]*)\s*\}\}/g;
+
+/** name -> Map(version number -> { description, system, body }) */
+const templates = new Map();
+/** name -> fingerprint of the active version (cleared when overrides change) */
+const fingerprints = new Map();
+/** name -> version pinned in code (setVersionOverrides); takes precedence over PROMPT_VERSION_* */
+const versionOverrides = new Map();
+
+/**
+ * Parse a prompt file: optional `---` frontmatter of `key: value` lines, then the template body.
+ * @param {string} text
+ * @returns {{description: string, system: string|null, body: string}}
+ */
+function parseTemplateFile(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+  const meta = {};
+  if (match) {
+    for (const line of match[1].split(/\r?\n/)) {
+      const i = line.indexOf(':');
+      if (i > 0) meta[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+    }
+  }
+  return {
+    description: meta.description || '',
+    system: meta.system || null,
+    body: (match ? match[2] : text).replace(/\s+$/, '')
+  };
+}
+
+function loadTemplates() {
+  for (const file of fs.readdirSync(PROMPTS_DIR)) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+    const [, name, version] = match;
+    if (!templates.has(name)) templates.set(name, new Map());
+    templates.get(name).set(Number(version), parseTemplateFile(fs.readFileSync(path.join(PROMPTS_DIR, file), 'utf8')));
+  }
+}
+
+function envName(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Version number to use for a prompt: explicit, overridden in code, pinned via env, or the latest.
+ * @param {string} name
+ * @param {string|number} [version] - e.g. "v2" or 2
+ * @returns {number}
+ */
+function resolveVersion(name, version) {
+  const versions = templates.get(name);
+  if (!versions) throw new Error(`Unknown prompt "${name}"`);
+  const requested = version ?? versionOverrides.get(name) ?? process.env[`PROMPT_VERSION_${envName(name)}`];
+  if (requested === undefined || requested === '') return Math.max(...versions.keys());
+  const number = Number(String(requested).replace(/^v/i, ''));
+  if (!versions.has(number)) {
+    throw new Error(`Prompt "${name}" has no version ${requested} (available: ${[...versions.keys()].map((v) => `v${v}`).join(', ')})`);
+  }
+  return number;
+}
+
+/**
+ * Template text with partials expanded (their active versions), plus the partials used.
+ * @returns {{text: string, system: string|null, includes: Array<string>}}
+ */
+function expand(name, version, stack = []) {
+  if (stack.includes(name)) throw new Error(`Prompt partials include each other: ${[...stack, name].join(' -> ')}`);
+  const template = templates.get(name).get(version);
+  const includes = [];
+  const text = template.body.replace(TOKEN_PATTERN, (token, isPartial, partialName) => {
+    if (!isPartial) return token;
+    const partial = expand(partialName, resolveVersion(partialName), [...stack, name]);
+    includes.push(`${partialName}@v${resolveVersion(partialName)}`, ...partial.includes);
+    return partial.text;
+  });
+  return { text, system: template.system, includes: [...new Set(includes)] };
+}
+
+function hashOf(expanded) {
+  return crypto.createHash('sha256')
+    .update(`${expanded.system || ''}\0${expanded.text}`, 'utf8')
+    .digest('hex')
+    .slice(0, 8);
+}
+
+/**
+ * Render a prompt into chat messages.
+ * @param {string} name - Prompt name (file name without version)
+ * @param {Object<string, string|number>} variables - Values for {{variables}}; every variable must be given
+ * @param {Object} [options]
+ * @param {string|number} [options.version] - Render this version instead of the active one
+ * @returns {{messages: Array<{role: string, content: string}>, version: string}} `version` is "name@vN"
+ */
+function render(name, variables, { version } = {}) {
+  const number = resolveVersion(name, version);
+  const expanded = expand(name, number);
+  const content = expanded.text.replace(TOKEN_PATTERN, (token, isPartial, variable) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, variable)) {
+      throw new Error(`Prompt "${name}" needs variable "${variable}"`);
+    }
+    return String(variables[variable]);
+  });
+  return {
+    messages: [
+      ...(expanded.system ? [{ role: 'system', content: expanded.system }] : []),
+      { role: 'user', content }
+    ],
+    version: `${name}@v${number}`
+  };
+}
+
+/**
+ * Identifier of the active prompt text ("name@vN#hash"), used in cache keys.
+ * @param {string} name
+ * @returns {string}
+ */
+function fingerprint(name) {
+  if (!fingerprints.has(name)) {
+    const number = resolveVersion(name);
+    fingerprints.set(name, `${name}@v${number}#${hashOf(expand(name, number))}`);
+  }
+  return fingerprints.get(name);
+}
+
+/**
+ * Pin prompt versions for the rest of the process, e.g. { summarize: 'v2' }. Used by the evaluation
+ * CLI to run the same corpus against two versions; pass {} to go back to the defaults.
+ * @param {Object<string, string|number>} pins - Prompt name -> version
+ * @throws {Error} If a prompt or version doesn't exist
+ */
+function setVersionOverrides(pins) {
+  for (const [name, version] of Object.entries(pins)) resolveVersion(name, version);
+  versionOverrides.clear();
+  for (const [name, version] of Object.entries(pins)) versionOverrides.set(name, version);
+  fingerprints.clear();
+}
+
+/**
+ * All prompts with their active and available versions.
+ * @returns {Array<{name: string, description: string, activeVersion: string, versions: Array<string>, fingerprint: string, includes: Array<string>, variables: Array<string>}>}
+ */
+function list() {
+  return [...templates.keys()].sort().map((name) => {
+    const number = resolveVersion(name);
+    const expanded = expand(name, number);
+    const variables = [...new Set([...expanded.text.matchAll(TOKEN_PATTERN)].map((m) => m[2]))];
+    return {
+      name,
+      description: templates.get(name).get(number).description,
+      activeVersion: `v${number}`,
+      versions: [...templates.get(name).keys()].sort((a, b) => a - b).map((v) => `v${v}`),
+      fingerprint: fingerprint(name),
+      includes: expanded.includes,
+      variables
+    };
+  });
+}
+
+loadTemplates();
+// Fail at startup on a bad PROMPT_VERSION_* pin or a missing partial rather than on the first request
+for (const name of templates.keys()) fingerprint(name);
+
+module.exports = {
+  render,
+  fingerprint,
+  list,
+  setVersionOverrides
+};
@@ -0,0 +1,92 @@
+/**
+ * Token-bucket rate limiting per client and route. Clients are identified by their API token
+ * (req.client from auth) or, for unauthenticated routes, by IP.
+ *
+ * Environment:
+ * - RATE_LIMIT_PER_MINUTE: default refill rate per client per route (default 60)
+ * - RATE_LIMIT_BURST: default bucket size (default: same as RATE_LIMIT_PER_MINUTE)
+ * - RATE_LIMIT_DISABLED: 'true' to turn limiting off
+ */
+
+const { sendError } = require('./errors');
+
+const DEFAULT_PER_MINUTE = parseFloat(process.env.RATE_LIMIT_PER_MINUTE) || 60;
+const DEFAULT_BURST = parseFloat(process.env.RATE_LIMIT_BURST) || DEFAULT_PER_MINUTE;
+const DISABLED = process.env.RATE_LIMIT_DISABLED === 'true';
+
+/** Tighter limits for routes that fan out into many model or search API calls */
+const ROUTE_LIMITS = {
+  '/api/email/summarize-batch': { burst: 5, perMinute: 6 },
+  '/api/linkedin/search': { burst: 5, perMinute: 5 },
+  '/api/linkedin/search-and-generate': { burst: 2, perMinute: 2 },
+  '/api/auth/pair': { burst: 5, perMinute: 5 }
+};
+
+const IDLE_BUCKET_MS = 60 * 60 * 1000; // idle buckets are full again; drop them to bound memory
+const SWEEP_EVERY = 1000; // sweep idle buckets after this many new buckets
+
+const buckets = new Map(); // `${clientKey} ${route}` -> { tokens, updatedAt }
+let createdSinceSweep = 0;
+
+function limitsFor(route) {
+  return ROUTE_LIMITS[route] || { burst: DEFAULT_BURST, perMinute: DEFAULT_PER_MINUTE };
+}
+
+function sweep(now) {
+  for (const [key, bucket] of buckets) {
+    if (now - bucket.updatedAt > IDLE_BUCKET_MS) buckets.delete(key);
+  }
+  createdSinceSweep = 0;
+}
+
+/**
+ * Take one token from the client's bucket for a route.
+ * @param {string} clientKey - Token ID or IP
+ * @param {string} route - Full route path, e.g. /api/email/summarize
+ * @returns {{allowed: boolean, retryAfterSeconds: number}}
+ */
+function consume(clientKey, route) {
+  const now = Date.now();
+  const { burst, perMinute } = limitsFor(route);
+  const key = `${clientKey} ${route}`;
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    if (++createdSinceSweep >= SWEEP_EVERY) sweep(now);
+    bucket = { tokens: burst, updatedAt: now };
+    buckets.set(key, bucket);
+  }
+
+  const refillPerMs = perMinute / 60000;
+  bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+  return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)) };
+}
+
+/**
+ * Middleware: 429 with Retry-After once the client's bucket for this route is empty.
+ * Mount after auth so req.client is set.
+ */
+function rateLimit() {
+  return (req, res, next) => {
+    if (DISABLED) return next();
+    const route = `${req.baseUrl}${req.path}`;
+    const clientKey = req.client ? `client:${req.client.id}` : `ip:${req.ip}`;
+    const { allowed, retryAfterSeconds } = consume(clientKey, route);
+    if (allowed) return next();
+
+    res.set('Retry-After', String(retryAfterSeconds));
+    sendError(res, 429, 'rate_limited', `Too many requests to ${route}. Try again in ${retryAfterSeconds}s.`, {
+      retryAfter: retryAfterSeconds
+    });
+  };
+}
+
+module.exports = {
+  rateLimit,
+  consume
+};
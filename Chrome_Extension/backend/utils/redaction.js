@@ -0,0 +1,228 @@
+/**
+ * PII redaction for email content sent to an LLM provider.
+ *
+ * Detected values are replaced with placeholders like [PHONE_1]; the same value always gets the same
+ * placeholder within one redaction, so the model can still refer to it. restore() puts the original
+ * values back into model output (summaries, action items) before it is returned to the client.
+ *
+ * Levels:
+ * - off: content is sent as-is
+ * - standard: phone numbers, card/account/IBAN/SSN numbers, verification codes, street addresses, and
+ *   the local part of email addresses (the domain is kept; it says a lot about who sent the email)
+ * - strict: standard, plus whole email addresses, URLs, ZIP codes and names after greetings/sign-offs
+ *
+ * Environment:
+ * - PII_REDACTION_LEVEL: level used when a request doesn't ask for one (default: standard)
+ * - PII_REDACTION_MIN_LEVEL: lowest level a request may ask for (default: off); lower requests are raised to it
+ */
+
+const LEVELS = ['off', 'standard', 'strict'];
+const DEFAULT_LEVEL = 'standard';
+
+/** Matches placeholders produced by redact(), e.g. [PHONE_1] or [EMAIL_12] */
+const PLACEHOLDER_PATTERN = /\[([A-Z]+)_(\d+)\]/g;
+/** Longest placeholder prefix held back while streaming, e.g. "[ACCOUNT_12" */
+const MAX_PLACEHOLDER_LENGTH = 16;
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Detectors in the order they run (earlier ones win: a card number is not also a phone number).
+ * `group` selects the part of the match to mask (default: the whole match); `accept` filters matches.
+ */
+const DETECTORS = [
+  {
+    type: 'EMAIL',
+    levels: ['strict'],
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    type: 'EMAIL',
+    levels: ['standard'],
+    // Local part only: "jane.doe@acme.com" -> "[EMAIL_1]@acme.com"
+    pattern: /\b([A-Za-z0-9._%+-]+)@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    group: 1
+  },
+  {
+    type: 'URL',
+    levels: ['strict'],
+    pattern: /\bhttps?:\/\/[^\s<>"'\])]+/gi
+  },
+  {
+    type: 'CARD',
+    levels: ['standard', 'strict'],
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    accept: (value) => luhnValid(value.replace(/\D/g, ''))
+  },
+  {
+    type: 'SSN',
+    levels: ['standard', 'strict'],
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g
+  },
+  {
+    type: 'IBAN',
+    levels: ['standard', 'strict'],
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g
+  },
+  {
+    type: 'CODE',
+    levels: ['standard', 'strict'],
+    // "Your verification code is 482913", "OTP: 7781", "passcode - AB12CD"
+    pattern: /\b(?:code|otp|passcode|pin)\b(?:\s+(?:is|was))?[\s:=#-]*((?=[A-Z]*\d)[A-Z0-9]{4,8})\b/gi,
+    group: 1
+  },
+  {
+    type: 'ACCOUNT',
+    levels: ['standard', 'strict'],
+    // "Account number: 00123456", "Acct # 99-1234-55", "Member ID 5541209"
+    pattern: /\b(?:account|acct|routing|member|policy|customer)\s*(?:number|no\.?|id|#)?\s*[:#]?\s*((?=[A-Z0-9-]*\d{3})[A-Z0-9][A-Z0-9-]{5,})\b/gi,
+    group: 1
+  },
+  {
+    type: 'PHONE',
+    levels: ['standard', 'strict'],
+    // Needs separators or a leading +, so years, prices and order totals aren't caught
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\b\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}\b|\+\d{8,15}\b/g
+  },
+  {
+    type: 'ACCOUNT',
+    levels: ['standard', 'strict'],
+    // Any other long digit run (account, tracking or member numbers)
+    pattern: /\b\d{9,}\b/g
+  },
+  {
+    type: 'ADDRESS',
+    levels: ['standard', 'strict'],
+    pattern: /\b\d{1,5}\s+(?:[A-Z][A-Za-z.]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy|Circle|Cir|Highway|Hwy)\b\.?(?:,?\s*(?:Apt|Suite|Ste|Unit|#)\.?\s*[A-Za-z0-9-]+)?/g
+  },
+  {
+    type: 'ZIP',
+    levels: ['strict'],
+    pattern: /\b\d{5}(?:-\d{4})?\b/g
+  },
+  {
+    type: 'NAME',
+    levels: ['strict'],
+    // "Hi Sam,", "Dear Sam Lee", "Thanks,\nAlex"
+    pattern: /\b(?:Hi|Hello|Hey|Dear|Thanks|Thank you|Regards|Best|Cheers|Sincerely),?\s+([A-Z][a-z]+(?: [A-Z][a-z]+)?)\b/g,
+    group: 1
+  }
+];
+
+/**
+ * Level to use for a request.
+ * @param {string} [requested] - Level asked for by the client
+ * @returns {string} One of LEVELS
+ * @throws {Error} If requested (or a configured level) is not a known level
+ */
+function resolveLevel(requested) {
+  const check = (level, source) => {
+    if (!LEVELS.includes(level)) throw new Error(`${source} must be one of: ${LEVELS.join(', ')}`);
+    return level;
+  };
+  const fallback = check((process.env.PII_REDACTION_LEVEL || DEFAULT_LEVEL).trim().toLowerCase(), 'PII_REDACTION_LEVEL');
+  const minimum = check((process.env.PII_REDACTION_MIN_LEVEL || 'off').trim().toLowerCase(), 'PII_REDACTION_MIN_LEVEL');
+  const level = requested === undefined || requested === null ? fallback : check(String(requested).trim().toLowerCase(), 'redaction');
+  return LEVELS.indexOf(level) < LEVELS.indexOf(minimum) ? minimum : level;
+}
+
+/**
+ * Mask PII in text.
+ * @param {string} text
+ * @param {string} level - One of LEVELS (see resolveLevel)
+ * @returns {{text: string, level: string, count: number, restore: (value: any) => any}}
+ *   `restore` replaces placeholders in a string, or in every string of an array/object
+ */
+function redact(text, level) {
+  const valueToPlaceholder = new Map();
+  const placeholderToValue = new Map();
+  const counters = {};
+
+  const placeholderFor = (type, value) => {
+    const key = `${type}\0${value}`;
+    if (!valueToPlaceholder.has(key)) {
+      counters[type] = (counters[type] || 0) + 1;
+      const placeholder = `[${type}_${counters[type]}]`;
+      valueToPlaceholder.set(key, placeholder);
+      placeholderToValue.set(placeholder, value);
+    }
+    return valueToPlaceholder.get(key);
+  };
+
+  let output = text;
+  if (level !== 'off') {
+    for (const detector of DETECTORS) {
+      if (!detector.levels.includes(level)) continue;
+      output = output.replace(detector.pattern, (match, ...groups) => {
+        const value = detector.group ? groups[detector.group - 1] : match;
+        if (!value || (detector.accept && !detector.accept(value))) return match;
+        // Don't re-mask placeholders from earlier detectors
+        if (/^\[[A-Z]+_\d+\]$/.test(value)) return match;
+        const start = detector.group ? match.lastIndexOf(value) : 0;
+        return `${match.slice(0, start)}${placeholderFor(detector.type, value)}${match.slice(start + value.length)}`;
+      });
+    }
+  }
+
+  const restoreString = (value) => value.replace(PLACEHOLDER_PATTERN, (placeholder) => placeholderToValue.get(placeholder) ?? placeholder);
+  const restore = (value) => {
+    if (placeholderToValue.size === 0) return value;
+    if (typeof value === 'string') return restoreString(value);
+    if (Array.isArray(value)) return value.map(restore);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, restore(inner)]));
+    }
+    return value;
+  };
+
+  return { text: output, level, count: placeholderToValue.size, restore };
+}
+
+/**
+ * Restore placeholders in streamed text. A placeholder can arrive split across chunks, so a trailing
+ * "[PHO" is held back until the rest arrives.
+ * @param {(value: string) => string} restore - From redact()
+ * @returns {{push: (delta: string) => string, flush: () => string}}
+ */
+function createStreamRestorer(restore) {
+  let pending = '';
+  return {
+    push(delta) {
+      const text = pending + delta;
+      const open = text.lastIndexOf('[');
+      const tail = open === -1 ? '' : text.slice(open);
+      if (tail && !tail.includes(']') && tail.length < MAX_PLACEHOLDER_LENGTH && /^\[[A-Z_\d]*$/.test(tail)) {
+        pending = tail;
+        return restore(text.slice(0, open));
+      }
+      pending = '';
+      return restore(text);
+    },
+    flush() {
+      const text = restore(pending);
+      pending = '';
+      return text;
+    }
+  };
+}
+
+// Fail at startup on a bad PII_REDACTION_LEVEL / PII_REDACTION_MIN_LEVEL rather than on the first request
+resolveLevel();
+
+module.exports = {
+  LEVELS,
+  resolveLevel,
+  redact,
+  createStreamRestorer
+};
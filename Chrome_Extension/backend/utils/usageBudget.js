@@ -0,0 +1,159 @@
+/**
+ * Daily token and cost budgets, tracked from the `usage` of every completion.
+ * Usage is attributed to the client whose request triggered it (via AsyncLocalStorage set up
+ * by the middleware), so one runaway install can be stopped without blocking everyone.
+ * Counters reset at midnight UTC and are kept in memory.
+ *
+ * Environment (0 or unset = no limit):
+ * - DAILY_TOKEN_BUDGET / DAILY_COST_BUDGET_USD: server-wide
+ * - CLIENT_DAILY_TOKEN_BUDGET / CLIENT_DAILY_COST_BUDGET_USD: per client
+ * - LLM_PRICE_INPUT_PER_1M / LLM_PRICE_OUTPUT_PER_1M: USD per 1M tokens, overrides MODEL_PRICES_PER_1M
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const { sendError } = require('./errors');
+
+const requestContext = new AsyncLocalStorage();
+
+const BUDGETS = {
+  tokens: parseInt(process.env.DAILY_TOKEN_BUDGET, 10) || 0,
+  costUsd: parseFloat(process.env.DAILY_COST_BUDGET_USD) || 0,
+  clientTokens: parseInt(process.env.CLIENT_DAILY_TOKEN_BUDGET, 10) || 0,
+  clientCostUsd: parseFloat(process.env.CLIENT_DAILY_COST_BUDGET_USD) || 0
+};
+
+/** USD per 1M tokens. Matched by prefix, so dated snapshots (gpt-4o-mini-2024-07-18) resolve too. */
+const MODEL_PRICES_PER_1M = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+
+let day = currentDay();
+let totals = emptyTotals();
+const clients = new Map(); // clientId -> totals
+
+function currentDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, tokens: 0, costUsd: 0, tasks: {} };
+}
+
+function rollOver() {
+  const today = currentDay();
+  if (today !== day) {
+    day = today;
+    totals = emptyTotals();
+    clients.clear();
+  }
+}
+
+function secondsUntilReset() {
+  const now = new Date();
+  const nextMidnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.max(1, Math.ceil((nextMidnight - now.getTime()) / 1000));
+}
+
+/**
+ * Price for a model in USD per 1M tokens.
+ * @param {string} model
+ * @returns {{input: number, output: number}}
+ */
+function priceFor(model) {
+  if (process.env.LLM_PRICE_INPUT_PER_1M || process.env.LLM_PRICE_OUTPUT_PER_1M) {
+    return {
+      input: parseFloat(process.env.LLM_PRICE_INPUT_PER_1M) || 0,
+      output: parseFloat(process.env.LLM_PRICE_OUTPUT_PER_1M) || 0
+    };
+  }
+  const name = Object.keys(MODEL_PRICES_PER_1M).find((prefix) => (model || '').startsWith(prefix));
+  return name ? MODEL_PRICES_PER_1M[name] : { input: 0, output: 0 };
+}
+
+function add(target, task, promptTokens, completionTokens, costUsd) {
+  target.calls++;
+  target.promptTokens += promptTokens;
+  target.completionTokens += completionTokens;
+  target.tokens += promptTokens + completionTokens;
+  target.costUsd += costUsd;
+  const perTask = target.tasks[task] || (target.tasks[task] = { calls: 0, tokens: 0, costUsd: 0 });
+  perTask.calls++;
+  perTask.tokens += promptTokens + completionTokens;
+  perTask.costUsd += costUsd;
+}
+
+/**
+ * Record the usage of one completion against today's totals and the current request's client.
+ * @param {string} task - LLM task name
+ * @param {{usage: Object|null, model: string}} completion - Result of llm.complete
+ */
+function recordUsage(task, completion) {
+  if (!completion || !completion.usage) return;
+  rollOver();
+  const promptTokens = completion.usage.prompt_tokens || 0;
+  const completionTokens = completion.usage.completion_tokens || 0;
+  const price = priceFor(completion.model);
+  const costUsd = (promptTokens * price.input + completionTokens * price.output) / 1e6;
+
+  add(totals, task, promptTokens, completionTokens, costUsd);
+  const clientId = requestContext.getStore()?.clientId;
+  if (clientId) {
+    if (!clients.has(clientId)) clients.set(clientId, emptyTotals());
+    add(clients.get(clientId), task, promptTokens, completionTokens, costUsd);
+  }
+}
+
+/**
+ * Which daily budget (if any) blocks a client right now.
+ * @param {string|null} clientId
+ * @returns {string|null} Description of the exhausted budget, or null
+ */
+function exceededBudget(clientId) {
+  rollOver();
+  if (BUDGETS.tokens && totals.tokens >= BUDGETS.tokens) return 'Daily token budget';
+  if (BUDGETS.costUsd && totals.costUsd >= BUDGETS.costUsd) return 'Daily cost budget';
+  const client = clientId && clients.get(clientId);
+  if (client && BUDGETS.clientTokens && client.tokens >= BUDGETS.clientTokens) return 'Daily token budget for this install';
+  if (client && BUDGETS.clientCostUsd && client.costUsd >= BUDGETS.clientCostUsd) return 'Daily cost budget for this install';
+  return null;
+}
+
+/**
+ * Middleware: 429 with Retry-After (until midnight UTC) once a daily budget is spent; otherwise
+ * runs the rest of the request in a context that attributes its usage to req.client.
+ * Mount after auth.
+ */
+function enforceBudget(req, res, next) {
+  const clientId = req.client ? req.client.id : null;
+  const exceeded = exceededBudget(clientId);
+  if (exceeded) {
+    const retryAfterSeconds = secondsUntilReset();
+    res.set('Retry-After', String(retryAfterSeconds));
+    return sendError(res, 429, 'budget_exhausted', `${exceeded} exhausted. It resets at midnight UTC.`, {
+      retryAfter: retryAfterSeconds
+    });
+  }
+  requestContext.run({ clientId }, next);
+}
+
+/**
+ * Today's usage, server-wide and per client, with the configured budgets.
+ * @returns {Object}
+ */
+function getUsage() {
+  rollOver();
+  return {
+    day,
+    budgets: BUDGETS,
+    totals,
+    clients: Object.fromEntries(clients)
+  };
+}
+
+module.exports = {
+  recordUsage,
+  enforceBudget,
+  getUsage,
+  priceFor
+};
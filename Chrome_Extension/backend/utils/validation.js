@@ -0,0 +1,146 @@
+/**
+ * Request validation generated from the OpenAPI document (openapi.js). Each operation's request body
+ * schema is checked before its handler runs, so handlers only deal with well-typed input.
+ *
+ * Supported schema keywords (OpenAPI 3.0 subset): $ref, type, nullable, enum, properties, required,
+ * items, minLength, maxLength, pattern, minimum, maximum, minItems, maxItems, uniqueItems.
+ * Unknown properties are allowed.
+ */
+const { sendError } = require('./errors');
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Resolve a local $ref ("#/components/schemas/Name") against the document.
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function resolve(spec, schema) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    const target = resolved.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], spec);
+    if (!target) throw new Error(`Unresolved $ref ${resolved.$ref}`);
+    resolved = target;
+  }
+  return resolved;
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {Object} spec - OpenAPI document (for $ref)
+ * @param {Object} schema
+ * @param {any} value
+ * @param {string} path - Location used in problems, e.g. body.emails[2].id
+ * @returns {Array<{path: string, message: string}>} Problems (empty when valid)
+ */
+function validateValue(spec, schema, value, path) {
+  const s = resolve(spec, schema);
+  const actual = typeOf(value);
+  if (value === undefined) return [];
+  if (actual === 'null') {
+    return s.nullable ? [] : [{ path, message: `must be ${s.type || 'set'}, not null` }];
+  }
+  if (s.type && !(actual === s.type || (actual === 'integer' && s.type === 'number'))) {
+    return [{ path, message: `must be ${s.type === 'array' || s.type === 'object' || s.type === 'integer' ? 'an' : 'a'} ${s.type}` }];
+  }
+  if (s.enum && !s.enum.includes(value)) {
+    return [{ path, message: `must be one of: ${s.enum.join(', ')}` }];
+  }
+
+  const problems = [];
+  if (actual === 'string') {
+    if (s.minLength !== undefined && value.length < s.minLength) {
+      problems.push({ path, message: s.minLength === 1 ? 'must not be empty' : `must be at least ${s.minLength} characters` });
+    }
+    if (s.maxLength !== undefined && value.length > s.maxLength) problems.push({ path, message: `must be at most ${s.maxLength} characters` });
+    if (s.pattern && !new RegExp(s.pattern).test(value)) {
+      problems.push({ path, message: s['x-pattern-message'] || `must match ${s.pattern}` });
+    }
+  }
+  if (actual === 'number' || actual === 'integer') {
+    if (s.minimum !== undefined && value < s.minimum) problems.push({ path, message: `must be at least ${s.minimum}` });
+    if (s.maximum !== undefined && value > s.maximum) problems.push({ path, message: `must be at most ${s.maximum}` });
+  }
+  if (actual === 'array') {
+    if (s.minItems !== undefined && value.length < s.minItems) {
+      problems.push({ path, message: s.minItems === 1 ? 'must not be empty' : `must contain at least ${s.minItems} items` });
+    }
+    if (s.maxItems !== undefined && value.length > s.maxItems) problems.push({ path, message: `must contain at most ${s.maxItems} items` });
+    if (s.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) {
+      problems.push({ path, message: 'must not contain duplicates' });
+    }
+    if (s.items) value.forEach((item, i) => problems.push(...validateValue(spec, s.items, item, `${path}[${i}]`)));
+  }
+  if (actual === 'object') {
+    for (const key of s.required || []) {
+      if (value[key] === undefined) problems.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+    for (const [key, propSchema] of Object.entries(s.properties || {})) {
+      problems.push(...validateValue(spec, propSchema, value[key], `${path}.${key}`));
+    }
+  }
+  return problems;
+}
+
+/**
+ * Operations of the document with a path regex ("/api/auth/tokens/{id}" matches any single segment).
+ * @param {Object} spec
+ * @returns {Array<{method: string, pattern: RegExp, operation: Object}>}
+ */
+function compileOperations(spec) {
+  const operations = [];
+  for (const [path, item] of Object.entries(spec.paths)) {
+    const pattern = new RegExp(`^${path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '[^/]+')}/?$`);
+    for (const [method, operation] of Object.entries(item)) {
+      operations.push({ method: method.toUpperCase(), pattern, operation });
+    }
+  }
+  return operations;
+}
+
+/**
+ * Validate a request body against an operation's requestBody.
+ * @param {Object} spec
+ * @param {Object} operation - OpenAPI operation
+ * @param {any} body - Parsed request body
+ * @returns {Array<{path: string, message: string}>}
+ */
+function validateBody(spec, operation, body) {
+  const requestBody = operation.requestBody && resolve(spec, operation.requestBody);
+  const schema = requestBody && requestBody.content && requestBody.content['application/json']?.schema;
+  if (!schema) return [];
+  // express.json leaves {} for requests without a JSON body, so missing fields are reported one by one
+  return validateValue(spec, schema, body === undefined ? {} : body, 'body');
+}
+
+/**
+ * Middleware: 400 validation_failed when the request body does not match the operation's schema.
+ * Mount it after auth, where req.baseUrl + req.path is the full route path. Requests that match no
+ * operation are passed on (unknown routes get the 404 handler).
+ * @param {Object} spec - OpenAPI document
+ */
+function validateRequest(spec) {
+  const operations = compileOperations(spec);
+  return (req, res, next) => {
+    const path = `${req.baseUrl}${req.path}`;
+    const match = operations.find(({ method, pattern }) => method === req.method && pattern.test(path));
+    if (!match) return next();
+
+    const problems = validateBody(spec, match.operation, req.body);
+    if (problems.length === 0) return next();
+    const message = problems.slice(0, 3).map((p) => `${p.path.replace(/^body\.?/, '') || 'body'} ${p.message}`).join('; ');
+    sendError(res, 400, 'validation_failed', problems.length > 3 ? `${message}; ...` : message, problems);
+  };
+}
+
+module.exports = {
+  validateValue,
+  validateBody,
+  validateRequest
+};
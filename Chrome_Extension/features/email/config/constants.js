@@ -9,6 +9,13 @@ export const DEMO_FAST_CATEGORIZATION = true;
 export const CATEGORIZATION_CONCURRENCY = DEMO_FAST_CATEGORIZATION ? 6 : 3;
 /** Pause (ms) between batches during auto-categorize. Reduce for demos. */
 export const CATEGORIZATION_DELAY_MS = DEMO_FAST_CATEGORIZATION ? 80 : 400;
+/** Emails sent per /summarize-batch request during auto-categorize (backend packs them into fewer model calls). */
+export const CATEGORIZATION_BATCH_SIZE = 10;
+/** Custom labels checked per /match-custom-labels request (the backend accepts up to 20). */
+export const MAX_LABELS_PER_MATCH = 20;
+/** When the backend answers 429, wait out Retry-After up to this long and retry (longer limits, e.g. the daily budget, fail fast). */
+export const RATE_LIMIT_MAX_WAIT_SECONDS = 30;
+export const RATE_LIMIT_MAX_RETRIES = 2;
 /** Stagger (ms) per email card entrance; max total stagger. Shorter for demos. */
 export const CARD_STAGGER_MS = DEMO_FAST_CATEGORIZATION ? 15 : 40;
 export const CARD_STAGGER_MAX_MS = DEMO_FAST_CATEGORIZATION ? 200 : 500;
@@ -18,8 +25,16 @@ export const MAX_EMAILS_TO_FETCH = 50;
 export const STORAGE_KEY_BACKEND_URL = 'backend_url';
 export const STORAGE_KEY_THEME = 'settings_theme';
 export const STORAGE_KEY_AUTO_CATEGORIZE = 'settings_auto_categorize';
+/** PII redaction level sent with AI requests ('' = the backend's default) */
+export const STORAGE_KEY_PII_REDACTION = 'settings_pii_redaction';
+/** Per-install bearer token issued by the backend's /api/auth/pair (also read by features/linkedin) */
+export const STORAGE_KEY_API_TOKEN = 'backend_api_token';
+export const STORAGE_KEY_INSTALL_ID = 'install_id';
+/** Scopes requested when pairing with the backend */
+export const BACKEND_TOKEN_SCOPES = ['email', 'linkedin'];
 export const DEFAULT_THEME = 'dark';
 export const DEFAULT_AUTO_CATEGORIZE = true;
+export const PII_REDACTION_LEVELS = ['', 'off', 'standard', 'strict'];
 
 // Inbox Categories
 export const INBOX_CATEGORIES = {
@@ -64,6 +79,26 @@ export const JOB_TYPE_LABELS = {
     rejection: 'Rejected'
 };
 
+/** Legacy jobType slugs and the stage they mean in the 8-stage model */
+export const LEGACY_JOB_TYPES = {
+    application_confirmation: 'applications_sent',
+    rejection: 'rejected'
+};
+
+/** Reply drafting: intents and tones accepted by /api/email/draft-reply, with display labels */
+export const REPLY_INTENTS = {
+    accept_interview: 'Accept interview',
+    propose_times: 'Propose times',
+    decline_offer: 'Decline offer',
+    thank_recruiter: 'Thank recruiter'
+};
+export const REPLY_TONES = {
+    formal: 'Formal',
+    friendly: 'Friendly',
+    enthusiastic: 'Enthusiastic',
+    brief: 'Brief'
+};
+
 export const DEFAULT_INBOX = INBOX_CATEGORIES.PRIMARY;
 export const STORAGE_KEY_UNSUBSCRIBED = 'unsubscribed_senders';
 
@@ -50,6 +50,12 @@ export class EventController {
             });
         }
 
+        if (this.domRefs.piiRedactionSelect) {
+            this.domRefs.piiRedactionSelect.addEventListener('change', async () => {
+                await this.settingsService.setPiiRedaction(this.domRefs.piiRedactionSelect.value);
+            });
+        }
+
         if (this.domRefs.developerOptionsToggle && this.domRefs.developerOptionsContent) {
             this.domRefs.developerOptionsToggle.addEventListener('click', () => {
                 const expanded = this.domRefs.developerOptionsContent.hidden;
@@ -72,6 +78,25 @@ export class EventController {
         });
         }
 
+        if (this.domRefs.pairBackendBtn) {
+            this.domRefs.pairBackendBtn.addEventListener('click', async () => {
+                try {
+                    await this.settingsService.pairWithBackend(this.domRefs.pairingCodeInput.value);
+                    this.domRefs.pairingCodeInput.value = '';
+                    this.uiController.showSuccess('Paired with the backend');
+                } catch (error) {
+                    this.uiController.showError(error.message);
+                }
+            });
+        }
+
+        if (this.domRefs.unpairBackendBtn) {
+            this.domRefs.unpairBackendBtn.addEventListener('click', async () => {
+                await this.settingsService.unpairBackend();
+                this.uiController.showSuccess('Unpaired from the backend');
+            });
+        }
+
         if (this.domRefs.copyRedirectUriBtn) {
             this.domRefs.copyRedirectUriBtn.addEventListener('click', async () => {
             if (this.domRefs.redirectUriDisplay.value) {
@@ -269,6 +294,13 @@ export class EventController {
             });
         }
 
+        // Pipeline drill-down breadcrumb: back to the diagram
+        [this.domRefs.flowBreadcrumbPipelineBtn, this.domRefs.flowBreadcrumbClearBtn].forEach((btn) => {
+            btn?.addEventListener('click', () => {
+                this.emailController.clearFlowFilter();
+            });
+        });
+
         // Action items panel toggle
         if (this.domRefs.actionItemsToggle) {
             this.domRefs.actionItemsToggle.addEventListener('click', () => {
@@ -1,12 +1,14 @@
 /**
  * UI Controller - Handles all UI rendering and updates
  */
-import { INBOX_CATEGORIES, DEFAULT_INBOX, JOB_TYPE_LABELS, VALID_JOB_TYPES, CARD_STAGGER_MS, CARD_STAGGER_MAX_MS } from '../config/constants.js';
+import { INBOX_CATEGORIES, DEFAULT_INBOX, JOB_TYPE_LABELS, VALID_JOB_TYPES, LEGACY_JOB_TYPES, CARD_STAGGER_MS, CARD_STAGGER_MAX_MS, REPLY_INTENTS, REPLY_TONES } from '../config/constants.js';
 import { escapeHtml, convertUrlsToLinks } from '../utils/textUtils.js';
-import { formatDate } from '../utils/dateUtils.js';
+import { formatDate, formatDeadline, toLocalIsoDate } from '../utils/dateUtils.js';
+import { buildInterviewIcs } from '../utils/icsUtils.js';
+import { stripQuotedReplies } from '../../../utils/emailContent.js';
 
 export class UIController {
-    constructor(domRefs, emailRepository, emailClassificationService, backendApiService, unsubscribeService, onJobEmailClassified = null, onBeforeShowEmailModal = null, onPipelineNeedsRefresh = null) {
+    constructor(domRefs, emailRepository, emailClassificationService, backendApiService, unsubscribeService, onJobEmailClassified = null, onBeforeShowEmailModal = null, onPipelineNeedsRefresh = null, onLoadThread = null, onSaveReplyDraft = null, onSankeySelect = null) {
         this.domRefs = domRefs;
         this.emailRepository = emailRepository;
         this.emailClassificationService = emailClassificationService;
@@ -15,7 +17,14 @@ export class UIController {
         this.onJobEmailClassified = onJobEmailClassified;
         this.onBeforeShowEmailModal = onBeforeShowEmailModal;
         this.onPipelineNeedsRefresh = onPipelineNeedsRefresh;
+        this.onLoadThread = onLoadThread;
+        this.onSaveReplyDraft = onSaveReplyDraft;
+        this.onSankeySelect = onSankeySelect;
         this.openDropdownId = null; // Track which dropdown is open
+        /** Thread summaries by `${threadId}:${messageCount}` (a new reply gets a new summary) */
+        this.threadSummaries = new Map();
+        /** Reply drafts being edited, by email id (kept while the popup is open) */
+        this.replyDrafts = new Map();
         
         // Close dropdowns when clicking outside
         document.addEventListener('click', (e) => {
@@ -49,7 +58,9 @@ export class UIController {
             const emptyStateText = this.domRefs.emptyState.querySelector('p');
             if (emptyStateText) {
                 const selected = this.emailRepository.getSelectedInbox();
-                if (selected === INBOX_CATEGORIES.PROMOTIONS) {
+                if (this.emailRepository.getFlowFilter()) {
+                    emptyStateText.textContent = 'No loaded emails in this part of the pipeline';
+                } else if (selected === INBOX_CATEGORIES.PROMOTIONS) {
                     emptyStateText.textContent = 'No promotional emails found';
                 } else if (selected === INBOX_CATEGORIES.JOB) {
                     emptyStateText.textContent = 'No job application emails found';
@@ -123,6 +134,7 @@ export class UIController {
                 <div class="emailBadges">
                     ${jobStageLabel ? this._createJobBadgeHtml(email.id, jobStageLabel, jobStageKey, isJobTab) : ''}
                     ${hasUnsubscribe ? '<span class="unsubscribeBadge">Unsubscribe</span>' : ''}
+                    ${this._createHeuristicBadgeHtml(cachedResults)}
                 </div>
             </div>
         `;
@@ -218,6 +230,7 @@ export class UIController {
     async _handleJobLabelChange(email, newStage) {
         // Update cache with user override
         const cached = this.emailRepository.getCachedResult(email.id) || {};
+        const previousStage = cached.userOverrideJobType || cached.jobType || null;
         cached.userOverrideJobType = newStage;
         cached.jobType = newStage; // Also update jobType for stats calculation
         this.emailRepository.setCache(email.id, cached);
@@ -232,6 +245,16 @@ export class UIController {
         if (typeof this.onPipelineNeedsRefresh === 'function') {
             this.onPipelineNeedsRefresh();
         }
+
+        // Send the correction to the backend, which adds it as an example when classifying similar emails
+        if (newStage !== previousStage) {
+            const content = email.fullContent || (email.subject || '') + '\n' + (email.snippet || '');
+            this.backendApiService.sendStageFeedback(content, {
+                stage: newStage,
+                previousStage: LEGACY_JOB_TYPES[previousStage] || previousStage,
+                emailId: email.id
+            }).catch((err) => console.warn('Stage feedback failed:', err));
+        }
     }
 
     /**
@@ -317,7 +340,7 @@ export class UIController {
         }
         
         // Remove existing badges from container
-        const existingBadges = badgesContainer.querySelectorAll('.categoryBadge, .jobApplicationBadge, .unsubscribeBadge, .jobLabelSelector');
+        const existingBadges = badgesContainer.querySelectorAll('.categoryBadge, .jobApplicationBadge, .unsubscribeBadge, .heuristicBadge, .jobLabelSelector');
         existingBadges.forEach(badge => badge.remove());
         
         // Remove aiSummary if it exists (it's not in badges container)
@@ -345,6 +368,8 @@ export class UIController {
             unsubscribeBadge.textContent = 'Unsubscribe';
             badgesContainer.appendChild(unsubscribeBadge);
         }
+
+        badgesContainer.insertAdjacentHTML('beforeend', this._createHeuristicBadgeHtml(results));
     }
 
     /**
@@ -359,6 +384,9 @@ export class UIController {
         this.domRefs.modalSender.textContent = `From: ${email.from}`;
         this.domRefs.modalDate.textContent = `Date: ${formatDate(email.date)}`;
         this.domRefs.modalBodyContent.innerHTML = convertUrlsToLinks(email.body || '');
+        this.domRefs.modalBodyContent.style.display = '';
+        this._renderThreadToggle(email);
+        this._renderReplyDraft(email);
 
         // Check for cached AI results
         const cachedResults = this.emailRepository.getCachedResult(email.id);
@@ -381,11 +409,14 @@ export class UIController {
                     <div class="emailBadges" style="margin-bottom: 12px;">
                         ${badgeHtml}
                         ${cachedResults.hasUnsubscribe ? '<span class="unsubscribeBadge">Unsubscribe</span>' : ''}
+                        ${this._createHeuristicBadgeHtml(cachedResults)}
                     </div>
                     <div class="aiSummary">
                         <strong>Summary:</strong><br>
                         ${escapeHtml(cachedResults.summary)}
                     </div>
+                    ${this._createActionItemsHtml(cachedResults.actionItems)}
+                    ${isJobCached ? this._createInterviewHtml(cachedResults.interview, jobStageKey) : ''}
                     ${cachedResults.hasUnsubscribe && cachedResults.unsubscribeLink ? `
                         <a href="${cachedResults.unsubscribeLink}" target="_blank" class="unsubscribeLink" style="display: block; margin-top: 12px;">
                             Click to Unsubscribe
@@ -394,6 +425,9 @@ export class UIController {
                 </div>
             `;
             
+            this._setupActionItemsChecklist(email);
+            this._setupInterviewCalendar(email);
+
             // Setup dropdown in modal if job email
             if (isJobCached) {
                 const selector = this.domRefs.modalAiResults.querySelector('.jobLabelSelector');
@@ -434,7 +468,7 @@ export class UIController {
                     // Use cache if already processed (e.g. from card or double-click) to avoid duplicate API calls
                     let results = this.emailRepository.getCachedResult(email.id);
                     if (!results) {
-                        results = await this.backendApiService.processEmailWithAI(email);
+                        results = await this._streamSummaryIntoModal(email);
                         this.emailRepository.setCache(email.id, results);
                     }
                     // Update email's inbox category based on AI category and jobType
@@ -446,6 +480,7 @@ export class UIController {
                     }
                     this.showEmailModal(email); // Refresh modal with results
                 } catch (error) {
+                    this.showEmailModal(email); // Drop the partial summary and restore the button
                     this.showError('Failed to process email: ' + error.message);
                 }
             });
@@ -454,6 +489,380 @@ export class UIController {
         this.domRefs.emailModal.style.display = 'flex';
     }
 
+    /**
+     * Show the "View conversation" button in the email modal (only for emails with a Gmail thread).
+     * @param {Object} email - Email object
+     */
+    _renderThreadToggle(email) {
+        const container = this.domRefs.modalThread;
+        if (!container) return;
+        if (!email.threadId || typeof this.onLoadThread !== 'function') {
+            container.innerHTML = '';
+            return;
+        }
+        container.innerHTML = '<button class="button small" id="viewThreadBtn" type="button">View conversation</button>';
+        container.querySelector('#viewThreadBtn').addEventListener('click', () => this._showThread(email));
+    }
+
+    /**
+     * Replace the modal's email body with the whole conversation (oldest first, latest expanded),
+     * with a button to summarize it.
+     * @param {Object} email - Email object (its thread is fetched from Gmail)
+     */
+    async _showThread(email) {
+        const container = this.domRefs.modalThread;
+        container.innerHTML = '<p class="threadStatus">Loading conversation...</p>';
+
+        let messages;
+        try {
+            messages = await this.onLoadThread(email.threadId);
+        } catch (error) {
+            this._renderThreadToggle(email);
+            this.showError('Failed to load conversation: ' + error.message);
+            return;
+        }
+        if (messages.length <= 1) {
+            container.innerHTML = '<p class="threadStatus">No other messages in this conversation.</p>';
+            return;
+        }
+
+        this.domRefs.modalBodyContent.style.display = 'none';
+        const summaryKey = `${email.threadId}:${messages.length}`;
+        container.innerHTML = `
+            <div class="threadHeader">
+                <span class="threadCount">${messages.length} messages</span>
+                <button class="button small" id="hideThreadBtn" type="button">This email only</button>
+            </div>
+            <div class="threadSummary" id="threadSummary">
+                ${this.threadSummaries.has(summaryKey)
+                    ? this._createThreadSummaryHtml(this.threadSummaries.get(summaryKey))
+                    : '<button class="button small" id="summarizeThreadBtn" type="button">Summarize conversation</button>'}
+            </div>
+            <div class="threadMessages">
+                ${messages.map((message, i) => this._createThreadMessageHtml(message, i === messages.length - 1 || message.id === email.id)).join('')}
+            </div>
+        `;
+
+        container.querySelector('#hideThreadBtn').addEventListener('click', () => {
+            this.domRefs.modalBodyContent.style.display = '';
+            this._renderThreadToggle(email);
+        });
+        const summarizeBtn = container.querySelector('#summarizeThreadBtn');
+        if (summarizeBtn) {
+            summarizeBtn.addEventListener('click', async () => {
+                const summaryEl = container.querySelector('#threadSummary');
+                summarizeBtn.disabled = true;
+                summarizeBtn.textContent = 'Summarizing...';
+                try {
+                    const result = await this.backendApiService.summarizeThread(messages);
+                    this.threadSummaries.set(summaryKey, result);
+                    summaryEl.innerHTML = this._createThreadSummaryHtml(result);
+                } catch (error) {
+                    summarizeBtn.disabled = false;
+                    summarizeBtn.textContent = 'Summarize conversation';
+                    this.showError('Failed to summarize conversation: ' + error.message);
+                }
+            });
+        }
+    }
+
+    /**
+     * Create HTML for one message of the threaded view. Quoted earlier messages are left out,
+     * since the thread shows them on their own.
+     * @param {Object} message - Parsed thread message (from, date, body, fromMe)
+     * @param {boolean} open - Whether the message starts expanded
+     * @returns {string} HTML string
+     */
+    _createThreadMessageHtml(message, open) {
+        const sender = message.fromMe ? 'You' : (message.from || '').replace(/\s*<[^>]*>\s*/, '').replace(/"/g, '').trim() || message.from;
+        return `
+            <details class="threadMessage${message.fromMe ? ' fromMe' : ''}"${open ? ' open' : ''}>
+                <summary>
+                    <span class="threadMessageFrom">${escapeHtml(sender)}</span>
+                    <span class="threadMessageDate">${escapeHtml(formatDate(message.date))}</span>
+                </summary>
+                <div class="emailContent threadMessageBody">${convertUrlsToLinks(stripQuotedReplies(message.body || ''))}</div>
+            </details>
+        `;
+    }
+
+    /**
+     * Create HTML for a thread summary: summary text, current job stage and who owes the next reply.
+     * @param {{summary: string, jobType: string|null, nextReply: string, source?: string}} result
+     * @returns {string} HTML string
+     */
+    _createThreadSummaryHtml(result) {
+        const nextReplyLabels = { you: 'Waiting on you', them: 'Waiting on them', none: 'No reply needed' };
+        const stageLabel = result.jobType && JOB_TYPE_LABELS[result.jobType];
+        return `
+            <div class="emailBadges" style="margin-bottom: 8px;">
+                ${stageLabel ? `<span class="jobApplicationBadge">${escapeHtml(stageLabel)}</span>` : ''}
+                <span class="threadNextReply ${escapeHtml(result.nextReply)}">${escapeHtml(nextReplyLabels[result.nextReply] || nextReplyLabels.none)}</span>
+                ${this._createHeuristicBadgeHtml(result)}
+            </div>
+            <div class="aiSummary">
+                <strong>Conversation:</strong><br>
+                ${escapeHtml(result.summary)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the reply section of the email modal: a "Draft reply" button, then intent/tone/notes
+     * controls, an editable draft and a button to save it to Gmail drafts.
+     * @param {Object} email - Email object
+     * @param {boolean} [open=false] - Show the controls instead of the button
+     */
+    _renderReplyDraft(email, open = false) {
+        const container = this.domRefs.modalReply;
+        if (!container) return;
+        if (typeof this.onSaveReplyDraft !== 'function') {
+            container.innerHTML = '';
+            return;
+        }
+        const draft = this.replyDrafts.get(email.id);
+        if (!open && !draft) {
+            container.innerHTML = '<button class="button small" id="draftReplyBtn" type="button">Draft reply</button>';
+            container.querySelector('#draftReplyBtn').addEventListener('click', () => this._renderReplyDraft(email, true));
+            return;
+        }
+
+        const options = (labels, selected) => Object.entries(labels)
+            .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+            .join('');
+        container.innerHTML = `
+            <h4>Reply</h4>
+            <div class="replyControls">
+                <select class="settingSelect" id="replyIntent" aria-label="Reply intent">${options(REPLY_INTENTS, draft?.intent)}</select>
+                <select class="settingSelect" id="replyTone" aria-label="Reply tone">${options(REPLY_TONES, draft?.tone)}</select>
+                <input type="text" class="settingInput" id="replyNotes" placeholder="Notes, e.g. free Tue 10-12 or Thu afternoon">
+                <button class="button small primary" id="generateReplyBtn" type="button">${draft ? 'Regenerate' : 'Generate'}</button>
+            </div>
+            ${draft ? `
+                <textarea class="settingTextarea replyText" id="replyText" rows="10" aria-label="Reply draft">${escapeHtml(draft.text)}</textarea>
+                <div class="replyActions">
+                    <button class="button small primary" id="saveReplyBtn" type="button">Save to Gmail drafts</button>
+                    <button class="button small" id="discardReplyBtn" type="button">Discard</button>
+                </div>
+            ` : ''}
+        `;
+
+        container.querySelector('#replyNotes').value = draft?.notes || '';
+        const textEl = container.querySelector('#replyText');
+        if (textEl) {
+            // Keep edits when the modal is re-rendered (e.g. after processing with AI)
+            textEl.addEventListener('input', () => { draft.text = textEl.value; });
+        }
+
+        const generateBtn = container.querySelector('#generateReplyBtn');
+        generateBtn.addEventListener('click', async () => {
+            const intent = container.querySelector('#replyIntent').value;
+            const tone = container.querySelector('#replyTone').value;
+            const notes = container.querySelector('#replyNotes').value.trim();
+            generateBtn.disabled = true;
+            generateBtn.textContent = 'Writing...';
+            try {
+                const result = await this.backendApiService.draftReply(email.fullContent, { intent, tone, notes });
+                this.replyDrafts.set(email.id, { text: result.draft, intent, tone, notes });
+                this._renderReplyDraft(email, true);
+            } catch (error) {
+                generateBtn.disabled = false;
+                generateBtn.textContent = draft ? 'Regenerate' : 'Generate';
+                this.showError('Failed to draft reply: ' + error.message);
+            }
+        });
+
+        const saveBtn = container.querySelector('#saveReplyBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', async () => {
+                const text = textEl.value.trim();
+                if (!text) {
+                    this.showError('The reply is empty.');
+                    return;
+                }
+                saveBtn.disabled = true;
+                saveBtn.textContent = 'Saving...';
+                try {
+                    await this.onSaveReplyDraft(email, text);
+                    this.replyDrafts.delete(email.id);
+                    this._renderReplyDraft(email);
+                    container.insertAdjacentHTML('beforeend', '<span class="replyStatus">Saved to your Gmail drafts.</span>');
+                } catch (error) {
+                    saveBtn.disabled = false;
+                    saveBtn.textContent = 'Save to Gmail drafts';
+                    this.showError('Failed to save draft: ' + error.message);
+                }
+            });
+            container.querySelector('#discardReplyBtn').addEventListener('click', () => {
+                this.replyDrafts.delete(email.id);
+                this._renderReplyDraft(email);
+            });
+        }
+    }
+
+    /**
+     * Run AI processing for the modal's email, showing the summary as it streams in.
+     * The caller re-renders the modal from the returned result.
+     * @param {Object} email - Email object
+     * @returns {Promise<Object>} AI analysis results
+     */
+    async _streamSummaryIntoModal(email) {
+        this.domRefs.modalAiResults.innerHTML = `
+            <h4>AI Analysis</h4>
+            <div class="aiResults">
+                <div class="aiSummary streaming">
+                    <strong>Summary:</strong><br>
+                    <span class="aiSummaryText"></span>
+                </div>
+            </div>
+        `;
+        const summaryEl = this.domRefs.modalAiResults.querySelector('.aiSummaryText');
+        return this.backendApiService.processEmailWithAIStream(email, (text) => {
+            summaryEl.textContent += text;
+        });
+    }
+
+    /**
+     * Badge marking results from the backend's rule-based classifier (no AI provider configured),
+     * which are less reliable than AI results.
+     * @param {Object|null} results - Cached AI results
+     * @returns {string} HTML string ('' for AI results)
+     */
+    _createHeuristicBadgeHtml(results) {
+        if (results?.source !== 'heuristic') return '';
+        return '<span class="heuristicBadge" title="Rule-based estimate: no AI provider is configured on the backend, so this may be less accurate">Estimated</span>';
+    }
+
+    /**
+     * Create HTML for the action items checklist in the email modal.
+     * @param {Array<{text: string, deadline: string|null, urgent: boolean, done?: boolean}>} actionItems
+     * @returns {string} HTML string ('' when there are no items)
+     */
+    _createActionItemsHtml(actionItems) {
+        if (!Array.isArray(actionItems) || actionItems.length === 0) return '';
+        const items = actionItems.map((item, index) => {
+            const deadline = formatDeadline(item.deadline);
+            return `
+                <li class="actionItem${item.done ? ' done' : ''}${item.urgent ? ' urgent' : ''}">
+                    <label class="actionItemLabel">
+                        <input type="checkbox" class="actionItemCheckbox" data-index="${index}" ${item.done ? 'checked' : ''}>
+                        <span class="actionItemText">${escapeHtml(item.text)}</span>
+                    </label>
+                    ${deadline || item.urgent ? `
+                        <div class="actionItemMeta">
+                            ${deadline ? `<span class="actionItemDeadline">Due ${escapeHtml(deadline)}</span>` : ''}
+                            ${item.urgent ? '<span class="actionItemUrgent">Urgent</span>' : ''}
+                        </div>
+                    ` : ''}
+                </li>
+            `;
+        }).join('');
+        return `
+            <div class="actionItems">
+                <strong>Action items</strong>
+                <ul class="actionItemsList">${items}</ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the interview details in the email modal, with the "Add to calendar" button.
+     * Shown for emails with extracted interview details, and for Interview-stage emails not yet checked.
+     * @param {Object|undefined} interview - Cached /extract-interview result
+     * @param {string} stageKey - Current job stage slug
+     * @returns {string} HTML string ('' when there is nothing to show)
+     */
+    _createInterviewHtml(interview, stageKey) {
+        const button = '<button class="button small" id="interviewCalendarBtn" type="button">Add to calendar (.ics)</button>';
+        if (!interview) {
+            return stageKey === 'interview' ? `<div class="interviewDetails">${button}</div>` : '';
+        }
+        if (!interview.isInterview) return '';
+
+        let when = 'No exact time in this email';
+        if (interview.start) {
+            const [date, time] = interview.start.split('T');
+            const [year, month, day] = date.split('-').map(Number);
+            const [hour, minute] = time.split(':').map(Number);
+            when = new Date(year, month - 1, day, hour, minute).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+            if (interview.timezone) when += ` (${interview.timezone})`;
+        }
+        return `
+            <div class="interviewDetails">
+                <strong>Interview</strong>
+                <div class="interviewWhen">${escapeHtml(when)}</div>
+                ${interview.interviewers?.length ? `<div class="interviewMeta">With ${escapeHtml(interview.interviewers.join(', '))}</div>` : ''}
+                ${interview.meetingLink ? `<a href="${escapeHtml(interview.meetingLink)}" target="_blank" rel="noopener noreferrer" class="interviewLink">Join link</a>` : ''}
+                ${interview.location && !interview.meetingLink ? `<div class="interviewMeta">${escapeHtml(interview.location)}</div>` : ''}
+                ${interview.start ? button : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * "Add to calendar" in the email modal: extracts the interview details on first use (stored on the
+     * cached result, so the stats dashboard lists the interview), then downloads an .ics file.
+     * @param {Object} email - Email object
+     */
+    _setupInterviewCalendar(email) {
+        const button = this.domRefs.modalAiResults.querySelector('#interviewCalendarBtn');
+        if (!button) return;
+        button.addEventListener('click', async () => {
+            const cached = this.emailRepository.getCachedResult(email.id);
+            if (!cached) return;
+            if (!cached.interview) {
+                button.disabled = true;
+                button.textContent = 'Reading invite...';
+                try {
+                    const content = email.fullContent || (email.subject || '') + '\n' + (email.snippet || '');
+                    cached.interview = await this.backendApiService.extractInterview(content, toLocalIsoDate(email.date));
+                    this.emailRepository.setCache(email.id, cached);
+                    await this.emailRepository.saveToStorage();
+                    if (typeof this.onPipelineNeedsRefresh === 'function') {
+                        this.onPipelineNeedsRefresh();
+                    }
+                } catch (error) {
+                    button.disabled = false;
+                    button.textContent = 'Add to calendar (.ics)';
+                    this.showError('Failed to read interview details: ' + error.message);
+                    return;
+                }
+                if (!cached.interview.start) {
+                    this.showEmailModal(email);
+                    this.showError('No exact interview time found in this email');
+                    return;
+                }
+            }
+
+            const ics = buildInterviewIcs(cached.interview, { uid: `${email.id}@decluttr`, subject: email.subject });
+            const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar' }));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'interview.ics';
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+            this.showEmailModal(email);
+        });
+    }
+
+    /**
+     * Persist checked state of action items in the modal checklist.
+     * @param {Object} email - Email object
+     */
+    _setupActionItemsChecklist(email) {
+        this.domRefs.modalAiResults.querySelectorAll('.actionItemCheckbox').forEach((checkbox) => {
+            checkbox.addEventListener('change', async () => {
+                const cached = this.emailRepository.getCachedResult(email.id);
+                const item = cached?.actionItems?.[Number(checkbox.dataset.index)];
+                if (!item) return;
+                item.done = checkbox.checked;
+                checkbox.closest('.actionItem')?.classList.toggle('done', checkbox.checked);
+                this.emailRepository.setCache(email.id, cached);
+                await this.emailRepository.saveToStorage();
+            });
+        });
+    }
+
     /**
      * Show unsubscribe modal with sender list
      */
@@ -743,7 +1152,7 @@ export class UIController {
                 container.appendChild(msg);
                 return;
             }
-            renderSankey(container, data);
+            renderSankey(container, data, { onSelect: this.onSankeySelect, unit: 'applications' });
         }).catch((err) => {
             console.error('Sankey render failed:', err);
             const errEl = document.createElement('p');
@@ -778,6 +1187,20 @@ export class UIController {
         if (this.domRefs.emailList) this.domRefs.emailList.style.display = 'block';
     }
 
+    /**
+     * Show or hide the breadcrumb above a Pipeline drill-down (emails behind a clicked Sankey node or link).
+     * @param {{label: string, applicationCount: number}|null} filter - Active flow filter; null hides the breadcrumb
+     */
+    renderFlowBreadcrumb(filter) {
+        if (!this.domRefs.flowBreadcrumb) return;
+        if (!filter) {
+            this.domRefs.flowBreadcrumb.style.display = 'none';
+            return;
+        }
+        this.domRefs.flowBreadcrumbLabel.textContent = `${filter.label} (${filter.applicationCount} application${filter.applicationCount !== 1 ? 's' : ''})`;
+        this.domRefs.flowBreadcrumb.style.display = 'flex';
+    }
+
     /**
      * Update Pipeline textarea content (e.g. on Refresh)
      * @param {string} sankeyText - SankeyMATIC-format text
@@ -859,6 +1282,18 @@ export class UIController {
         if (this.domRefs.statJobMiniChart) {
             this.renderMiniChart(stats.stages);
         }
+
+        // Upcoming interviews, with the next one under the count
+        if (this.domRefs.statUpcomingInterviews) {
+            const upcoming = stats.upcomingInterviews || [];
+            this.animateStatValue(this.domRefs.statUpcomingInterviews, upcoming.length);
+            if (this.domRefs.statNextInterview) {
+                const next = upcoming[0];
+                const when = next ? new Date(next.startsAt).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '';
+                this.domRefs.statNextInterview.textContent = next ? `Next: ${next.company} · ${when}` : '';
+                this.domRefs.statNextInterview.title = next ? [next.details.title, next.role, when].filter(Boolean).join(' - ') : '';
+            }
+        }
     }
 
     /**
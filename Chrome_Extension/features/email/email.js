@@ -5,6 +5,7 @@
 import { initTheme } from '../../utils/theme.js';
 import { DOMReferences } from './utils/domUtils.js';
 import { EmailRepository } from './repositories/EmailRepository.js';
+import { ApplicationRepository } from './repositories/ApplicationRepository.js';
 import { GmailApiService } from './services/GmailApiService.js';
 import { EmailParserService } from './services/EmailParserService.js';
 import { BackendApiService } from './services/BackendApiService.js';
@@ -13,8 +14,8 @@ import { UnsubscribeService } from './services/UnsubscribeService.js';
 import { SettingsService } from './services/SettingsService.js';
 import { UIController } from './controllers/UIController.js';
 import { EventController } from './controllers/EventController.js';
-import { buildSankeyMaticText } from './services/SankeyPipelineService.js';
-import { DEFAULT_INBOX, INBOX_CATEGORIES, CATEGORIZATION_CONCURRENCY, CATEGORIZATION_DELAY_MS } from './config/constants.js';
+import { buildSankeyMaticText, applicationsInFlow } from './services/SankeyPipelineService.js';
+import { DEFAULT_INBOX, INBOX_CATEGORIES, CATEGORIZATION_CONCURRENCY, CATEGORIZATION_DELAY_MS, CATEGORIZATION_BATCH_SIZE, MAX_LABELS_PER_MATCH } from './config/constants.js';
 
 /**
  * Main Email Controller
@@ -29,6 +30,7 @@ class EmailController {
         
         // Initialize services
         this.emailParserService = new EmailParserService();
+        this.applicationRepository = new ApplicationRepository(this.emailRepository, this.emailParserService);
         this.gmailApiService = new GmailApiService();
         this.settingsService = new SettingsService(this.domRefs);
         this.backendApiService = new BackendApiService(this.settingsService);
@@ -47,7 +49,10 @@ class EmailController {
             this.unsubscribeService,
             (email) => this.applyJobLabelForEmail(email),
             (email) => this.ensureEmailFullContent(email),
-            () => this.refreshPipelineView()
+            () => this.refreshJobViews(),
+            (threadId) => this.gmailApiService.fetchThread(threadId),
+            (email, body) => this.saveReplyDraft(email, body),
+            (selection) => this.showFlowEmails(selection)
         );
         
         this.eventController = new EventController(
@@ -161,6 +166,30 @@ class EmailController {
         email.fullContent = full.fullContent || '';
     }
 
+    /**
+     * Save a reply to an email as a Gmail draft in its thread. Emails stored before reply headers were
+     * parsed are fetched again to get their Message-ID.
+     * @param {Object} email - Email object being replied to
+     * @param {string} body - Reply text
+     * @returns {Promise<{id: string, messageId: string}>}
+     */
+    async saveReplyDraft(email, body) {
+        if (email.messageId === undefined) {
+            const full = await this.gmailApiService.fetchEmailDetailsById(email.id);
+            email.messageId = full.messageId;
+            email.references = full.references;
+            email.replyTo = full.replyTo;
+        }
+        return this.gmailApiService.createDraft({
+            threadId: email.threadId,
+            to: email.replyTo || email.from,
+            subject: email.subject,
+            body,
+            inReplyTo: email.messageId,
+            references: email.references
+        });
+    }
+
     /**
      * Handle Gmail connection
      */
@@ -372,16 +401,15 @@ class EmailController {
     }
 
     /**
-     * Calculate stats for the dashboard.
-     * @returns {Object} Stats object with totalEmails, jobApps, stages, responseRate
+     * Calculate stats for the dashboard. Job numbers count applications (ApplicationRepository), not emails.
+     * @returns {Object} Stats object with totalEmails, jobApps, stages, responseRate, upcomingInterviews
      */
     calculateStats() {
-        const emails = this.emailRepository.getEmails();
-        const jobEmails = this.emailRepository.getJobEmails();
-        const totalEmails = emails.length;
-        const jobApps = jobEmails.length;
+        const totalEmails = this.emailRepository.getEmails().length;
+        const applications = this.applicationRepository.getApplications();
+        const jobApps = applications.length;
 
-        // Count stages
+        // Count applications by current stage
         const stages = {
             applied: 0,
             interview: 0,
@@ -390,23 +418,15 @@ class EmailController {
             noResponse: 0
         };
 
-        for (const email of jobEmails) {
-            const cached = this.emailRepository.getCachedResult(email.id);
-            // Prefer user override, then transitionTo, then jobType
-            const stage = cached?.userOverrideJobType || cached?.transitionTo || cached?.jobType;
-            
-            if (stage) {
-                if (stage === 'Applications Sent' || stage === 'applications_sent' || stage === 'application_confirmation') {
-                    stages.applied++;
-                } else if (stage === 'Interview' || stage === 'interview' || stage === 'OA / Screening' || stage === 'oa_screening') {
-                    stages.interview++;
-                } else if (stage === 'Offer' || stage === 'offer' || stage === 'Accepted' || stage === 'accepted') {
-                    stages.offer++;
-                } else if (stage === 'Rejected' || stage === 'rejected' || stage === 'rejection' || stage === 'declined') {
-                    stages.rejected++;
-                } else if (stage === 'No Response' || stage === 'no_response') {
-                    stages.noResponse++;
-                }
+        for (const { stage } of applications) {
+            if (stage === 'interview' || stage === 'oa_screening') {
+                stages.interview++;
+            } else if (stage === 'offer' || stage === 'accepted') {
+                stages.offer++;
+            } else if (stage === 'rejected' || stage === 'declined') {
+                stages.rejected++;
+            } else if (stage === 'no_response') {
+                stages.noResponse++;
             } else {
                 stages.applied++;
             }
@@ -420,7 +440,8 @@ class EmailController {
             totalEmails,
             jobApps,
             stages,
-            responseRate
+            responseRate,
+            upcomingInterviews: this.applicationRepository.getUpcomingInterviews()
         };
     }
 
@@ -436,6 +457,7 @@ class EmailController {
                 email.inboxCategory = this.emailClassificationService.mapAiCategoryToInboxCategory(cached.category, cached.jobType, cached.hasUnsubscribe);
             }
         }
+        this.emailRepository.markChanged();
     }
 
     /**
@@ -453,25 +475,50 @@ class EmailController {
 
     /**
      * Auto-categorize emails in the background with visual progress feedback.
+     * Uses /summarize-batch (one request per CATEGORIZATION_BATCH_SIZE emails) when the backend supports it,
+     * otherwise falls back to one /summarize request per email with CATEGORIZATION_CONCURRENCY.
      * @param {Array} emails - Array of emails to categorize
      */
     async autoCategorizeEmails(emails) {
-        const concurrency = CATEGORIZATION_CONCURRENCY;
         const delayMs = CATEGORIZATION_DELAY_MS;
-        const uncachedEmails = emails.filter(e => !this.emailRepository.getCachedResult(e.id));
+        // Rule-based estimates are redone too, so they get a real analysis once the backend has a provider
+        const uncachedEmails = emails.filter(e => this.emailRepository.needsAnalysis(e.id));
         const totalToProcess = uncachedEmails.length;
         let processed = 0;
+        let useBatch = this.backendApiService.batchSummarizeSupported !== false;
 
         // Show progress bar if there are emails to process
         if (totalToProcess > 0) {
             this.uiController.showCategorizationProgress(0, totalToProcess);
         }
 
-        for (let i = 0; i < emails.length; i += concurrency) {
-            const batch = emails.slice(i, i + concurrency);
+        let i = 0;
+        while (i < emails.length) {
+            const chunkSize = useBatch ? CATEGORIZATION_BATCH_SIZE : CATEGORIZATION_CONCURRENCY;
+            const batch = emails.slice(i, i + chunkSize);
+            const uncachedBatch = batch.filter(e => this.emailRepository.needsAnalysis(e.id));
+
+            // Batch mode: one request for all uncached emails in this chunk
+            let batchResults = null;
+            if (useBatch && uncachedBatch.length > 0) {
+                uncachedBatch.forEach(e => this.uiController.setEmailProcessing(e.id, true));
+                try {
+                    batchResults = await this.backendApiService.processEmailsBatchWithAI(uncachedBatch);
+                } catch (error) {
+                    console.error('Batch categorization failed:', error);
+                    batchResults = new Map(uncachedBatch.map(e => [e.id, error]));
+                }
+                if (batchResults === null) {
+                    // Backend has no batch route: redo this chunk one email at a time
+                    uncachedBatch.forEach(e => this.uiController.setEmailProcessing(e.id, false));
+                    useBatch = false;
+                    continue;
+                }
+            }
+
             await Promise.all(batch.map(async (email) => {
                 const cachedResults = this.emailRepository.getCachedResult(email.id);
-                if (cachedResults) {
+                if (!this.emailRepository.needsAnalysis(email.id)) {
                     email.inboxCategory = this.emailClassificationService.mapAiCategoryToInboxCategory(cachedResults.category, cachedResults.jobType, cachedResults.hasUnsubscribe);
                     if (email.inboxCategory === INBOX_CATEGORIES.JOB) {
                         await this.applyJobLabelForEmail(email);
@@ -480,10 +527,18 @@ class EmailController {
                 }
                 
                 // Show shimmer on this card
-                this.uiController.setEmailProcessing(email.id, true);
+                if (!batchResults) {
+                    this.uiController.setEmailProcessing(email.id, true);
+                }
                 
                 try {
-                    const results = await this.backendApiService.processEmailWithAI(email);
+                    let results;
+                    if (batchResults) {
+                        results = batchResults.get(email.id) || new Error('No result returned for this email');
+                        if (results instanceof Error) throw results;
+                    } else {
+                        results = await this.backendApiService.processEmailWithAI(email);
+                    }
                     this.emailRepository.setCache(email.id, results);
                     const mappedCategory = this.emailClassificationService.mapAiCategoryToInboxCategory(results.category, results.jobType, results.hasUnsubscribe);
                     email.inboxCategory = mappedCategory;
@@ -504,7 +559,14 @@ class EmailController {
             await this.emailRepository.saveToStorage().catch((err) => console.warn('Save after batch:', err));
             this.uiController.renderEmailList();
             this.uiController.renderStatsDashboard(this.calculateStats());
-            if (i + concurrency < emails.length) {
+            const rateLimitMs = this.backendApiService.getRateLimitRemainingMs();
+            if (rateLimitMs > 0) {
+                // Backend budget exhausted: stop instead of failing every remaining email
+                this.uiController.showError(`AI limit reached. Categorization will resume in about ${Math.ceil(rateLimitMs / 60000)} min.`);
+                break;
+            }
+            i += chunkSize;
+            if (i < emails.length) {
                 await new Promise((resolve) => setTimeout(resolve, delayMs));
             }
         }
@@ -717,13 +779,8 @@ class EmailController {
             const content = email.fullContent || (email.subject || '') + '\n' + (email.snippet || '');
             if (!content.trim()) continue;
             try {
-                let match = this.emailRepository.getCustomLabelMatchCache(email.id, label.id);
-                if (match === undefined) {
-                    const res = await this.backendApiService.matchCustomLabel(content, label.name, label.description);
-                    match = res.match;
-                    this.emailRepository.setCustomLabelMatchCache(email.id, label.id, match);
-                }
-                if (match) {
+                const matches = await this.matchCustomLabelsForEmail(email, content, [label]);
+                if (matches.get(label.id)) {
                     const result = await this.gmailApiService.addLabelToMessages([email.id], label.gmailLabelId);
                     if (result.success && result.success.length > 0) {
                         email.labelIds = [...(email.labelIds || []), label.gmailLabelId];
@@ -743,6 +800,35 @@ class EmailController {
         return labeled;
     }
 
+    /**
+     * Which of the given custom labels an email matches. Cached answers are reused; the other labels
+     * are checked together in one backend call (per MAX_LABELS_PER_MATCH) and cached per label.
+     * @param {Object} email - Email (uses id)
+     * @param {string} content - Email content to match against
+     * @param {Array<Object>} labels - Custom labels { id, name, description }
+     * @returns {Promise<Map<string, boolean>>} Label id -> match
+     */
+    async matchCustomLabelsForEmail(email, content, labels) {
+        const matches = new Map();
+        const uncached = [];
+        for (const label of labels) {
+            const cached = this.emailRepository.getCustomLabelMatchCache(email.id, label.id);
+            if (cached === undefined) {
+                uncached.push(label);
+            } else {
+                matches.set(label.id, cached);
+            }
+        }
+        for (let i = 0; i < uncached.length; i += MAX_LABELS_PER_MATCH) {
+            const results = await this.backendApiService.matchCustomLabels(content, uncached.slice(i, i + MAX_LABELS_PER_MATCH));
+            for (const { id, match } of results) {
+                this.emailRepository.setCustomLabelMatchCache(email.id, id, match);
+                matches.set(id, match);
+            }
+        }
+        return matches;
+    }
+
     /** Show the Add Custom Label modal (opened by + beside Pipeline). */
     openAddCustomLabelModal() {
         const modal = this.domRefs.addCustomLabelModal;
@@ -809,18 +895,13 @@ class EmailController {
                 await this.ensureEmailFullContent(email);
                 const content = email.fullContent || (email.subject || '') + '\n' + (email.snippet || '');
                 if (!content.trim()) continue;
-                for (const label of labels) {
-                    const applyToGmail = label.applyToInbox !== false;
-                    const hasLabel = email.labelIds && email.labelIds.includes(label.gmailLabelId);
-                    if (hasLabel) continue;
+                const pending = labels.filter((label) => !(email.labelIds && email.labelIds.includes(label.gmailLabelId)));
+                if (pending.length > 0) {
                     try {
-                        let match = this.emailRepository.getCustomLabelMatchCache(email.id, label.id);
-                        if (match === undefined) {
-                            const res = await this.backendApiService.matchCustomLabel(content, label.name, label.description);
-                            match = res.match;
-                            this.emailRepository.setCustomLabelMatchCache(email.id, label.id, match);
-                        }
-                        if (match && applyToGmail) {
+                        // All labels in one call per email instead of one per label
+                        const matches = await this.matchCustomLabelsForEmail(email, content, pending);
+                        for (const label of pending) {
+                            if (!matches.get(label.id) || label.applyToInbox === false) continue;
                             const result = await this.gmailApiService.addLabelToMessages([email.id], label.gmailLabelId);
                             if (result.success.length > 0) {
                                 email.labelIds = [...(email.labelIds || []), label.gmailLabelId];
@@ -828,7 +909,7 @@ class EmailController {
                             }
                         }
                     } catch (err) {
-                        console.warn(`Custom label "${label.name}" match failed for ${email.id}:`, err);
+                        console.warn(`Custom label match failed for ${email.id}:`, err);
                     }
                     await new Promise((r) => setTimeout(r, delayMs));
                 }
@@ -848,6 +929,15 @@ class EmailController {
      * @param {string} newInbox - New inbox category to switch to (primary, promotions, job, pipeline)
      */
     switchInbox(newInbox) {
+        if (this.emailRepository.getFlowFilter()) {
+            // Clicking the Pipeline tab again during a drill-down goes back to the diagram
+            if (newInbox === this.emailRepository.getSelectedInbox()) {
+                this.clearFlowFilter();
+                return;
+            }
+            this.emailRepository.setFlowFilter(null);
+            this.uiController.renderFlowBreadcrumb(null);
+        }
         if (newInbox === this.emailRepository.getSelectedInbox()) return;
 
         this.emailRepository.setSelectedInbox(newInbox);
@@ -855,8 +945,7 @@ class EmailController {
         this.uiController.updateInboxTabsUI();
 
         if (newInbox === 'pipeline') {
-            const jobEmails = this.emailRepository.getJobEmails();
-            const sankeyText = buildSankeyMaticText(jobEmails, this.emailRepository, this.emailParserService);
+            const sankeyText = buildSankeyMaticText(this.applicationRepository.getApplications());
             this.uiController.showPipelineView(sankeyText);
         } else {
             this.uiController.showEmailListView();
@@ -866,18 +955,59 @@ class EmailController {
     }
 
     /**
-     * Refresh the Pipeline view text from current job emails (e.g. after user clicks Refresh).
+     * Refresh the Pipeline view text from current job applications (e.g. after user clicks Refresh).
      */
     refreshPipelineView() {
         if (this.emailRepository.getSelectedInbox() !== 'pipeline') return;
-        const jobEmails = this.emailRepository.getJobEmails();
-        const sankeyText = buildSankeyMaticText(jobEmails, this.emailRepository, this.emailParserService);
+        const sankeyText = buildSankeyMaticText(this.applicationRepository.getApplications());
         this.uiController.setPipelineContent(sankeyText);
         if (this.domRefs.sankeyDiagramContainer?.style.display === 'block') {
             this.uiController.showPipelineDiagramView();
         }
     }
 
+    /**
+     * Show the emails behind a clicked Sankey node or link: every email of the applications whose
+     * stage path passes through that node or takes that link.
+     * @param {{type: 'node', name: string}|{type: 'link', source: string, target: string}} selection - From the diagram
+     */
+    showFlowEmails(selection) {
+        const applications = applicationsInFlow(this.applicationRepository.getApplications(), selection);
+        this.emailRepository.setFlowFilter({
+            label: selection.type === 'node' ? selection.name : `${selection.source} → ${selection.target}`,
+            emailIds: new Set(applications.flatMap((a) => a.emailIds)),
+            applicationCount: applications.length
+        });
+        this.uiController.showEmailListView();
+        this.uiController.renderFlowBreadcrumb(this.emailRepository.getFlowFilter());
+        this.uiController.renderEmailList();
+    }
+
+    /**
+     * Leave a Pipeline drill-down and show the diagram again.
+     */
+    clearFlowFilter() {
+        if (!this.emailRepository.getFlowFilter()) return;
+        this.emailRepository.setFlowFilter(null);
+        this.uiController.renderFlowBreadcrumb(null);
+        if (this.emailRepository.getSelectedInbox() === 'pipeline') {
+            this.uiController.showPipelineView(buildSankeyMaticText(this.applicationRepository.getApplications()));
+            this.uiController.showPipelineDiagramView();
+        } else {
+            this.uiController.showEmailListView();
+            this.uiController.renderEmailList();
+        }
+    }
+
+    /**
+     * Refresh the views built from application records (Pipeline and stats dashboard) after a job
+     * email changed in the modal (stage correction, interview details).
+     */
+    refreshJobViews() {
+        this.refreshPipelineView();
+        this.uiController.renderStatsDashboard(this.calculateStats());
+    }
+
     /**
      * Process unsubscribe and delete for selected senders
      * @param {boolean} deleteEmails - Whether to delete emails after unsubscribing
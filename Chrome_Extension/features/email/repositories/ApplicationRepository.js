@@ -0,0 +1,188 @@
+/**
+ * Application Repository - Groups job emails into application records (one per company + role),
+ * each with a timeline of stage changes. Records are rebuilt from EmailRepository's job emails and
+ * cached AI results, so they always follow user stage overrides and newly processed emails. The grouping
+ * is rebuilt only when EmailRepository's revision changes.
+ * Interview times extracted from invites (cached result `interview`) are kept on their application.
+ */
+import { JOB_TYPE_LABELS, LEGACY_JOB_TYPES } from '../config/constants.js';
+import { zonedTimeToUtc } from '../utils/icsUtils.js';
+
+/** Stage label ("Applications Sent") -> jobType slug; legacy slugs map to their current name */
+const LABEL_TO_JOB_TYPE = Object.fromEntries(
+    Object.entries(JOB_TYPE_LABELS)
+        .filter(([slug]) => !LEGACY_JOB_TYPES[slug])
+        .map(([slug, label]) => [label, slug])
+);
+
+/** Words recruiting senders add to the company name ("Acme Careers", "Talent at Acme") */
+const SENDER_NOISE = /\b(careers?|recruit(ing|ment|er)?|talent( acquisition)?|jobs?|hiring|team|hr|people|no[- ]?reply|notifications?|at)\b/gi;
+
+/** Legal suffixes ignored when comparing company names ("Acme Inc." = "Acme") */
+const COMPANY_SUFFIXES = /\b(inc|llc|ltd|limited|corp|corporation|co|gmbh|plc|ag|sa)\b\.?/gi;
+
+function normalizeCompany(name) {
+    return name.toLowerCase().replace(COMPANY_SUFFIXES, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function normalizeRole(role) {
+    return role.toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').trim();
+}
+
+export class ApplicationRepository {
+    /**
+     * @param {Object} emailRepository - EmailRepository (getJobEmails, getCachedResult)
+     * @param {Object} emailParserService - EmailParserService (normalizeSenderAddress)
+     */
+    constructor(emailRepository, emailParserService) {
+        this.emailRepository = emailRepository;
+        this.emailParserService = emailParserService;
+        /** Last grouping and the EmailRepository revision it was built from */
+        this._applications = null;
+        this._applicationsRevision = -1;
+    }
+
+    /**
+     * Current jobType slug of one email: user override, then transitionTo, then jobType.
+     * @param {string} emailId
+     * @returns {string|null} Slug, or null when the email has no stage yet (not processed)
+     */
+    getEmailStage(emailId) {
+        const cached = this.emailRepository.getCachedResult(emailId);
+        const stage = cached?.userOverrideJobType
+            || (cached?.transitionTo && LABEL_TO_JOB_TYPE[cached.transitionTo])
+            || cached?.jobType;
+        if (!stage) return null;
+        return LEGACY_JOB_TYPES[stage] || stage;
+    }
+
+    /**
+     * Company an email is from: the extracted company, else the sender name without recruiting words,
+     * else the sender domain.
+     * @param {Object} email
+     * @param {Object|null} application - Extracted application details
+     * @returns {string}
+     */
+    _companyOf(email, application) {
+        if (application?.company) return application.company;
+        const senderName = (email.from || '').replace(/<[^>]*>/, '').replace(/"/g, '').trim();
+        const cleaned = senderName.replace(SENDER_NOISE, '').replace(/\s+/g, ' ').replace(/^[\s,.\-|]+|[\s,.\-|]+$/g, '');
+        // A sender name that is just the ATS ("Workday") says nothing about the company
+        if (cleaned && cleaned.toLowerCase() !== (application?.atsVendor || '').toLowerCase()) return cleaned;
+        return this.emailParserService.normalizeSenderAddress(email.from);
+    }
+
+    /**
+     * Application records of the current job emails (see _groupApplications), rebuilt only after the
+     * email list or a cached result changed. The array is shared between callers; do not mutate it.
+     * @returns {Array<Object>}
+     */
+    getApplications() {
+        const revision = this.emailRepository.getRevision();
+        if (!this._applications || this._applicationsRevision !== revision) {
+            this._applications = this._groupApplications();
+            this._applicationsRevision = revision;
+        }
+        return this._applications;
+    }
+
+    /**
+     * Group the current job emails into application records, oldest email first. Emails join an
+     * application by thread, then by requisition ID, then by company + role. An email without a role
+     * joins the company's latest application (or starts one whose role a later email can fill in).
+     * @returns {Array<{id: string, company: string, role: string|null, requisitionId: string|null, atsVendor: string|null, location: string|null, stage: string, emailIds: string[], timeline: Array<{emailId: string, date: number, stage: string, from: string|null, subject: string}>, interviews: Array<{emailId: string, startsAt: number, details: Object}>, firstSeen: number, lastActivity: number}>}
+     */
+    _groupApplications() {
+        const emails = this.emailRepository.getJobEmails()
+            .map((email) => ({ email, time: Date.parse(email.date) || 0 }))
+            .sort((a, b) => a.time - b.time);
+
+        const applications = [];
+        const byThread = new Map();
+        const byCompany = new Map(); // companyKey -> applications of that company, oldest first
+
+        for (const { email, time } of emails) {
+            const cached = this.emailRepository.getCachedResult(email.id);
+            const details = cached?.application || null;
+            const company = this._companyOf(email, details);
+            const companyKey = normalizeCompany(company) || company.toLowerCase();
+            const roleKey = details?.role ? normalizeRole(details.role) : '';
+            const sameCompany = byCompany.get(companyKey) || [];
+
+            let application = (email.threadId && byThread.get(email.threadId))
+                || (details?.requisitionId && sameCompany.find((a) => a.requisitionId === details.requisitionId))
+                || (roleKey && sameCompany.find((a) => a.roleKey === roleKey))
+                || (roleKey && sameCompany.find((a) => !a.roleKey))
+                || (!roleKey && sameCompany[sameCompany.length - 1]);
+
+            if (!application) {
+                application = {
+                    id: email.id,
+                    companyKey,
+                    roleKey: '',
+                    company,
+                    role: null,
+                    requisitionId: null,
+                    atsVendor: null,
+                    location: null,
+                    emailIds: [],
+                    timeline: [],
+                    interviews: [],
+                    firstSeen: time,
+                    lastActivity: time
+                };
+                applications.push(application);
+                sameCompany.push(application);
+                byCompany.set(companyKey, sameCompany);
+            }
+            if (roleKey && !application.roleKey) {
+                application.roleKey = roleKey;
+                application.role = details.role;
+            }
+            // Details from the first email that states them; an extracted company beats a sender name
+            if (details?.company && !application.hasExtractedCompany) {
+                application.company = details.company;
+                application.hasExtractedCompany = true;
+            }
+            application.requisitionId = application.requisitionId || details?.requisitionId || null;
+            application.atsVendor = application.atsVendor || details?.atsVendor || null;
+            application.location = application.location || details?.location || null;
+            application.emailIds.push(email.id);
+            application.lastActivity = Math.max(application.lastActivity, time);
+            if (email.threadId) byThread.set(email.threadId, application);
+
+            // A confirmation or reschedule repeating the same time is one interview
+            const startsAt = cached?.interview?.start ? zonedTimeToUtc(cached.interview.start, cached.interview.timezone) : NaN;
+            if (!Number.isNaN(startsAt) && !application.interviews.some((i) => i.startsAt === startsAt)) {
+                application.interviews.push({ emailId: email.id, startsAt, details: cached.interview });
+            }
+
+            const stage = this.getEmailStage(email.id);
+            const last = application.timeline[application.timeline.length - 1];
+            if (stage && stage !== last?.stage) {
+                // The stage the email says the application moved from ("your assessment is done, let's
+                // schedule interviews"); dropped when the user corrected the stage
+                const from = !cached?.userOverrideJobType && cached?.transitionFrom ? LABEL_TO_JOB_TYPE[cached.transitionFrom] || null : null;
+                application.timeline.push({ emailId: email.id, date: time, stage, from: from !== stage ? from : null, subject: email.subject || '' });
+            }
+        }
+
+        return applications.map(({ companyKey: _companyKey, roleKey: _roleKey, hasExtractedCompany: _hasExtractedCompany, ...application }) => ({
+            ...application,
+            stage: application.timeline.length > 0 ? application.timeline[application.timeline.length - 1].stage : 'applications_sent'
+        }));
+    }
+
+    /**
+     * Interviews that have not started yet, soonest first.
+     * @param {number} [now] - Current time (ms)
+     * @returns {Array<{emailId: string, startsAt: number, details: Object, company: string, role: string|null}>}
+     */
+    getUpcomingInterviews(now = Date.now()) {
+        return this.getApplications()
+            .flatMap((application) => application.interviews
+                .filter((interview) => interview.startsAt >= now)
+                .map((interview) => ({ ...interview, company: application.company, role: application.role })))
+            .sort((a, b) => a.startsAt - b.startsAt);
+    }
+}
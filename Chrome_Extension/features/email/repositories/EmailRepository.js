@@ -15,8 +15,23 @@ export class EmailRepository {
         this.jobLabelId = null;
         /** Custom auto-labels (id, name, description, gmailLabelId, applyToInbox) - used for filtering and tabs */
         this.customLabels = [];
-        /** In-memory cache for matchCustomLabel results: key = `${emailId}:${labelId}` -> boolean (avoids repeated API calls) */
+        /** In-memory cache for custom label match results: key = `${emailId}:${labelId}` -> boolean (avoids repeated API calls) */
         this.customLabelMatchCache = new Map();
+        /** Pipeline drill-down: { label, emailIds: Set } of the clicked Sankey node or link; overrides the inbox filter (not persisted) */
+        this.flowFilter = null;
+        /** Bumped on every change to the email list or cached results, so derived data (ApplicationRepository) knows when to rebuild */
+        this.revision = 0;
+    }
+
+    getRevision() {
+        return this.revision;
+    }
+
+    /**
+     * Record a change made to email objects in place (e.g. inboxCategory), which the setters below cannot see.
+     */
+    markChanged() {
+        this.revision++;
     }
 
     setCustomLabels(labels) {
@@ -34,10 +49,12 @@ export class EmailRepository {
 
     setEmails(emails) {
         this.currentEmails = emails;
+        this.revision++;
     }
 
     addEmails(emails) {
         this.currentEmails = [...this.currentEmails, ...emails];
+        this.revision++;
     }
 
     getEmailById(id) {
@@ -57,6 +74,9 @@ export class EmailRepository {
     }
 
     getFilteredEmails() {
+        if (this.flowFilter) {
+            return this.currentEmails.filter((e) => this.flowFilter.emailIds.has(e.id));
+        }
         if (this.selectedInbox === INBOX_CATEGORIES.JOB) {
             return this.currentEmails.filter((e) => this._isJobEmail(e));
         }
@@ -92,6 +112,19 @@ export class EmailRepository {
 
     setJobLabelId(id) {
         this.jobLabelId = id;
+        this.revision++;
+    }
+
+    getFlowFilter() {
+        return this.flowFilter;
+    }
+
+    /**
+     * Show only the emails behind a pipeline flow (see EmailController.showFlowEmails).
+     * @param {{label: string, emailIds: Set<string>, applicationCount: number}|null} filter - null clears it
+     */
+    setFlowFilter(filter) {
+        this.flowFilter = filter;
     }
 
     // Cache management
@@ -103,13 +136,31 @@ export class EmailRepository {
         return this.emailCache.get(emailId);
     }
 
+    /**
+     * Whether an email still needs an AI analysis: it has no result yet, or only the rule-based
+     * estimate a backend without an LLM provider returns (`source: "heuristic"`). A stage the user
+     * picked for such an email is kept, so that result counts as final.
+     * @param {string} emailId
+     * @returns {boolean}
+     */
+    needsAnalysis(emailId) {
+        const results = this.emailCache.get(emailId);
+        return !results || this._isEstimate(results);
+    }
+
+    _isEstimate(results) {
+        return results?.source === 'heuristic' && !results.userOverrideJobType;
+    }
+
     setCache(emailId, results) {
         this.emailCache.set(emailId, results);
+        this.revision++;
     }
 
     clearCache() {
         this.emailCache.clear();
         this.customLabelMatchCache.clear();
+        this.revision++;
     }
 
     getCustomLabelMatchCache(emailId, labelId) {
@@ -226,7 +277,9 @@ export class EmailRepository {
     async saveToStorage() {
         try {
             const emails = this.currentEmails.map((e) => this.minimalEmailForStorage(e));
-            const cache = Object.fromEntries(this.emailCache);
+            // Backend fallback results (unusable AI output) and rule-based estimates stay in memory only,
+            // so they are analyzed again next session (by then a provider may be configured)
+            const cache = Object.fromEntries([...this.emailCache].filter(([, results]) => !results?.fallback && !this._isEstimate(results)));
             await chrome.storage.local.set({
                 [STORAGE_KEY_EMAILS]: emails,
                 [STORAGE_KEY_EMAIL_CACHE]: cache,
@@ -239,6 +292,7 @@ export class EmailRepository {
                 const maxKeep = 300;
                 if (this.currentEmails.length > maxKeep) {
                     this.currentEmails = this.currentEmails.slice(0, maxKeep);
+                    this.revision++;
                     const idsToKeep = new Set(this.currentEmails.map((e) => e.id));
                     for (const id of this.emailCache.keys()) {
                         if (!idsToKeep.has(id)) this.emailCache.delete(id);
@@ -274,6 +328,7 @@ export class EmailRepository {
             if (cacheObj && typeof cacheObj === 'object') {
                 this.emailCache = new Map(Object.entries(cacheObj));
             }
+            this.revision++;
             if (result[STORAGE_KEY_NEXT_PAGE_TOKEN] != null) {
                 this.nextPageToken = result[STORAGE_KEY_NEXT_PAGE_TOKEN];
             }
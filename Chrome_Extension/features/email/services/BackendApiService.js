@@ -2,10 +2,74 @@
  * Backend API Service - Handles backend AI API calls
  */
 import { SettingsService } from './SettingsService.js';
+import { RATE_LIMIT_MAX_WAIT_SECONDS, RATE_LIMIT_MAX_RETRIES } from '../config/constants.js';
+import { BackendError } from '../utils/backendErrors.js';
+import { toLocalIsoDate } from '../utils/dateUtils.js';
 
 export class BackendApiService {
     constructor(settingsService) {
         this.settingsService = settingsService;
+        /** null = unknown, false after the backend answered 404 for /summarize-batch */
+        this.batchSummarizeSupported = null;
+        /** Timestamp (ms) until which the backend asked us to stop sending requests (long 429 Retry-After) */
+        this.rateLimitedUntil = 0;
+    }
+
+    /**
+     * Milliseconds until the backend accepts requests again after a long 429 (0 when not limited)
+     * @returns {number}
+     */
+    getRateLimitRemainingMs() {
+        return Math.max(0, this.rateLimitedUntil - Date.now());
+    }
+
+    /**
+     * fetch() that honors the backend's 429 Retry-After header. Short waits (per-route rate limit)
+     * are slept out and retried; long ones (daily budget) block further requests until they pass.
+     * @param {string} url
+     * @param {Object} options - fetch options
+     * @returns {Promise<Response>} Final response (may still be a 429 the caller reports)
+     */
+    async _fetch(url, options) {
+        const remainingMs = this.getRateLimitRemainingMs();
+        if (remainingMs > 0) {
+            throw new Error(`Backend limit reached. Try again in ${Math.ceil(remainingMs / 60000)} min.`);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            const response = await fetch(url, options);
+            if (response.status !== 429) return response;
+
+            const retryAfterSeconds = parseInt(response.headers.get('Retry-After'), 10) || 1;
+            if (retryAfterSeconds > RATE_LIMIT_MAX_WAIT_SECONDS) {
+                this.rateLimitedUntil = Date.now() + retryAfterSeconds * 1000;
+                return response;
+            }
+            if (attempt >= RATE_LIMIT_MAX_RETRIES) return response;
+            await new Promise((resolve) => setTimeout(resolve, retryAfterSeconds * 1000));
+        }
+    }
+
+    /**
+     * JSON request headers, plus the install's bearer token once paired
+     * @returns {Promise<Object>}
+     */
+    async _headers() {
+        return {
+            'Content-Type': 'application/json',
+            ...(await this.settingsService.getAuthHeaders())
+        };
+    }
+
+    /**
+     * JSON request body for the email AI routes, with the PII redaction level from settings
+     * (omitted when set to the backend's default)
+     * @param {Object} fields - Route-specific fields
+     * @returns {Promise<string>}
+     */
+    async _body(fields) {
+        const redaction = await this.settingsService.getPiiRedaction();
+        return JSON.stringify(redaction ? { ...fields, redaction } : fields);
     }
 
     /**
@@ -19,19 +83,16 @@ export class BackendApiService {
         const url = `${backendUrl}/api/email/summarize`;
 
         try {
-            const response = await fetch(url, {
+            const response = await this._fetch(url, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
+                headers: await this._headers(),
+                body: await this._body({
                     emailContent: email.fullContent
                 })
             });
 
             if (!response.ok) {
-                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-                throw new Error(errorData.error || `Backend error: ${response.status}`);
+                throw await BackendError.fromResponse(response);
             }
 
             const result = await response.json();
@@ -42,27 +103,221 @@ export class BackendApiService {
             }
 
             // For job emails, also extract action items and analyze sentiment (non-blocking)
-            if (result.category === 'Job' || result.jobType) {
-                const emailContent = email.fullContent;
-                
-                // Run action items and sentiment in parallel
-                const [actionsResult, sentimentResult] = await Promise.allSettled([
-                    this.extractActionItems(emailContent).catch(() => ({ actionItems: [] })),
-                    this.analyzeSentiment(emailContent).catch(() => ({ sentiment: 'neutral', confidence: 0.5 }))
-                ]);
-
-                result.actionItems = actionsResult.status === 'fulfilled' ? actionsResult.value.actionItems : [];
-                
-                if (sentimentResult.status === 'fulfilled') {
-                    result.sentiment = sentimentResult.value.sentiment;
-                    result.sentimentConfidence = sentimentResult.value.confidence;
+            await this._enrichJobResult(result, email);
+
+            return result;
+        } catch (error) {
+            if (!(error instanceof BackendError) && error.message.includes('fetch')) {
+                throw new Error('Failed to connect to backend server. Make sure it is running.');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Same as processEmailWithAI, but streams the summary from /api/email/summarize/stream
+     * (server-sent events) and reports it piece by piece while the model writes it.
+     * Falls back to processEmailWithAI when the backend has no streaming route.
+     * @param {Object} email - Email object
+     * @param {(text: string) => void} onToken - Called with each new piece of the summary
+     * @returns {Promise<Object>} AI analysis results (final; its summary replaces the streamed text)
+     */
+    async processEmailWithAIStream(email, onToken) {
+        const backendUrl = await this.settingsService.getBackendUrl();
+        const url = `${backendUrl}/api/email/summarize/stream`;
+
+        let response;
+        try {
+            response = await this._fetch(url, {
+                method: 'POST',
+                headers: { ...(await this._headers()), Accept: 'text/event-stream' },
+                body: await this._body({
+                    emailContent: email.fullContent
+                })
+            });
+        } catch (error) {
+            if (this.getRateLimitRemainingMs() > 0) throw error;
+            throw new Error('Failed to connect to backend server. Make sure it is running.');
+        }
+
+        if (response.status === 404) {
+            return this.processEmailWithAI(email);
+        }
+        if (!response.ok) {
+            throw await BackendError.fromResponse(response);
+        }
+
+        let result = null;
+        for await (const { event, data } of this._readEvents(response)) {
+            if (event === 'token' && typeof data.text === 'string') {
+                onToken(data.text);
+            } else if (event === 'result') {
+                result = data;
+            } else if (event === 'error') {
+                throw BackendError.fromBody(data);
+            }
+        }
+
+        if (!result || !result.summary || !result.category) {
+            throw new Error('Invalid response format from backend');
+        }
+
+        await this._enrichJobResult(result, email);
+        return result;
+    }
+
+    /**
+     * Parse a server-sent events response body into { event, data } objects (data JSON-decoded)
+     * @param {Response} response - fetch response with a text/event-stream body
+     */
+    async *_readEvents(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const frame = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                let event = 'message';
+                const dataLines = [];
+                for (const line of frame.split('\n')) {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+                }
+                if (dataLines.length === 0) continue;
+                try {
+                    yield { event, data: JSON.parse(dataLines.join('\n')) };
+                } catch {
+                    // Ignore malformed frames
                 }
             }
 
+            if (done) return;
+        }
+    }
+
+    /**
+     * Add action items and sentiment to a job email result, and interview details to an
+     * interview invite (mutates result).
+     * @param {Object} result - Summarize result (category, jobType, ...)
+     * @param {Object} email - Email object (fullContent, date)
+     */
+    async _enrichJobResult(result, email) {
+        if (result.category !== 'Job' && !result.jobType) return;
+        const emailContent = email.fullContent;
+
+        // Run action items, sentiment and interview details in parallel
+        const [actionsResult, sentimentResult, interviewResult] = await Promise.allSettled([
+            this.extractActionItems(emailContent, toLocalIsoDate(email.date)).catch(() => ({ actionItems: [] })),
+            this.analyzeSentiment(emailContent).catch(() => ({ sentiment: 'neutral', confidence: 0.5 })),
+            result.jobType === 'interview' ? this.extractInterview(emailContent, toLocalIsoDate(email.date)) : null
+        ]);
+
+        result.actionItems = actionsResult.status === 'fulfilled' ? actionsResult.value.actionItems : [];
+        
+        if (sentimentResult.status === 'fulfilled') {
+            result.sentiment = sentimentResult.value.sentiment;
+            result.sentimentConfidence = sentimentResult.value.confidence;
+        }
+        if (interviewResult.status === 'fulfilled' && interviewResult.value?.isInterview) {
+            result.interview = interviewResult.value;
+        }
+    }
+
+    /**
+     * Process many emails in one request through /api/email/summarize-batch.
+     * Returns null when the backend has no batch route (older server) so callers can fall back to processEmailWithAI.
+     * @param {Array<Object>} emails - Email objects (id, fullContent)
+     * @returns {Promise<Map<string, Object|Error>|null>} Map of email ID -> AI result, or Error for per-email failures
+     */
+    async processEmailsBatchWithAI(emails) {
+        if (this.batchSummarizeSupported === false) return null;
+
+        const backendUrl = await this.settingsService.getBackendUrl();
+        const url = `${backendUrl}/api/email/summarize-batch`;
+
+        let response;
+        try {
+            response = await this._fetch(url, {
+                method: 'POST',
+                headers: await this._headers(),
+                body: await this._body({
+                    emails: emails.map((email) => ({ id: email.id, emailContent: email.fullContent }))
+                })
+            });
+        } catch (error) {
+            if (this.getRateLimitRemainingMs() > 0) throw error;
+            throw new Error('Failed to connect to backend server. Make sure it is running.');
+        }
+
+        if (response.status === 404) {
+            this.batchSummarizeSupported = false;
+            return null;
+        }
+        if (!response.ok) {
+            throw await BackendError.fromResponse(response);
+        }
+        this.batchSummarizeSupported = true;
+
+        const data = await response.json();
+        const entries = Array.isArray(data.results) ? data.results : [];
+        const resultsById = new Map();
+        for (const entry of entries) {
+            if (!entry || !entry.id) continue;
+            if (entry.result && entry.result.summary && entry.result.category) {
+                resultsById.set(entry.id, entry.result);
+            } else {
+                resultsById.set(entry.id, new Error(entry.error || 'Invalid response format from backend'));
+            }
+        }
+
+        const byId = new Map(emails.map((email) => [email.id, email]));
+        await Promise.all(Array.from(resultsById.entries()).map(([id, result]) => (
+            result instanceof Error ? null : this._enrichJobResult(result, byId.get(id) || { fullContent: '' })
+        )));
+
+        return resultsById;
+    }
+
+    /**
+     * Summarize a whole Gmail thread: the conversation so far, the current job stage and who owes the next reply
+     * @param {Array<Object>} messages - Parsed thread messages, oldest first (fullContent, date, fromMe)
+     * @returns {Promise<{summary: string, category: string, stage: string|null, jobType: string|null, nextReply: 'you'|'them'|'none', messageCount: number}>}
+     */
+    async summarizeThread(messages) {
+        const backendUrl = await this.settingsService.getBackendUrl();
+        const url = `${backendUrl}/api/email/summarize-thread`;
+
+        try {
+            const response = await this._fetch(url, {
+                method: 'POST',
+                headers: await this._headers(),
+                body: await this._body({
+                    messages: messages.map((message) => ({
+                        emailContent: message.fullContent,
+                        date: message.date,
+                        fromMe: message.fromMe === true
+                    }))
+                })
+            });
+
+            if (!response.ok) {
+                throw await BackendError.fromResponse(response);
+            }
+
+            const result = await response.json();
+            if (!result.summary || !result.nextReply) {
+                throw new Error('Invalid response format from backend');
+            }
             return result;
         } catch (error) {
-            if (error.message.includes('fetch')) {
-                throw new Error('Failed to connect to backend server. Make sure it is running.');
+            if (!(error instanceof BackendError) && error.message.includes('fetch')) {
+                throw new Error('Failed to connect to backend server.');
             }
             throw error;
         }
@@ -79,10 +334,10 @@ export class BackendApiService {
         const backendUrl = await this.settingsService.getBackendUrl();
         const url = `${backendUrl}/api/email/match-custom-label`;
 
-        const response = await fetch(url, {
+        const response = await this._fetch(url, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
+            headers: await this._headers(),
+            body: await this._body({
                 emailContent,
                 labelName,
                 labelDescription
@@ -90,8 +345,7 @@ export class BackendApiService {
         });
 
         if (!response.ok) {
-            const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-            throw new Error(errorData.error || `Backend error: ${response.status}`);
+            throw await BackendError.fromResponse(response);
         }
 
         const result = await response.json();
@@ -101,31 +355,91 @@ export class BackendApiService {
         return result;
     }
 
+    /**
+     * Check an email against several user-defined labels in one backend (and model) call
+     * @param {string} emailContent - Full email content
+     * @param {Array<{id: string, name: string, description: string}>} labels - Label definitions (unique ids)
+     * @returns {Promise<Array<{id: string, match: boolean, confidence?: number}>>} One result per label, in the same order
+     */
+    async matchCustomLabels(emailContent, labels) {
+        const backendUrl = await this.settingsService.getBackendUrl();
+        const url = `${backendUrl}/api/email/match-custom-labels`;
+
+        const response = await this._fetch(url, {
+            method: 'POST',
+            headers: await this._headers(),
+            body: await this._body({
+                emailContent,
+                labels: labels.map(({ id, name, description }) => ({ id, name, description }))
+            })
+        });
+
+        if (!response.ok) {
+            throw await BackendError.fromResponse(response);
+        }
+
+        const result = await response.json();
+        if (!Array.isArray(result.results) || result.results.some((r) => typeof r.match !== 'boolean')) {
+            throw new Error('Invalid response format from backend');
+        }
+        return result.results;
+    }
+
+    /**
+     * Extract the date, time, timezone, meeting link and interviewers of an interview invite
+     * @param {string} emailContent - Full email content
+     * @param {string} [referenceDate] - Date the email was sent (YYYY-MM-DD), for relative dates
+     * @returns {Promise<{isInterview: boolean, title: string|null, start: string|null, end: string|null, timezone: string|null, meetingLink: string|null, location: string|null, interviewers: string[]}>}
+     */
+    async extractInterview(emailContent, referenceDate) {
+        const backendUrl = await this.settingsService.getBackendUrl();
+        const url = `${backendUrl}/api/email/extract-interview`;
+
+        try {
+            const response = await this._fetch(url, {
+                method: 'POST',
+                headers: await this._headers(),
+                body: await this._body(referenceDate ? { emailContent, referenceDate } : { emailContent })
+            });
+
+            if (!response.ok) {
+                throw await BackendError.fromResponse(response);
+            }
+
+            return await response.json();
+        } catch (error) {
+            if (!(error instanceof BackendError) && error.message.includes('fetch')) {
+                throw new Error('Failed to connect to backend server.');
+            }
+            throw error;
+        }
+    }
+
     /**
      * Extract action items and deadlines from a job application email
      * @param {string} emailContent - Full email content
+     * @param {string} [referenceDate] - Date the email was sent (YYYY-MM-DD), for relative deadlines
      * @returns {Promise<{actionItems: Array<{text: string, deadline: string|null, urgent: boolean}>}>}
      */
-    async extractActionItems(emailContent) {
+    async extractActionItems(emailContent, referenceDate) {
         const backendUrl = await this.settingsService.getBackendUrl();
         const url = `${backendUrl}/api/email/extract-actions`;
 
         try {
-            const response = await fetch(url, {
+            const response = await this._fetch(url, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ emailContent })
+                headers: await this._headers(),
+                body: await this._body(referenceDate ? { emailContent, referenceDate } : { emailContent })
             });
 
             if (!response.ok) {
-                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-                throw new Error(errorData.error || `Backend error: ${response.status}`);
+                throw await BackendError.fromResponse(response);
             }
 
             const result = await response.json();
             return { actionItems: Array.isArray(result.actionItems) ? result.actionItems : [] };
         } catch (error) {
-            if (error.message.includes('fetch')) {
+            if (!(error instanceof BackendError) && error.message.includes('fetch')) {
                 throw new Error('Failed to connect to backend server.');
             }
             throw error;
@@ -142,15 +456,14 @@ export class BackendApiService {
         const url = `${backendUrl}/api/email/analyze-sentiment`;
 
         try {
-            const response = await fetch(url, {
+            const response = await this._fetch(url, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ emailContent })
+                headers: await this._headers(),
+                body: await this._body({ emailContent })
             });
 
             if (!response.ok) {
-                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-                throw new Error(errorData.error || `Backend error: ${response.status}`);
+                throw await BackendError.fromResponse(response);
             }
 
             const result = await response.json();
@@ -159,11 +472,72 @@ export class BackendApiService {
                 confidence: typeof result.confidence === 'number' ? result.confidence : 0.5
             };
         } catch (error) {
-            if (error.message.includes('fetch')) {
+            if (!(error instanceof BackendError) && error.message.includes('fetch')) {
                 throw new Error('Failed to connect to backend server.');
             }
             throw error;
         }
     }
-}
 
+    /**
+     * Report a job stage the user corrected, so the backend can use it as an example for similar emails
+     * @param {string} emailContent - Full email content (the backend stores a redacted excerpt)
+     * @param {Object} correction
+     * @param {string} correction.stage - jobType the user chose
+     * @param {string|null} [correction.previousStage] - jobType the classifier had given
+     * @param {string} [correction.emailId] - Gmail message ID (a newer correction of the same email replaces the older one)
+     * @returns {Promise<Object>} Stored correction
+     */
+    async sendStageFeedback(emailContent, { stage, previousStage = null, emailId }) {
+        const backendUrl = await this.settingsService.getBackendUrl();
+        const url = `${backendUrl}/api/email/feedback`;
+
+        const response = await this._fetch(url, {
+            method: 'POST',
+            headers: await this._headers(),
+            body: await this._body({ emailContent, stage, previousStage, emailId })
+        });
+
+        if (!response.ok) {
+            throw await BackendError.fromResponse(response);
+        }
+        return response.json();
+    }
+
+    /**
+     * Draft a reply to an email for a chosen intent and tone
+     * @param {string} emailContent - Full email content
+     * @param {Object} options
+     * @param {string} options.intent - One of REPLY_INTENTS values
+     * @param {string} [options.tone] - One of REPLY_TONES values
+     * @param {string} [options.notes] - Facts the reply should use (e.g. available times)
+     * @returns {Promise<{draft: string, intent: string, tone: string}>}
+     */
+    async draftReply(emailContent, { intent, tone, notes = '' }) {
+        const backendUrl = await this.settingsService.getBackendUrl();
+        const url = `${backendUrl}/api/email/draft-reply`;
+
+        try {
+            const response = await this._fetch(url, {
+                method: 'POST',
+                headers: await this._headers(),
+                body: await this._body({ emailContent, intent, tone, notes })
+            });
+
+            if (!response.ok) {
+                throw await BackendError.fromResponse(response);
+            }
+
+            const result = await response.json();
+            if (typeof result.draft !== 'string' || !result.draft.trim()) {
+                throw new Error('Invalid response format from backend');
+            }
+            return result;
+        } catch (error) {
+            if (!(error instanceof BackendError) && error.message.includes('fetch')) {
+                throw new Error('Failed to connect to backend server.');
+            }
+            throw error;
+        }
+    }
+}
@@ -3,14 +3,25 @@
  */
 import { DEFAULT_INBOX, INBOX_CATEGORIES } from '../config/constants.js';
 import { decodeBase64, stripHtml } from '../utils/textUtils.js';
+import { buildEmailContent, cleanText } from '../../../utils/emailContent.js';
 
 export class EmailParserService {
     /**
-     * Recursively extract email body from payload (handles nested multipart structures)
+     * Extract the email body from a payload, cleaned for display and analysis (zero-width characters,
+     * tracking pixels, IDs and extra whitespace removed; see utils/emailContent.js)
      * @param {Object} payload - Gmail API payload object
      * @returns {string} Extracted email body
      */
     extractEmailBody(payload) {
+        return cleanText(this._findBodyText(payload));
+    }
+
+    /**
+     * Recursively find the body text in a payload (handles nested multipart structures)
+     * @param {Object} payload - Gmail API payload object
+     * @returns {string} Decoded body text (HTML stripped)
+     */
+    _findBodyText(payload) {
         // If this is a multipart structure, recurse into parts
         if (payload.parts && payload.parts.length > 0) {
             // Prefer text/plain, fallback to text/html
@@ -20,7 +31,7 @@ export class EmailParserService {
             for (const part of payload.parts) {
                 // Handle nested multipart (multipart/alternative, multipart/related, etc.)
                 if (part.mimeType && part.mimeType.startsWith('multipart/')) {
-                    const nestedBody = this.extractEmailBody(part);
+                    const nestedBody = this._findBodyText(part);
                     if (nestedBody) return nestedBody;
                 }
                 
@@ -146,6 +157,10 @@ export class EmailParserService {
         const subject = getHeader('Subject') || '(No Subject)';
         const from = getHeader('From') || 'Unknown Sender';
         const date = getHeader('Date') || new Date().toISOString();
+        // Needed to thread replies drafted from the modal (In-Reply-To/References, RFC 5322)
+        const messageId = getHeader('Message-ID');
+        const references = getHeader('References');
+        const replyTo = getHeader('Reply-To');
         
         // Extract List-Unsubscribe headers
         const listUnsubscribeHeader = getHeader('List-Unsubscribe');
@@ -180,36 +195,12 @@ export class EmailParserService {
             if (data.payload.mimeType === 'text/html') {
                 body = stripHtml(body);
             }
+            body = cleanText(body);
         }
 
-        // Clean up HTML entities, zero-width characters, and metadata from body text
-        if (body) {
-            // Remove email IDs and hashes (32-40 character hex strings at start of lines)
-            body = body.replace(/^[0-9a-f]{32,40}\s+/gmi, '');
-            
-            // Clean HTML entities and zero-width characters
-            body = body.replace(/&zwnj;/gi, '');  // Zero Width Non-Joiner
-            body = body.replace(/&zwj;/gi, '');   // Zero Width Joiner
-            body = body.replace(/&nbsp;/gi, ' '); // Non-breaking space
-            body = body.replace(/&#8203;/g, '');   // Zero-width space
-            body = body.replace(/\u200B/g, '');   // Zero-width space (Unicode)
-            body = body.replace(/\u200C/g, '');   // Zero-width non-joiner (Unicode)
-            body = body.replace(/\u200D/g, '');   // Zero-width joiner (Unicode)
-            body = body.replace(/\uFEFF/g, '');   // Zero-width no-break space
-            
-            // Remove lines that look like IDs or hashes (standalone)
-            body = body.replace(/^[0-9a-f]{20,}\s*$/gmi, '');
-            
-            // Clean up multiple spaces and newlines (but preserve single spaces between words)
-            body = body.replace(/\n\s*\n/g, '\n'); // Multiple blank lines to single
-            body = body.replace(/[ \t]+/g, ' '); // Multiple spaces/tabs to single space
-            body = body.trim();
-            
-            // Note: URLs are preserved and will be converted to clickable links in the UI
-        }
-
-        // Combine subject and body for AI processing
-        const fullContent = `Subject: ${subject}\n\nFrom: ${from}\n\n${body}`;
+        // Combine subject and body for AI processing. List-Unsubscribe is included when present because
+        // the backend's rule-based classifier (used without an AI provider) relies on it.
+        const fullContent = buildEmailContent({ subject, from, listUnsubscribe: listUnsubscribeHeader, body });
 
         return {
             id: data.id,
@@ -217,6 +208,9 @@ export class EmailParserService {
             subject: subject,
             from: from,
             date: date,
+            messageId: messageId,
+            references: references,
+            replyTo: replyTo,
             body: body,
             fullContent: fullContent,
             snippet: data.snippet || body.substring(0, 100) + '...',
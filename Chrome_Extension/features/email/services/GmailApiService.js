@@ -3,6 +3,7 @@
  */
 import { MAX_EMAILS_TO_FETCH, STORAGE_KEY_JOB_LABEL_ID, JOB_LABEL_NAME, CUSTOM_LABEL_PREFIX } from '../config/constants.js';
 import { EmailParserService } from './EmailParserService.js';
+import { encodeBase64 } from '../utils/textUtils.js';
 
 export class GmailApiService {
     constructor() {
@@ -162,6 +163,118 @@ export class GmailApiService {
         return this.fetchEmailDetails(messageId, token);
     }
 
+    /**
+     * Fetch every message of a Gmail thread (oldest first). Messages the user sent are marked fromMe.
+     * @param {string} threadId - Gmail thread ID
+     * @returns {Promise<Object[]>} Parsed email objects with fromMe
+     */
+    async fetchThread(threadId) {
+        const token = await getAuthToken();
+        if (!token) {
+            throw new Error('Not authenticated');
+        }
+        const response = await fetch(
+            `https://gmail.googleapis.com/gmail/v1/users/me/threads/${threadId}?format=full`,
+            {
+                headers: { 'Authorization': `Bearer ${token}` }
+            }
+        );
+        if (!response.ok) {
+            if (response.status === 401) {
+                await refreshToken();
+                return this.fetchThread(threadId);
+            }
+            throw new Error(`Failed to fetch thread: ${response.status}`);
+        }
+        const data = await response.json();
+        return (data.messages || [])
+            .slice()
+            .sort((a, b) => Number(a.internalDate || 0) - Number(b.internalDate || 0))
+            .map((message) => ({
+                ...this.parser.parseEmailData(message),
+                fromMe: (message.labelIds || []).includes('SENT')
+            }));
+    }
+
+    /**
+     * Save a reply as a Gmail draft in the original thread. In-Reply-To/References point at the
+     * original message so Gmail (and the recipient's client) thread the reply correctly.
+     * @param {Object} reply
+     * @param {string} reply.threadId - Gmail thread ID of the original email
+     * @param {string} reply.to - Recipient (Reply-To or From of the original)
+     * @param {string} reply.subject - Subject of the original email ("Re: " is added when missing)
+     * @param {string} reply.body - Plain-text reply body
+     * @param {string} [reply.inReplyTo] - Message-ID header of the original email
+     * @param {string} [reply.references] - References header of the original email
+     * @returns {Promise<{id: string, messageId: string}>} Draft ID and Gmail message ID of the draft
+     */
+    async createDraft({ threadId, to, subject, body, inReplyTo, references }) {
+        const token = await getAuthToken();
+        if (!token) {
+            throw new Error('Not authenticated');
+        }
+        const replySubject = /^re:/i.test((subject || '').trim()) ? subject.trim() : `Re: ${(subject || '').trim()}`;
+        const headers = [
+            `To: ${this._encodeAddressList(to)}`,
+            `Subject: ${this._encodeHeader(replySubject)}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset="UTF-8"',
+            'Content-Transfer-Encoding: base64'
+        ];
+        if (inReplyTo) {
+            headers.push(`In-Reply-To: ${inReplyTo}`);
+            headers.push(`References: ${`${references || ''} ${inReplyTo}`.trim()}`);
+        }
+        // Base64 lines are wrapped at 76 characters (RFC 2045)
+        const encodedBody = encodeBase64(body.replace(/\r?\n/g, '\r\n')).replace(/.{76}/g, '$&\r\n');
+        const raw = encodeBase64(`${headers.join('\r\n')}\r\n\r\n${encodedBody}`, true);
+
+        const response = await fetch('https://gmail.googleapis.com/gmail/v1/users/me/drafts', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ message: { raw, threadId } })
+        });
+        if (!response.ok) {
+            if (response.status === 401) {
+                await refreshToken();
+                return this.createDraft({ threadId, to, subject, body, inReplyTo, references });
+            }
+            const errBody = await response.text().catch(() => '');
+            throw new Error(`Gmail draft create failed: ${response.status} ${errBody.slice(0, 100)}`);
+        }
+        const data = await response.json();
+        return { id: data.id, messageId: data.message ? data.message.id : null };
+    }
+
+    /**
+     * Encode a header value as an RFC 2047 encoded-word when it is not plain ASCII
+     * @param {string} value
+     * @returns {string}
+     */
+    _encodeHeader(value) {
+        return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${encodeBase64(value)}?=`;
+    }
+
+    /**
+     * Encode the display names of an address header ("José <jose@example.com>, b@example.com") with
+     * _encodeHeader; the addresses themselves stay as they are
+     * @param {string} value
+     * @returns {string}
+     */
+    _encodeAddressList(value) {
+        // Commas inside a quoted display name ("Doe, Jane") do not separate addresses
+        return (value || '').split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/).map((address) => {
+            const match = /^\s*(.*?)\s*<([^>]*)>\s*$/.exec(address);
+            if (!match || !match[1] || /^[\x20-\x7e]*$/.test(match[1])) return address.trim();
+            // An encoded-word may not appear inside quotes (RFC 2047 section 5), so unquote the name first
+            const name = match[1].replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1');
+            return `${this._encodeHeader(name)} <${match[2]}>`;
+        }).join(', ');
+    }
+
     async getOrCreateJobLabel() {
         const token = await getAuthToken();
         if (!token) {
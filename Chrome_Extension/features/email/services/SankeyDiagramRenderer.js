@@ -1,13 +1,18 @@
 /**
  * D3-based Sankey diagram renderer for the Pipeline (Diagram) view.
- * Parses SankeyMATIC-style text (Source [amount] Target) and renders the diagram.
+ * Parses SankeyMATIC-style text (Source [amount] Target) and renders the diagram, with as many
+ * columns as the flows have hops (Applications Sent -> OA / Screening -> Interview -> Offer).
  * Requires global d3 (d3.min.js and d3-sankey.min.js loaded before use).
  * 
- * Enhanced with: flowing animations, color gradients, hover effects, entry animations.
+ * Enhanced with: flowing animations, color gradients, hover effects, entry animations,
+ * count/percentage tooltips and click-to-select of nodes and links.
  */
 
 const FLOW_LINE_REGEX = /^(.+?)\s*\[\s*([\d.]+)\s*\]\s*(.+)$/;
 
+/** Approximate width (px) of one character of an 11px node label, for sizing the side margins */
+const LABEL_CHAR_WIDTH = 6.5;
+
 // Stage-based color scheme for visual impact
 const STAGE_COLORS = {
     'Applications Sent': { fill: '#6366f1', gradient: ['#6366f1', '#818cf8'] },
@@ -58,11 +63,37 @@ export function parseSankeyText(text) {
     return { nodes, links };
 }
 
+/**
+ * Tooltip text of a node: its count and share of everything entering the diagram.
+ * @param {Object} node - Laid-out d3-sankey node
+ * @param {number} total - Sum of the first-column node values
+ * @param {string} unit - What the values count ("applications")
+ */
+function nodeTooltip(node, total, unit) {
+    const share = total > 0 ? Math.round((node.value / total) * 100) : 0;
+    return `${node.name}: ${Math.round(node.value)} ${unit} (${share}% of all)`;
+}
+
+/**
+ * Tooltip text of a link: its count and share of its source node.
+ * @param {Object} link - Laid-out d3-sankey link
+ * @param {string} unit
+ */
+function linkTooltip(link, unit) {
+    const share = link.source.value > 0 ? Math.round((link.value / link.source.value) * 100) : 0;
+    return `${link.source.name} → ${link.target.name}: ${Math.round(link.value)} ${unit} (${share}% of ${link.source.name})`;
+}
+
 /**
  * Render a Sankey diagram into the given container using D3.
  * Enhanced with animations and visual effects.
+ * @param {HTMLElement} container - Positioned element (the tooltip is placed inside it)
+ * @param {{nodes: Array<{name: string}>, links: Array<{source: string, target: string, value: number}>}} data - From parseSankeyText
+ * @param {Object} [options]
+ * @param {Function} [options.onSelect] - Called with {type: 'node', name} or {type: 'link', source, target} on click
+ * @param {string} [options.unit] - What the values count, shown in tooltips (default "items")
  */
-export function renderSankey(container, data) {
+export function renderSankey(container, data, { onSelect = null, unit = 'items' } = {}) {
     if (!container || !data || !data.nodes.length || !data.links.length) return;
 
     const d3 = window.d3;
@@ -78,9 +109,14 @@ export function renderSankey(container, data) {
         const width = Math.max(rect.width || 460, 400);
         const height = Math.max(rect.height || 380, 320);
 
-        // Reserve enough space so node labels (left/right of nodes) stay inside the frame
-        const marginLeft = Math.max(140, width * 0.26);
-        const marginRight = Math.max(140, width * 0.26);
+        // Labels sit left of the first column, right of the last column and above the nodes in between
+        // (multi-hop pipelines), so the margins only need to fit the first and last columns' labels
+        const targets = new Set(data.links.map((l) => l.target));
+        const sources = new Set(data.links.map((l) => l.source));
+        const hasMiddleColumns = data.nodes.some((n) => targets.has(n.name) && sources.has(n.name));
+        const labelSpace = (names) => Math.min(width * 0.3, Math.max(48, ...names.map((name) => name.length * LABEL_CHAR_WIDTH + 16)));
+        const marginLeft = labelSpace(data.nodes.filter((n) => !targets.has(n.name)).map((n) => n.name));
+        const marginRight = labelSpace(data.nodes.filter((n) => !sources.has(n.name)).map((n) => n.name));
         const marginTop = Math.max(28, height * 0.06);
         const marginBottom = Math.max(28, height * 0.06);
 
@@ -152,16 +188,29 @@ export function renderSankey(container, data) {
             .sankey()
             .nodeId((d) => d.name)
             .nodeWidth(20)
-            .nodePadding(12)
+            // Room for the labels above middle-column nodes
+            .nodePadding(hasMiddleColumns ? 22 : 12)
             .extent([
                 [marginLeft, marginTop],
                 [width - marginRight, height - marginBottom],
             ]);
 
-        const { nodes, links } = sankeyGenerator({
-            nodes: data.nodes.map((d) => ({ ...d })),
-            links: data.links.map((d, i) => ({ ...d, gradientId: data.links[i].gradientId })),
-        });
+        let nodes;
+        let links;
+        try {
+            ({ nodes, links } = sankeyGenerator({
+                nodes: data.nodes.map((d) => ({ ...d })),
+                links: data.links.map((d, i) => ({ ...d, gradientId: data.links[i].gradientId })),
+            }));
+        } catch (error) {
+            // Hand-edited text can contain a cycle (A -> B -> A), which a Sankey cannot lay out
+            container.innerHTML = '';
+            const errEl = document.createElement('p');
+            errEl.className = 'sankeyDiagramError';
+            errEl.textContent = `Could not draw the diagram: ${error.message}`;
+            container.appendChild(errEl);
+            return;
+        }
 
         // Update gradient coordinates
         links.forEach((link, i) => {
@@ -177,6 +226,27 @@ export function renderSankey(container, data) {
 
         const linkGenerator = d3.sankeyLinkHorizontal();
 
+        // One tooltip for the whole diagram, positioned at the pointer
+        const tooltip = document.createElement('div');
+        tooltip.className = 'sankeyTooltip';
+        tooltip.setAttribute('role', 'tooltip');
+        tooltip.hidden = true;
+        container.appendChild(tooltip);
+        const total = nodes.filter((n) => n.targetLinks.length === 0).reduce((sum, n) => sum + n.value, 0);
+        const showTooltip = (event, text) => {
+            const bounds = container.getBoundingClientRect();
+            tooltip.textContent = text;
+            tooltip.hidden = false;
+            // Keep it inside the container: flip to the left of the pointer near the right edge
+            const x = event.clientX - bounds.left;
+            const y = event.clientY - bounds.top;
+            tooltip.style.left = `${x + 12 + tooltip.offsetWidth > bounds.width ? Math.max(0, x - 12 - tooltip.offsetWidth) : x + 12}px`;
+            tooltip.style.top = `${Math.max(0, y - tooltip.offsetHeight - 8)}px`;
+        };
+        const hideTooltip = () => {
+            tooltip.hidden = true;
+        };
+
         const diagram = svg.append('g').attr('clip-path', `url(#${clipId})`);
 
         // Draw links with gradients
@@ -193,7 +263,14 @@ export function renderSankey(container, data) {
             .attr('stroke-opacity', 0.5)
             .attr('stroke-width', (d) => Math.max(2, d.width))
             .style('stroke-dasharray', '0')
-            .style('opacity', 0);
+            .style('cursor', onSelect ? 'pointer' : null)
+            .style('opacity', 0)
+            .on('mousemove', (event, d) => showTooltip(event, linkTooltip(d, unit)))
+            .on('mouseleave', hideTooltip)
+            .on('click', (event, d) => {
+                hideTooltip();
+                if (onSelect) onSelect({ type: 'link', source: d.source.name, target: d.target.name });
+            });
 
         // Animate links appearing
         linkPaths.transition()
@@ -218,6 +295,7 @@ export function renderSankey(container, data) {
             .attr('font-size', 11)
             .attr('font-family', 'system-ui, sans-serif')
             .attr('font-weight', '600')
+            .attr('style', 'pointer-events: none;')
             .style('opacity', 0)
             .text((d) => String(Math.round(d.value)))
             .transition()
@@ -233,7 +311,14 @@ export function renderSankey(container, data) {
             .data(nodes)
             .join('g')
             .attr('class', 'sankey-node')
-            .attr('transform', (d) => `translate(${d.x0},${d.y0})`);
+            .attr('transform', (d) => `translate(${d.x0},${d.y0})`)
+            .style('cursor', onSelect ? 'pointer' : null)
+            .on('mousemove', (event, d) => showTooltip(event, nodeTooltip(d, total, unit)))
+            .on('mouseleave', hideTooltip)
+            .on('click', (event, d) => {
+                hideTooltip();
+                if (onSelect) onSelect({ type: 'node', name: d.name });
+            });
 
         // Node rectangles with stage colors
         node
@@ -251,16 +336,25 @@ export function renderSankey(container, data) {
             .delay((d, i) => 200 + i * 80)
             .style('opacity', 1);
 
-        // Node labels
+        // Node labels: left of the first column, right of the last, above nodes in between
         const nodeWidth = (d) => d.x1 - d.x0;
-        const isLeftColumn = (d) => d.depth === 0;
+        const isLeftColumn = (d) => d.targetLinks.length === 0;
+        const isRightColumn = (d) => d.sourceLinks.length === 0;
         const labelGap = 8;
+        const labelX = (d) => {
+            if (isLeftColumn(d)) return -labelGap;
+            if (isRightColumn(d)) return nodeWidth(d) + labelGap;
+            return nodeWidth(d) / 2;
+        };
         node
             .append('text')
-            .attr('x', (d) => (isLeftColumn(d) ? -labelGap : nodeWidth(d) + labelGap))
-            .attr('y', (d) => (d.y1 - d.y0) / 2)
-            .attr('dy', '0.35em')
-            .attr('text-anchor', (d) => (isLeftColumn(d) ? 'end' : 'start'))
+            .attr('x', labelX)
+            .attr('y', (d) => (isLeftColumn(d) || isRightColumn(d) ? (d.y1 - d.y0) / 2 : -6))
+            .attr('dy', (d) => (isLeftColumn(d) || isRightColumn(d) ? '0.35em' : '0'))
+            .attr('text-anchor', (d) => {
+                if (isLeftColumn(d)) return 'end';
+                return isRightColumn(d) ? 'start' : 'middle';
+            })
             .attr('fill', 'var(--decluttr-text, #333)')
             .attr('font-size', 11)
             .attr('font-family', 'system-ui, sans-serif')
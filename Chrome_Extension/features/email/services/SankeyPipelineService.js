@@ -1,6 +1,7 @@
 /**
- * Sankey Pipeline Service - Builds SankeyMATIC-format text from job application emails.
- * Outputs a general stage-to-stage diagram (FromStage [count] ToStage), no company names.
+ * Sankey Pipeline Service - Builds SankeyMATIC-format text from job application records.
+ * Outputs a multi-hop stage-to-stage diagram (FromStage [count] ToStage) built from each application's
+ * stage history, no company names.
  */
 import { JOB_TYPE_LABELS } from '../config/constants.js';
 
@@ -14,61 +15,97 @@ function sanitizeNodeName(name) {
     return name.replace(/[[\]]/g, '').trim();
 }
 
-/** Unify "Application submitted" / "Job application" with "Applications Sent" so diagram counts are correct. */
-function normalizeStageLabel(label) {
-    if (!label || typeof label !== 'string') return label;
-    const t = label.trim();
-    if (/^application\s*submitted$/i.test(t) || /^job\s*application$/i.test(t)) return 'Applications Sent';
-    return t;
-}
-
 /**
- * Build SankeyMATIC-format text from job emails.
- * Outputs: Applications Sent [total] -> each stage, so the diagram shows total applications branching out to OA, Interview, Rejected, etc.
- * Each job email is counted once in its current stage (transitionTo or jobType).
- * @param {Array<Object>} jobEmails - List of job application emails
- * @param {Object} emailRepository - EmailRepository (getCachedResult)
- * @param {Object} emailParserService - EmailParserService (unused; kept for API compatibility)
- * @returns {string} SankeyMATIC source text
+ * Column of each stage in the pipeline. A path only moves to a higher column, so the diagram never has
+ * cycles (d3-sankey cannot lay them out) and every flow reads left to right.
  */
-export function buildSankeyMaticText(jobEmails, emailRepository, emailParserService) {
-    if (!jobEmails || jobEmails.length === 0) {
-        return '// No job application emails found';
-    }
-
-    const SOURCE_LABEL = 'Applications Sent';
-    const NO_RESPONSE_LABEL = 'No Response';
-    const stageCounts = new Map();
+const STAGE_RANK = {
+    'Applications Sent': 0,
+    'OA / Screening': 1,
+    'Interview': 2,
+    'Offer': 3,
+    'Accepted': 4,
+    'Declined': 4,
+    'Rejected': 5,
+    'No Response': 5
+};
 
-    for (const email of jobEmails) {
-        const cached = emailRepository.getCachedResult(email.id);
-        let toStage = cached?.transitionTo;
+/** Stages that end an application; a later step past them (re-engaged after a rejection) replaces them */
+const OUTCOME_STAGES = new Set(['Rejected', 'No Response']);
 
-        if (toStage == null && cached?.jobType != null) {
-            toStage = JOB_TYPE_LABELS[cached.jobType] || cached.jobType;
-        }
+function stageLabel(slug) {
+    return sanitizeNodeName(JOB_TYPE_LABELS[slug] || String(slug || ''));
+}
 
-        let toLabel;
-        if (toStage) {
-            toLabel = normalizeStageLabel(sanitizeNodeName(String(toStage)));
-            if (!toLabel) toLabel = NO_RESPONSE_LABEL;
-            // Emails still in "Applications Sent" (no response yet) show as No Response
-            if (toLabel === SOURCE_LABEL) toLabel = NO_RESPONSE_LABEL;
-        } else {
-            // No cached stage (e.g. Job by label/inboxCategory but not yet processed, or AI returned Job without stage)
-            toLabel = NO_RESPONSE_LABEL;
+/**
+ * Ordered stages one application went through, from Applications Sent to its current stage.
+ * Uses each timeline entry's stage and the stage its email says it moved from. Steps back (a second
+ * assessment after an interview) are skipped; an application still at Applications Sent ends in No Response.
+ * @param {Object} application - Application record (timeline of {stage, from})
+ * @returns {string[]} Stage labels
+ */
+export function applicationStagePath(application) {
+    const path = ['Applications Sent'];
+    const visit = (label) => {
+        if (!(label in STAGE_RANK)) return;
+        // A rejection followed by progress (e.g. re-applied, invited after all) is no longer the outcome
+        while (path.length > 1 && OUTCOME_STAGES.has(path[path.length - 1]) && !OUTCOME_STAGES.has(label)
+            && STAGE_RANK[label] > STAGE_RANK[path[path.length - 2]]) {
+            path.pop();
         }
+        if (STAGE_RANK[label] > STAGE_RANK[path[path.length - 1]]) path.push(label);
+    };
+    for (const entry of application.timeline || []) {
+        if (entry.from) visit(stageLabel(entry.from));
+        visit(stageLabel(entry.stage));
+    }
+    if (path.length === 1) path.push('No Response');
+    return path;
+}
 
-        stageCounts.set(toLabel, (stageCounts.get(toLabel) || 0) + 1);
+/**
+ * Build SankeyMATIC-format text from application records.
+ * Each application contributes one flow along its stage history (see applicationStagePath), e.g.
+ * Applications Sent -> OA / Screening -> Interview -> Offer, so the diagram shows how far applications got.
+ * @param {Array<Object>} applications - Application records (ApplicationRepository.getApplications)
+ * @returns {string} SankeyMATIC source text
+ */
+export function buildSankeyMaticText(applications) {
+    if (!applications || applications.length === 0) {
+        return '// No job application emails found';
     }
 
-    if (stageCounts.size === 0) {
-        return '// No job emails to display';
+    const edgeCounts = new Map(); // "from\0to" -> count
+    for (const application of applications) {
+        const path = applicationStagePath(application);
+        for (let i = 1; i < path.length; i++) {
+            const key = `${path[i - 1]}\0${path[i]}`;
+            edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+        }
     }
 
-    const entries = Array.from(stageCounts.entries())
-        .map(([stage, count]) => ({ from: SOURCE_LABEL, to: stage, count }))
-        .sort((a, b) => a.to.localeCompare(b.to));
+    const entries = Array.from(edgeCounts.entries())
+        .map(([key, count]) => {
+            const [from, to] = key.split('\0');
+            return { from, to, count };
+        })
+        // Left to right by column, so the text reads like the diagram
+        .sort((a, b) => STAGE_RANK[a.from] - STAGE_RANK[b.from] || STAGE_RANK[a.to] - STAGE_RANK[b.to] || a.to.localeCompare(b.to));
 
     return entries.map(({ from, to, count }) => `${from} [${count}] ${to}`).join('\n');
 }
+
+/**
+ * Applications behind a node or link of the pipeline diagram (same paths as buildSankeyMaticText).
+ * @param {Array<Object>} applications - Application records (ApplicationRepository.getApplications)
+ * @param {{type: 'node', name: string}|{type: 'link', source: string, target: string}} selection
+ * @returns {Array<Object>} Applications whose stage path passes through the node, or takes the link
+ */
+export function applicationsInFlow(applications, selection) {
+    return (applications || []).filter((application) => {
+        const path = applicationStagePath(application);
+        if (selection.type === 'node') return path.includes(selection.name);
+        const i = path.indexOf(selection.source);
+        return i !== -1 && path[i + 1] === selection.target;
+    });
+}
@@ -6,10 +6,16 @@ import {
     STORAGE_KEY_BACKEND_URL,
     STORAGE_KEY_THEME,
     STORAGE_KEY_AUTO_CATEGORIZE,
+    STORAGE_KEY_PII_REDACTION,
     STORAGE_KEY_CUSTOM_LABELS,
+    STORAGE_KEY_API_TOKEN,
+    STORAGE_KEY_INSTALL_ID,
+    BACKEND_TOKEN_SCOPES,
     DEFAULT_THEME,
-    DEFAULT_AUTO_CATEGORIZE
+    DEFAULT_AUTO_CATEGORIZE,
+    PII_REDACTION_LEVELS
 } from '../config/constants.js';
+import { BackendError } from '../utils/backendErrors.js';
 
 export class SettingsService {
     constructor(domRefs) {
@@ -17,11 +23,12 @@ export class SettingsService {
     }
 
     async loadSettings() {
-        return new Promise((resolve) => {
+        await new Promise((resolve) => {
             chrome.storage.local.get([
                 STORAGE_KEY_BACKEND_URL,
                 STORAGE_KEY_THEME,
-                STORAGE_KEY_AUTO_CATEGORIZE
+                STORAGE_KEY_AUTO_CATEGORIZE,
+                STORAGE_KEY_PII_REDACTION
             ], (result) => {
                 if (this.domRefs.backendUrlInput) {
                     this.domRefs.backendUrlInput.value = result[STORAGE_KEY_BACKEND_URL] || DEFAULT_BACKEND_URL;
@@ -32,6 +39,9 @@ export class SettingsService {
                 if (this.domRefs.autoCategorizeCheckbox) {
                     this.domRefs.autoCategorizeCheckbox.checked = result[STORAGE_KEY_AUTO_CATEGORIZE] !== false;
                 }
+                if (this.domRefs.piiRedactionSelect) {
+                    this.domRefs.piiRedactionSelect.value = result[STORAGE_KEY_PII_REDACTION] || '';
+                }
                 if (this.domRefs.redirectUriDisplay) {
                     try {
                         const redirectUri = chrome.identity.getRedirectURL();
@@ -44,6 +54,7 @@ export class SettingsService {
                 resolve();
             });
         });
+        await this.updatePairingStatus();
     }
 
     /**
@@ -78,6 +89,103 @@ export class SettingsService {
         });
     }
 
+    /**
+     * Get this install's ID (generated once), sent to the backend when pairing
+     * @returns {Promise<string>}
+     */
+    async getInstallId() {
+        const result = await chrome.storage.local.get([STORAGE_KEY_INSTALL_ID]);
+        if (result[STORAGE_KEY_INSTALL_ID]) return result[STORAGE_KEY_INSTALL_ID];
+        const installId = crypto.randomUUID();
+        await chrome.storage.local.set({ [STORAGE_KEY_INSTALL_ID]: installId });
+        return installId;
+    }
+
+    /**
+     * Get the backend API token from storage
+     * @returns {Promise<string|null>} Token, or null if not paired
+     */
+    async getApiToken() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get([STORAGE_KEY_API_TOKEN], (result) => {
+                resolve(result[STORAGE_KEY_API_TOKEN] || null);
+            });
+        });
+    }
+
+    /**
+     * Headers that authenticate backend requests
+     * @returns {Promise<Object>} { Authorization } when paired, otherwise empty
+     */
+    async getAuthHeaders() {
+        const token = await this.getApiToken();
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    /**
+     * Pair with the backend using a one-time code (printed on server startup or issued
+     * by its admin API) and store the returned token.
+     * @param {string} code - Pairing code, e.g. "1A2B-3C4D"
+     */
+    async pairWithBackend(code) {
+        const trimmed = (code || '').trim();
+        if (!trimmed) {
+            throw new Error('Enter the pairing code shown by the backend');
+        }
+
+        const backendUrl = await this.getBackendUrl();
+        let response;
+        try {
+            response = await fetch(`${backendUrl}/api/auth/pair`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    code: trimmed,
+                    installId: await this.getInstallId(),
+                    label: 'Decluttr extension',
+                    scopes: BACKEND_TOKEN_SCOPES
+                })
+            });
+        } catch (error) {
+            throw new Error('Failed to connect to backend server. Make sure it is running.');
+        }
+
+        if (!response.ok) {
+            throw await BackendError.fromResponse(response);
+        }
+
+        const { token } = await response.json();
+        await chrome.storage.local.set({ [STORAGE_KEY_API_TOKEN]: token });
+        await this.updatePairingStatus();
+    }
+
+    /**
+     * Revoke this install's token on the backend (best effort) and forget it locally
+     */
+    async unpairBackend() {
+        const authHeaders = await this.getAuthHeaders();
+        if (authHeaders.Authorization) {
+            const backendUrl = await this.getBackendUrl();
+            await fetch(`${backendUrl}/api/auth/token`, { method: 'DELETE', headers: authHeaders }).catch(() => {});
+        }
+        await chrome.storage.local.remove(STORAGE_KEY_API_TOKEN);
+        await this.updatePairingStatus();
+    }
+
+    /**
+     * Show whether this install is paired in the Developer settings
+     */
+    async updatePairingStatus() {
+        if (!this.domRefs.backendPairingStatus) return;
+        const token = await this.getApiToken();
+        this.domRefs.backendPairingStatus.textContent = token
+            ? 'Paired with the backend.'
+            : 'Not paired. Enter the pairing code printed when the backend starts.';
+        if (this.domRefs.unpairBackendBtn) {
+            this.domRefs.unpairBackendBtn.hidden = !token;
+        }
+    }
+
     getRedirectUri() {
         try {
             const redirectUri = chrome.identity.getRedirectURL();
@@ -113,6 +221,22 @@ export class SettingsService {
         await chrome.storage.local.set({ [STORAGE_KEY_AUTO_CATEGORIZE]: !!enabled });
     }
 
+    /**
+     * PII redaction level to request from the backend
+     * @returns {Promise<string>} 'off', 'standard', 'strict', or '' to use the backend's default
+     */
+    async getPiiRedaction() {
+        const result = await chrome.storage.local.get([STORAGE_KEY_PII_REDACTION]);
+        const level = result[STORAGE_KEY_PII_REDACTION] || '';
+        return PII_REDACTION_LEVELS.includes(level) ? level : '';
+    }
+
+    async setPiiRedaction(level) {
+        const value = PII_REDACTION_LEVELS.includes(level) ? level : '';
+        await chrome.storage.local.set({ [STORAGE_KEY_PII_REDACTION]: value });
+        return value;
+    }
+
     /**
      * Get custom auto-labels from storage.
      * Each item: { id: string, name: string, description: string, gmailLabelId: string }
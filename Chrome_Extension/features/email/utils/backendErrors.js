@@ -0,0 +1,50 @@
+/**
+ * Backend error parsing. Error responses from the backend use one envelope
+ * ({ error: { code, message, details? } }, see backend/openapi.js), also sent as the `error` event
+ * of streamed responses.
+ */
+
+export class BackendError extends Error {
+    /**
+     * @param {string} message - Human-readable message from the backend
+     * @param {Object} [options]
+     * @param {number|null} [options.status] - HTTP status
+     * @param {string} [options.code] - Envelope code (validation_failed, rate_limited, provider_not_configured, ...)
+     * @param {any} [options.details] - Code-specific details (e.g. validation problems, retryAfter)
+     */
+    constructor(message, { status = null, code = 'unknown', details = null } = {}) {
+        super(message);
+        this.name = 'BackendError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    /**
+     * Build from a parsed error body. Bodies from older backends ({ error: "message" }) are accepted too.
+     * @param {Object|null} body - Parsed JSON body
+     * @param {number|null} [status] - HTTP status
+     * @returns {BackendError}
+     */
+    static fromBody(body, status = null) {
+        const error = body && body.error;
+        if (error && typeof error === 'object') {
+            return new BackendError(error.message || `Backend error: ${status}`, {
+                status,
+                code: error.code,
+                details: error.details ?? null
+            });
+        }
+        return new BackendError(typeof error === 'string' ? error : `Backend error: ${status}`, { status });
+    }
+
+    /**
+     * Build from a failed fetch response.
+     * @param {Response} response
+     * @returns {Promise<BackendError>}
+     */
+    static async fromResponse(response) {
+        const body = await response.json().catch(() => null);
+        return BackendError.fromBody(body, response.status);
+    }
+}
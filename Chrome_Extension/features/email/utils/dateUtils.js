@@ -27,3 +27,32 @@ export function formatDate(dateString) {
     }
 }
 
+
+/**
+ * Format an ISO deadline (YYYY-MM-DD or full ISO timestamp) for display
+ * @param {string} isoString - ISO date or datetime
+ * @returns {string} Formatted deadline, or '' if missing/invalid
+ */
+export function formatDeadline(isoString) {
+    if (!isoString || typeof isoString !== 'string') return '';
+    const dateOnly = isoString.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (dateOnly) {
+        const date = new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+        return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+    const date = new Date(isoString);
+    if (Number.isNaN(date.getTime())) return '';
+    return date.toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of a date string, e.g. an email's Date header
+ * @param {string} dateString - Date string
+ * @returns {string|undefined} undefined if missing/invalid
+ */
+export function toLocalIsoDate(dateString) {
+    const date = new Date(dateString);
+    if (!dateString || Number.isNaN(date.getTime())) return undefined;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
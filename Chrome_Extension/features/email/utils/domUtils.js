@@ -13,10 +13,15 @@ export class DOMReferences {
         this.settingsCloseBtn = document.getElementById('settingsCloseBtn');
         this.themeSelect = document.getElementById('themeSelect');
         this.autoCategorizeCheckbox = document.getElementById('autoCategorizeCheckbox');
+        this.piiRedactionSelect = document.getElementById('piiRedactionSelect');
         this.developerOptionsToggle = document.getElementById('developerOptionsToggle');
         this.developerOptionsContent = document.getElementById('developerOptionsContent');
         this.backendUrlInput = document.getElementById('backendUrlInput');
         this.saveBackendUrlBtn = document.getElementById('saveBackendUrlBtn');
+        this.backendPairingStatus = document.getElementById('backendPairingStatus');
+        this.pairingCodeInput = document.getElementById('pairingCodeInput');
+        this.pairBackendBtn = document.getElementById('pairBackendBtn');
+        this.unpairBackendBtn = document.getElementById('unpairBackendBtn');
         this.redirectUriDisplay = document.getElementById('redirectUriDisplay');
         this.copyRedirectUriBtn = document.getElementById('copyRedirectUriBtn');
         this.logoutBtn = document.getElementById('logoutBtn');
@@ -36,7 +41,9 @@ export class DOMReferences {
         this.modalSender = document.getElementById('modalSender');
         this.modalDate = document.getElementById('modalDate');
         this.modalBodyContent = document.getElementById('modalBodyContent');
+        this.modalThread = document.getElementById('modalThread');
         this.modalAiResults = document.getElementById('modalAiResults');
+        this.modalReply = document.getElementById('modalReply');
         this.inboxTabs = document.getElementById('inboxTabs');
         this.loadMoreBtn = document.getElementById('loadMoreBtn');
         this.managePromotionsBtn = document.getElementById('managePromotionsBtn');
@@ -55,6 +62,10 @@ export class DOMReferences {
         this.sankeyOpenBtn = document.getElementById('sankeyOpenBtn');
         this.sankeyExportBtn = document.getElementById('sankeyExportBtn');
         this.sankeyRefreshBtn = document.getElementById('sankeyRefreshBtn');
+        this.flowBreadcrumb = document.getElementById('flowBreadcrumb');
+        this.flowBreadcrumbPipelineBtn = document.getElementById('flowBreadcrumbPipelineBtn');
+        this.flowBreadcrumbLabel = document.getElementById('flowBreadcrumbLabel');
+        this.flowBreadcrumbClearBtn = document.getElementById('flowBreadcrumbClearBtn');
         this.customLabelsList = document.getElementById('customLabelsList');
         this.customLabelNameInput = document.getElementById('customLabelNameInput');
         this.customLabelDescriptionInput = document.getElementById('customLabelDescriptionInput');
@@ -77,6 +88,8 @@ export class DOMReferences {
         this.statJobApps = document.getElementById('statJobApps');
         this.statJobMiniChart = document.getElementById('statJobMiniChart');
         this.statResponseRate = document.getElementById('statResponseRate');
+        this.statUpcomingInterviews = document.getElementById('statUpcomingInterviews');
+        this.statNextInterview = document.getElementById('statNextInterview');
     }
 }
 
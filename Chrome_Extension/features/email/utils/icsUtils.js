@@ -0,0 +1,227 @@
+/**
+ * iCalendar (RFC 5545) utilities for interview invites: a VEVENT with its VTIMEZONE and a VALARM.
+ * Timezone rules come from the browser's Intl data, so no timezone database is bundled.
+ */
+
+const PRODUCT_ID = '-//Decluttr//Email Assistant//EN';
+/** Event length when the invite gives no end time */
+const DEFAULT_DURATION_MINUTES = 60;
+/** Reminder before the interview */
+const ALARM_MINUTES_BEFORE = 30;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const formatterCache = new Map();
+
+function partsFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatterCache.get(timeZone);
+}
+
+/**
+ * UTC offset of a timezone at an instant.
+ * @param {string} timeZone - IANA name
+ * @param {number} utcMs - Instant (ms since epoch)
+ * @returns {number} Offset in minutes (e.g. -240 for EDT)
+ */
+function offsetMinutes(timeZone, utcMs) {
+    const parts = Object.fromEntries(partsFormatter(timeZone).formatToParts(new Date(utcMs)).map((p) => [p.type, p.value]));
+    const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+    return Math.round((asUtc - Math.floor(utcMs / 1000) * 1000) / MINUTE_MS);
+}
+
+/**
+ * Wall-clock "YYYY-MM-DDTHH:mm" as milliseconds, treating it as if it were UTC.
+ * @param {string} localDateTime
+ * @returns {number} NaN when malformed
+ */
+function wallClockMs(localDateTime) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(localDateTime || '');
+    if (!match) return NaN;
+    return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4]), Number(match[5]));
+}
+
+/**
+ * The user's own timezone, used for invites that state none.
+ * @returns {string} IANA name
+ */
+export function localTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Instant of a wall-clock time in a timezone.
+ * @param {string} localDateTime - "YYYY-MM-DDTHH:mm"
+ * @param {string|null} timeZone - IANA name; null = the user's timezone
+ * @returns {number} Milliseconds since epoch, NaN when the time is malformed
+ */
+export function zonedTimeToUtc(localDateTime, timeZone) {
+    const wall = wallClockMs(localDateTime);
+    if (Number.isNaN(wall)) return NaN;
+    const zone = timeZone || localTimeZone();
+    // Second pass corrects the guess when it lands on the other side of a DST change
+    const firstGuess = wall - offsetMinutes(zone, wall) * MINUTE_MS;
+    return wall - offsetMinutes(zone, firstGuess) * MINUTE_MS;
+}
+
+/**
+ * Offset changes of a timezone between two instants, to the minute.
+ * @returns {Array<{at: number, from: number, to: number}>}
+ */
+function offsetTransitions(timeZone, startMs, endMs) {
+    const transitions = [];
+    let previous = offsetMinutes(timeZone, startMs);
+    for (let day = startMs + DAY_MS; day <= endMs; day += DAY_MS) {
+        const current = offsetMinutes(timeZone, day);
+        if (current === previous) continue;
+        let low = day - DAY_MS;
+        let high = day;
+        while (high - low > MINUTE_MS) {
+            const mid = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+            if (offsetMinutes(timeZone, mid) === previous) low = mid; else high = mid;
+        }
+        transitions.push({ at: high, from: previous, to: current });
+        previous = current;
+    }
+    return transitions;
+}
+
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/** Milliseconds (wall clock or UTC) as YYYYMMDDTHHMMSS */
+function formatDateTime(ms) {
+    return new Date(ms).toISOString().slice(0, 19).replace(/[-:]/g, '');
+}
+
+/**
+ * VTIMEZONE for the year of an event (and the year before, so an early-January event is covered
+ * by the previous autumn's change). Zones without DST get a single STANDARD observance.
+ * @param {string} timeZone - IANA name
+ * @param {number} eventMs - Event start instant
+ * @returns {string[]} Content lines
+ */
+function buildTimezoneLines(timeZone, eventMs) {
+    const year = new Date(eventMs).getUTCFullYear();
+    const transitions = offsetTransitions(timeZone, Date.UTC(year - 1, 0, 1), Date.UTC(year + 1, 0, 1));
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    if (transitions.length === 0) {
+        const offset = formatOffset(offsetMinutes(timeZone, eventMs));
+        lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+    } else {
+        for (const { at, from, to } of transitions) {
+            const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+            // DTSTART is the local time of the change, in the offset before it
+            lines.push(`BEGIN:${kind}`, `DTSTART:${formatDateTime(at + from * MINUTE_MS)}`,
+                `TZOFFSETFROM:${formatOffset(from)}`, `TZOFFSETTO:${formatOffset(to)}`, `END:${kind}`);
+        }
+    }
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+/** Escape a TEXT value (RFC 5545 3.3.11) */
+function escapeText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/** Fold a content line to at most 75 octets per line (RFC 5545 3.1) */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards their 75 octets
+        if (size + charSize > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Build an .ics file for an interview (from /api/email/extract-interview).
+ * @param {Object} interview - Interview details (start required)
+ * @param {string} interview.start - Local start, "YYYY-MM-DDTHH:mm"
+ * @param {string|null} [interview.end] - Local end; default start + 60 minutes
+ * @param {string|null} [interview.timezone] - IANA name; null = the user's timezone
+ * @param {string|null} [interview.title]
+ * @param {string|null} [interview.meetingLink]
+ * @param {string|null} [interview.location]
+ * @param {string[]} [interview.interviewers]
+ * @param {Object} options
+ * @param {string} options.uid - Stable event ID (re-importing the file updates the same event)
+ * @param {string} [options.subject] - Subject of the invite email, added to the description
+ * @returns {string} iCalendar text (CRLF line endings)
+ * @throws {Error} When the interview has no valid start time
+ */
+export function buildInterviewIcs(interview, { uid, subject } = {}) {
+    const startWall = wallClockMs(interview?.start);
+    if (Number.isNaN(startWall)) {
+        throw new Error('The interview has no exact start time');
+    }
+    const timeZone = interview.timezone || localTimeZone();
+    const endWall = wallClockMs(interview.end);
+    const end = !Number.isNaN(endWall) && endWall > startWall ? endWall : startWall + DEFAULT_DURATION_MINUTES * MINUTE_MS;
+    const title = interview.title || 'Interview';
+
+    const description = [
+        interview.interviewers?.length ? `Interviewers: ${interview.interviewers.join(', ')}` : '',
+        interview.meetingLink ? `Join: ${interview.meetingLink}` : '',
+        subject ? `Email: ${subject}` : ''
+    ].filter(Boolean).join('\n');
+
+    const event = [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${formatDateTime(Date.now())}Z`,
+        `DTSTART;TZID=${timeZone}:${formatDateTime(startWall)}`,
+        `DTEND;TZID=${timeZone}:${formatDateTime(end)}`,
+        `SUMMARY:${escapeText(title)}`
+    ];
+    if (description) event.push(`DESCRIPTION:${escapeText(description)}`);
+    const location = interview.meetingLink || interview.location;
+    if (location) event.push(`LOCATION:${escapeText(location)}`);
+    if (interview.meetingLink) event.push(`URL:${interview.meetingLink}`);
+    event.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(title)}`,
+        `TRIGGER:-PT${ALARM_MINUTES_BEFORE}M`,
+        'END:VALARM',
+        'END:VEVENT'
+    );
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...buildTimezoneLines(timeZone, zonedTimeToUtc(interview.start, timeZone)),
+        ...event,
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
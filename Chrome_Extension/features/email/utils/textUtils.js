@@ -56,6 +56,22 @@ export function decodeBase64(base64String) {
     }
 }
 
+/**
+ * Encode a string as UTF-8 base64 (the counterpart of decodeBase64)
+ * @param {string} text - Text to encode
+ * @param {boolean} [urlSafe=false] - Use the URL-safe alphabet without padding (Gmail API raw messages)
+ * @returns {string} Base64 encoded string
+ */
+export function encodeBase64(text, urlSafe = false) {
+    const bytes = new TextEncoder().encode(text);
+    let binaryString = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binaryString += String.fromCharCode(bytes[i]);
+    }
+    const base64 = btoa(binaryString);
+    return urlSafe ? base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '') : base64;
+}
+
 /**
  * Strip HTML tags from string and clean up HTML entities and zero-width characters
  * @param {string} html - HTML string
@@ -7,6 +7,21 @@ const STORAGE_KEYS = {
   USER_ADDITIONAL_INFO: 'linkedin_user_additional_info'
 };
 
+// Backend API token, stored by the email page's SettingsService when pairing with the backend
+const STORAGE_KEY_API_TOKEN = 'backend_api_token';
+
+/**
+ * Request headers for the backend, including the bearer token once paired
+ */
+async function getBackendHeaders() {
+  const result = await chrome.storage.local.get([STORAGE_KEY_API_TOKEN]);
+  const token = result[STORAGE_KEY_API_TOKEN];
+  return {
+    "Content-Type": "application/json",
+    ...(token && { "Authorization": `Bearer ${token}` })
+  };
+}
+
 // Load settings on page load
 document.addEventListener('DOMContentLoaded', async () => {
   await loadSettings();
@@ -118,7 +133,7 @@ searchBtn.addEventListener("click", async () => {
   try {
     const response = await fetch("http://localhost:3000/api/linkedin/search", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: await getBackendHeaders(),
       body: JSON.stringify({ query, limit: 10 })
     });
 
@@ -126,6 +141,11 @@ searchBtn.addEventListener("click", async () => {
     
     loadingIndicator.style.display = "none";
 
+    if (!response.ok) {
+      alert(data.error?.message || "Error searching profiles.");
+      return;
+    }
+
     if (data.profiles && data.profiles.length > 0) {
       displayProfiles(data.profiles);
       searchResults.style.display = "block";
@@ -237,7 +257,7 @@ async function generateMessage(profile) {
 
     const response = await fetch("http://localhost:3000/api/linkedin/generate-message", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: await getBackendHeaders(),
       body: JSON.stringify({
         name: profile.name,
         title: profile.title,
@@ -248,6 +268,10 @@ async function generateMessage(profile) {
     });
 
     const data = await response.json();
+    if (!response.ok) {
+      output.value = data.error?.message || "Error generating message.";
+      return;
+    }
     output.value = data.message;
     copyBtn.style.display = "block";
 
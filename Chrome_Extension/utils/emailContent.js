@@ -0,0 +1,216 @@
+/**
+ * Shared email content preparation - used by the extension (EmailParserService) and the backend
+ * (utils/openai.js requires this file), so both clean and trim email text the same way.
+ *
+ * Email content sent for AI analysis has the form:
+ *   Subject: ...\n\nFrom: ...\n\n[List-Unsubscribe: ...\n\n]body
+ *
+ * Keep this file free of DOM and Node APIs.
+ */
+
+const ZERO_WIDTH = /[\u200B\u200C\u200D\uFEFF]|&zwnj;|&zwj;|&#8203;/gi;
+
+/** Lines that start a quoted earlier message; everything from the first one on is dropped */
+const QUOTE_HEADERS = [
+    // "On Mon, Mar 2, 2026 at 9:14 AM Jane <jane@x.com> wrote:" (Gmail may wrap it over two lines)
+    /(?:^|\s)On\s[^\n]{0,200}?(?:\d{4}|\d{1,2}:\d{2})[^]{0,150}?\swrote:/,
+    /(?:^|\s)Le\s[^\n]{0,200}?\d{4}[^]{0,150}?\sa écrit\s?:/,
+    /(?:^|\s)Am\s[^\n]{0,200}?\d{4}[^]{0,150}?\sschrieb\s[^\n]{0,100}?:/,
+    /-{2,}\s*Original Message\s*-{2,}/i,
+    // Outlook: "From: ... Sent: ... To: ..." (optionally after a line of underscores)
+    /(?:^|\n)_{10,}\s*\n\s*From:/,
+    /(?:^|\n)From:[^\n]*\n\s*(?:Sent|Date):[^\n]*\n\s*To:/
+];
+
+/** Signature delimiters and mobile sign-offs; the rest of the message after them is dropped */
+const SIGNATURE_MARKERS = [
+    /\n-- ?\n/,
+    /\n\s*Sent from my (?:iPhone|iPad|Android|Samsung|Galaxy|Pixel|mobile device|BlackBerry)[^\n]*/i,
+    /\n\s*Get Outlook for (?:iOS|Android)[^\n]*/i
+];
+
+/** Paragraphs that are legal boilerplate rather than message content */
+const FOOTER_PATTERN = new RegExp([
+    '^\\s*(?:confidentiality notice|disclaimer|legal notice)\\b',
+    'this (?:e-?mail|message|communication)(?: and any (?:attachments?|files)[^.]{0,40})? (?:is|are|may be|contains?) (?:strictly )?(?:confidential|privileged|intended (?:only|solely))',
+    'if you (?:are not the intended recipient|have received this (?:e-?mail|message|communication) in error)',
+    'please consider the environment before printing',
+    '^\\s*(?:©|\\(c\\)|copyright)\\s*(?:\\d{4}|[a-z])[^\\n]{0,120}$',
+    'all rights reserved\\.?\\s*$'
+].join('|'), 'i');
+
+/** Whole-line links to tracking pixels and image placeholders left over from HTML emails */
+const TRACKING_LINE = /^[ \t]*(?:\[image:[^\]]*\]|<?https?:\/\/\S*(?:\/open(?:\.gif|\.aspx)?|pixel|beacon|\/track(?:ing)?\/o)\S*>?)[ \t]*$/gim;
+const IMAGE_PLACEHOLDER = /\[image:[^\]]*\]/gi;
+
+/** Words, numbers and single punctuation marks, as counted by estimateTokens */
+const TOKEN_PIECE = /[A-Za-zÀ-ɏ]+|\d+|[^\sA-Za-z\d]/g;
+
+/** Appended where truncateToTokens cut the text */
+const TRUNCATION_MARKER = '\n[…]';
+
+/** URLs longer than this are cut to origin + path when preparing content for the model */
+const MAX_URL_CHARS = 80;
+
+/**
+ * Clean raw body text for display and analysis: zero-width characters, tracking pixels, image
+ * placeholders, message IDs/hashes and extra whitespace. Paragraph breaks are kept.
+ * @param {string} text - Decoded body (plain text, or HTML already converted to text)
+ * @returns {string}
+ */
+export function cleanText(text) {
+    if (!text) return '';
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(ZERO_WIDTH, '')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(TRACKING_LINE, '')
+        .replace(IMAGE_PLACEHOLDER, '')
+        // Email IDs and hashes: 32-40 hex chars at the start of a line, or standalone lines of 20+
+        .replace(/^[0-9a-f]{32,40}\s+/gmi, '')
+        .replace(/^[0-9a-f]{20,}\s*$/gmi, '')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function cutAtFirst(text, patterns) {
+    let cut = text.length;
+    for (const pattern of patterns) {
+        const match = pattern.exec(text);
+        if (match && match.index < cut) cut = match.index;
+    }
+    return text.slice(0, cut);
+}
+
+/**
+ * Drop quoted earlier messages: "On ... wrote:" and Outlook headers (and everything after them),
+ * plus lines quoted with ">". Forwarded messages are kept, since they are the content.
+ * @param {string} text
+ * @returns {string} The new part of the message (the original text if nothing new is left)
+ */
+export function stripQuotedReplies(text) {
+    const stripped = cutAtFirst(text, QUOTE_HEADERS)
+        .split('\n')
+        .filter((line) => !/^\s*>/.test(line))
+        .join('\n')
+        .trim();
+    return stripped || text;
+}
+
+/**
+ * Drop the signature ("-- " delimiter, "Sent from my iPhone") and legal footers.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripSignatureAndFooters(text) {
+    const withoutSignature = cutAtFirst(`\n${text}`, SIGNATURE_MARKERS).slice(1);
+    const paragraphs = withoutSignature.split(/\n{2,}/);
+    // The first paragraph is always kept, however it reads
+    const kept = paragraphs.filter((paragraph, i) => i === 0 || !FOOTER_PATTERN.test(paragraph));
+    return kept.join('\n\n').trim() || text;
+}
+
+/**
+ * Rough token count for model input (about 4 characters of English per token; long words and
+ * numbers count as several tokens, punctuation as one each).
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+    let tokens = 0;
+    for (const [piece] of text.matchAll(TOKEN_PIECE)) tokens += pieceTokens(piece);
+    return tokens;
+}
+
+function pieceTokens(piece) {
+    return Math.ceil(piece.length / 4);
+}
+
+/**
+ * Keep the start of a text within a token budget, cutting at a paragraph, line or sentence end
+ * when one is close to the limit.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string} text, or its beginning followed by "[…]"
+ */
+export function truncateToTokens(text, maxTokens) {
+    if (estimateTokens(text) <= maxTokens) return text;
+    const budget = maxTokens - estimateTokens(TRUNCATION_MARKER);
+    let tokens = 0;
+    let end = 0;
+    for (const match of text.matchAll(TOKEN_PIECE)) {
+        const piece = match[0];
+        tokens += pieceTokens(piece);
+        if (tokens > budget) break;
+        end = match.index + piece.length;
+    }
+    const head = text.slice(0, end);
+    // Prefer a natural break in the last fifth of what fits
+    const minEnd = Math.floor(end * 0.8);
+    const breakAt = Math.max(head.lastIndexOf('\n\n'), head.lastIndexOf('\n'), head.search(/[.!?](?=[^.!?]*$)/) + 1);
+    const cut = breakAt >= minEnd ? breakAt : end;
+    return `${text.slice(0, cut).trimEnd()}${TRUNCATION_MARKER}`;
+}
+
+/**
+ * Shorten long (tracking) URLs to origin + path; query strings rarely help the model.
+ * @param {string} text
+ * @returns {string}
+ */
+export function shortenUrls(text) {
+    return text.replace(/https?:\/\/[^\s<>"')\]]+/g, (url) => {
+        if (url.length <= MAX_URL_CHARS) return url;
+        const match = /^(https?:\/\/[^/?#]+)([^?#]*)/.exec(url);
+        const path = match[2].length > 40 ? `${match[2].slice(0, 40)}…` : match[2];
+        return `${match[1]}${path}`;
+    });
+}
+
+/**
+ * Build email content in the format the backend expects.
+ * @param {{subject?: string, from?: string, listUnsubscribe?: string, body?: string}} email
+ * @returns {string}
+ */
+export function buildEmailContent({ subject, from, listUnsubscribe, body }) {
+    const listUnsubscribeLine = listUnsubscribe ? `List-Unsubscribe: ${listUnsubscribe}\n\n` : '';
+    return `Subject: ${subject || '(No Subject)'}\n\nFrom: ${from || 'Unknown Sender'}\n\n${listUnsubscribeLine}${(body || '').trim()}`;
+}
+
+/**
+ * Split email content built by buildEmailContent back into its parts.
+ * @param {string} content
+ * @returns {{subject: string|null, from: string|null, listUnsubscribe: string|null, body: string}}
+ *   subject/from are null when the content has no such header (then body is the whole content)
+ */
+export function parseEmailContent(content) {
+    const match = /^Subject:[ \t]*([^\n]*)\n+From:[ \t]*([^\n]*)\n+(?:List-Unsubscribe:[ \t]*([^\n]*)\n+)?/.exec(content || '');
+    if (!match) return { subject: null, from: null, listUnsubscribe: null, body: content || '' };
+    return {
+        subject: match[1].trim(),
+        from: match[2].trim(),
+        listUnsubscribe: match[3] ? match[3].trim() : null,
+        body: content.slice(match[0].length)
+    };
+}
+
+/**
+ * Prepare email content for a model: subject and sender first, then the new part of the message
+ * (no quoted replies, signature, legal footers or tracking noise), trimmed to a token budget.
+ * @param {string} content - Email content (see buildEmailContent) or plain text
+ * @param {Object} options
+ * @param {number} options.maxTokens - Token budget for the whole result
+ * @returns {string}
+ */
+export function prepareEmailContent(content, { maxTokens }) {
+    const email = parseEmailContent(content);
+    const message = shortenUrls(stripSignatureAndFooters(stripQuotedReplies(cleanText(email.body))));
+    if (email.subject === null) return truncateToTokens(message, maxTokens);
+
+    const headers = buildEmailContent({ ...email, body: '' });
+    // Headers are always kept whole; the body gets what is left of the budget
+    const bodyBudget = Math.max(0, maxTokens - estimateTokens(headers));
+    return `${headers}${truncateToTokens(message, bodyBudget)}`;
+}